@@ -0,0 +1,141 @@
+/**
+ * Price History Controller
+ * Handles API requests for loading and inspecting the OHLCV price history
+ * every risk calculation reads from.
+ */
+const priceHistoryService = require('../services/price-history.service');
+
+// Validate token symbol format
+const symbolRegex = /^[A-Za-z0-9.-]{1,20}$/;
+
+/**
+ * Summarize the stored price series
+ * @route GET /api/risk/prices
+ */
+exports.getCoverage = async (req, res) => {
+  try {
+    const coverage = await priceHistoryService.getCoverage();
+    res.json(coverage);
+  } catch (err) {
+    console.error('Error summarizing price history:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Get the stored price history of a token
+ * @route GET /api/risk/prices/:symbol
+ */
+exports.getPriceHistory = async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const interval = req.query.interval || '1d';
+    const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+    
+    if (!symbolRegex.test(symbol)) {
+      return res.status(400).json({ message: 'Invalid token symbol' });
+    }
+    
+    if (!priceHistoryService.BAR_INTERVALS[interval]) {
+      return res.status(400).json({
+        message: `Interval must be one of: ${Object.keys(priceHistoryService.BAR_INTERVALS).join(', ')}`
+      });
+    }
+    
+    if (limit !== undefined && (isNaN(limit) || limit < 1 || limit > 10000)) {
+      return res.status(400).json({ message: 'Limit must be between 1 and 10000' });
+    }
+    
+    const history = await priceHistoryService.getPriceHistory(symbol, { interval, limit });
+    res.json(history);
+  } catch (err) {
+    if (err.code === 'NO_PRICE_DATA') {
+      return res.status(404).json({ message: err.message });
+    }
+    console.error('Error fetching price history:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Import CSV price data, either sent inline or from the price import directory
+ * @route POST /api/risk/prices/import
+ */
+exports.importPrices = async (req, res) => {
+  try {
+    const { csv, fileName, symbol, interval = '1d', source, volumeUnit = 'usd' } = req.body;
+    
+    if ((!csv || typeof csv !== 'string') && (!fileName || typeof fileName !== 'string')) {
+      return res.status(400).json({
+        message: 'CSV content or the file name of a .csv file is required',
+        example: {
+          csv: 'timestamp,open,high,low,close,volume\n2025-04-15,1580,1602,1561,1590,14200000000',
+          symbol: 'ETH',
+          interval: '1d',
+          volumeUnit: 'usd'
+        }
+      });
+    }
+    
+    if (symbol !== undefined && !symbolRegex.test(symbol)) {
+      return res.status(400).json({ message: 'Invalid token symbol' });
+    }
+    
+    if (!priceHistoryService.BAR_INTERVALS[interval]) {
+      return res.status(400).json({
+        message: `Interval must be one of: ${Object.keys(priceHistoryService.BAR_INTERVALS).join(', ')}`
+      });
+    }
+    
+    // Liquidity-adjusted VaR compares positions with volume in USD
+    if (!priceHistoryService.VOLUME_UNITS.includes(volumeUnit)) {
+      return res.status(400).json({
+        message: `Volume unit must be one of: ${priceHistoryService.VOLUME_UNITS.join(', ')}`
+      });
+    }
+    
+    const options = { symbol, interval, volumeUnit, ...(source && { source }) };
+
+    const summary = csv
+      ? await priceHistoryService.importCsv(csv, options)
+      : await priceHistoryService.importCsvFile(fileName, options);
+    res.json(summary);
+  } catch (err) {
+    console.error('Error importing price history:', err.message);
+    res.status(400).json({ message: err.message });
+  }
+};
+
+/**
+ * Fetch a token's price history from a market data provider
+ * @route POST /api/risk/prices/:symbol/fetch
+ */
+exports.fetchPrices = async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { days = 30, interval = '1d', provider } = req.body;
+    
+    if (!symbolRegex.test(symbol)) {
+      return res.status(400).json({ message: 'Invalid token symbol' });
+    }
+    
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return res.status(400).json({ message: 'Days must be an integer between 1 and 365' });
+    }
+    
+    if (!priceHistoryService.BAR_INTERVALS[interval]) {
+      return res.status(400).json({
+        message: `Interval must be one of: ${Object.keys(priceHistoryService.BAR_INTERVALS).join(', ')}`
+      });
+    }
+    
+    const summary = await priceHistoryService.fetchPriceHistory(symbol, { days, interval, provider });
+    res.json(summary);
+  } catch (err) {
+    if (err.code === 'PROVIDER_UNAVAILABLE') {
+      return res.status(502).json({ message: err.message });
+    }
+    console.error('Error fetching price history:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
@@ -4,6 +4,97 @@
  * token volatility tracking, and predictive risk scoring.
  */
 const riskService = require('../services/risk.service');
+const assetClassService = require('../services/asset-class.service');
+const portfolioOptimizerService = require('../services/portfolio-optimizer.service');
+const defiRiskService = require('../services/defi-risk.service');
+const behaviorAnomalyService = require('../services/behavior-anomaly.service');
+const reportService = require('../services/report.service');
+
+// Status codes for price history errors the client can resolve by loading data
+const PRICE_HISTORY_ERROR_STATUS = {
+  NO_PRICE_DATA: 404,
+  INSUFFICIENT_HISTORY: 422
+};
+
+/**
+ * Parse and validate the statistics options shared by the risk metrics
+ * @param {Object} source - Request body or query containing returnType, varianceType and tradingDays
+ * @returns {Object} { options } on success or { error } with a validation message
+ */
+const parseStatisticsOptions = (source) => {
+  const { returnType, varianceType, tradingDays } = source;
+  
+  if (returnType !== undefined && !riskService.RETURN_TYPES.includes(returnType)) {
+    return { error: `Return type must be one of: ${riskService.RETURN_TYPES.join(', ')}` };
+  }
+  
+  if (varianceType !== undefined && !riskService.VARIANCE_TYPES.includes(varianceType)) {
+    return { error: `Variance type must be one of: ${riskService.VARIANCE_TYPES.join(', ')}` };
+  }
+  
+  let days;
+  if (tradingDays !== undefined) {
+    days = parseInt(tradingDays);
+    if (isNaN(days) || days < 1 || days > 366) {
+      return { error: 'Trading days must be between 1 and 366' };
+    }
+  }
+  
+  return { options: { returnType, varianceType, tradingDays: days } };
+};
+
+/**
+ * Parse and validate how many of the most recent daily bars a calculation loads
+ * @param {*} days - Requested number of days; every stored bar is used when omitted
+ * @returns {Object} { days } on success or { error } with a validation message
+ */
+const parseHistoryDays = (days) => {
+  if (days === undefined) {
+    return { days: undefined };
+  }
+  
+  const historyDays = parseInt(days);
+  if (isNaN(historyDays) || historyDays < 3 || historyDays > 3650) {
+    return { error: 'Days must be between 3 and 3650' };
+  }
+  
+  return { days: historyDays };
+};
+
+/**
+ * Parse and validate a benchmark given as a token symbol or a custom index basket
+ * @param {string|Object} benchmark - Token symbol or { name, basket: [{ token, weight }] }
+ * @returns {Object} { benchmark } on success or { error } with a validation message
+ */
+const parseBenchmark = (benchmark) => {
+  if (benchmark === undefined) {
+    return { benchmark: undefined };
+  }
+  
+  if (typeof benchmark === 'string') {
+    return benchmark.length > 0 ?
+      { benchmark: benchmark.toUpperCase() } :
+      { error: 'Benchmark must be a token symbol or a custom index basket' };
+  }
+  
+  const { name, basket } = benchmark || {};
+  if (!Array.isArray(basket) || basket.length === 0) {
+    return { error: 'Benchmark must be a token symbol or a custom index basket' };
+  }
+  
+  for (const component of basket) {
+    if (!component.token || typeof component.token !== 'string' ||
+        typeof component.weight !== 'number' || component.weight <= 0) {
+      return { error: 'Each benchmark basket component must have a token symbol and a positive weight' };
+    }
+  }
+  
+  if (name !== undefined && typeof name !== 'string') {
+    return { error: 'Benchmark name must be a string' };
+  }
+  
+  return { benchmark: { name, basket } };
+};
 
 /**
  * Analyze wallet risk profile
@@ -31,6 +122,218 @@ exports.analyzeWalletRisk = async (req, res) => {
   }
 };
 
+/**
+ * Extract wallet addresses from an uploaded CSV file
+ * Uses the "address" column when there is a header row, otherwise the first column.
+ * @param {string} content - CSV content
+ * @returns {Array<string>} Addresses
+ */
+const parseAddressCsv = (content) => {
+  const rows = content.split(/\r?\n/)
+    .map(line => line.split(',').map(value => value.trim().replace(/^"|"$/g, '')))
+    .filter(row => row.some(value => value.length > 0));
+  if (rows.length === 0) return [];
+  
+  const headerIndex = rows[0].findIndex(value => value.toLowerCase() === 'address');
+  if (headerIndex >= 0) {
+    return rows.slice(1).map(row => row[headerIndex] || '');
+  }
+  return rows.map(row => row[0]);
+};
+
+/**
+ * Convert batch screening results into CSV
+ * @param {Array} results - Per-address results
+ * @returns {string} CSV content
+ */
+const batchResultsToCsv = (results) => {
+  const columns = ['address', 'status', 'riskLevel', 'riskScore', 'suspiciousTransactions', 'riskFactors', 'error'];
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+    const joined = Array.isArray(value) ? value.join('; ') : String(value);
+    // Spreadsheets run cells starting with these characters as formulas
+    const text = /^[=+\-@\t\r]/.test(joined) ? `'${joined}` : joined;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  
+  return [
+    columns.join(','),
+    ...results.map(result => columns.map(column => escape(result[column])).join(','))
+  ].join('\n');
+};
+
+/**
+ * Screen a batch of wallets from a JSON array or CSV upload
+ * @route POST /api/risk/wallet/batch
+ */
+exports.analyzeWalletBatch = async (req, res) => {
+  try {
+    let addresses;
+    if (typeof req.body === 'string') {
+      // CSV upload (Content-Type: text/csv)
+      addresses = parseAddressCsv(req.body);
+    } else if (Array.isArray(req.body)) {
+      addresses = req.body;
+    } else {
+      addresses = req.body && req.body.addresses;
+    }
+    
+    if (!Array.isArray(addresses) || addresses.length === 0) {
+      return res.status(400).json({ 
+        message: 'A JSON array of addresses or a CSV file with an address column is required',
+        example: { addresses: ['0x6735BEab6cCaA2F486d8B1C36c7ec151F9C72F5E'] }
+      });
+    }
+    
+    if (addresses.length > 1000) {
+      return res.status(400).json({ message: 'A batch can contain at most 1000 addresses' });
+    }
+    
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json or csv' });
+    }
+    
+    const concurrency = req.query.concurrency ? parseInt(req.query.concurrency) : 5;
+    if (isNaN(concurrency) || concurrency < 1 || concurrency > 20) {
+      return res.status(400).json({ message: 'Concurrency parameter must be between 1 and 20' });
+    }
+    
+    const report = await riskService.analyzeWalletBatch(addresses.map(String), { concurrency });
+    
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="wallet-risk-batch-${Date.now()}.csv"`);
+      return res.send(batchResultsToCsv(report.results));
+    }
+    
+    res.set('Content-Disposition', `attachment; filename="wallet-risk-batch-${Date.now()}.json"`);
+    res.json(report);
+  } catch (err) {
+    console.error('Error screening wallet batch:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Get the risk score history and drift events of a wallet
+ * @route GET /api/risk/wallet/:address/history
+ */
+exports.getWalletRiskHistory = async (req, res) => {
+  try {
+    const { address } = req.params;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+    
+    // Validate Ethereum address format
+    const addressRegex = /^0x[a-fA-F0-9]{40}$/;
+    if (!addressRegex.test(address)) {
+      return res.status(400).json({ message: 'Invalid Ethereum address format' });
+    }
+    
+    if (isNaN(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ message: 'Limit parameter must be between 1 and 1000' });
+    }
+    
+    const history = await riskService.getWalletRiskHistory(address, { limit });
+    res.json(history);
+  } catch (err) {
+    console.error('Error fetching wallet risk history:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Analyze multi-hop counterparty exposure of a wallet to flagged addresses
+ * @route GET /api/risk/wallet/:address/exposure
+ */
+exports.analyzeCounterpartyExposure = async (req, res) => {
+  try {
+    const { address } = req.params;
+    const maxHops = req.query.maxHops ? parseInt(req.query.maxHops) : 3;
+    const decay = req.query.decay ? parseFloat(req.query.decay) : 0.5;
+    
+    // Validate Ethereum address format
+    const addressRegex = /^0x[a-fA-F0-9]{40}$/;
+    if (!addressRegex.test(address)) {
+      return res.status(400).json({ message: 'Invalid Ethereum address format' });
+    }
+    
+    if (isNaN(maxHops) || maxHops < 1 || maxHops > 5) {
+      return res.status(400).json({ message: 'maxHops parameter must be between 1 and 5' });
+    }
+    
+    if (isNaN(decay) || decay <= 0 || decay > 1) {
+      return res.status(400).json({ message: 'Decay parameter must be greater than 0 and at most 1' });
+    }
+    
+    const exposure = await riskService.analyzeCounterpartyExposure(address, { maxHops, decay });
+    res.json(exposure);
+  } catch (err) {
+    console.error('Error analyzing counterparty exposure:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Audit the outstanding token approvals of a wallet
+ * @route GET /api/risk/wallet/:address/approvals
+ */
+exports.auditWalletApprovals = async (req, res) => {
+  try {
+    const { address } = req.params;
+    
+    // Validate Ethereum address format
+    const addressRegex = /^0x[a-fA-F0-9]{40}$/;
+    if (!addressRegex.test(address)) {
+      return res.status(400).json({ message: 'Invalid Ethereum address format' });
+    }
+    
+    const audit = await riskService.auditWalletApprovals(address);
+    res.json(audit);
+  } catch (err) {
+    console.error('Error auditing wallet approvals:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Analyze a wallet's transaction behavior for anomalies
+ * @route GET /api/risk/wallet/:address/behavior
+ */
+exports.analyzeWalletBehavior = async (req, res) => {
+  try {
+    const { address } = req.params;
+    
+    // Validate Ethereum address format
+    const addressRegex = /^0x[a-fA-F0-9]{40}$/;
+    if (!addressRegex.test(address)) {
+      return res.status(400).json({ message: 'Invalid Ethereum address format' });
+    }
+    
+    // Any detection threshold can be overridden with a positive number (e.g. ?structuringThreshold=5)
+    const thresholds = {};
+    for (const key of Object.keys(req.query)) {
+      if (behaviorAnomalyService.ANOMALY_THRESHOLDS[key] === undefined) {
+        return res.status(400).json({
+          message: `Unknown threshold ${key}. Supported: ${Object.keys(behaviorAnomalyService.ANOMALY_THRESHOLDS).join(', ')}`
+        });
+      }
+      const value = parseFloat(req.query[key]);
+      if (isNaN(value) || value <= 0) {
+        return res.status(400).json({ message: `${key} must be a positive number` });
+      }
+      thresholds[key] = value;
+    }
+    
+    const behavior = await riskService.analyzeWalletBehavior(address, thresholds);
+    res.json(behavior);
+  } catch (err) {
+    console.error('Error analyzing wallet behavior:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
 /**
  * Get token volatility analysis
  * @route GET /api/risk/volatility/:token
@@ -48,9 +351,35 @@ exports.getTokenVolatility = async (req, res) => {
       return res.status(400).json({ message: 'Days parameter must be between 1 and 365' });
     }
     
-    const volatilityAnalysis = await riskService.getTokenVolatility(token, days);
+    // Rolling windows as a comma-separated list of days (e.g. ?windows=7,30,90)
+    let windows;
+    if (req.query.windows) {
+      windows = String(req.query.windows).split(',').map(value => parseInt(value));
+      if (windows.some(window => isNaN(window) || window < 2 || window > 365)) {
+        return res.status(400).json({ message: 'Each rolling window must be between 2 and 365 days' });
+      }
+    }
+    
+    const lambda = req.query.lambda ? parseFloat(req.query.lambda) : undefined;
+    if (lambda !== undefined && (isNaN(lambda) || lambda <= 0 || lambda >= 1)) {
+      return res.status(400).json({ message: 'Lambda parameter must be between 0 and 1' });
+    }
+    
+    const statistics = parseStatisticsOptions(req.query);
+    if (statistics.error) {
+      return res.status(400).json({ message: statistics.error });
+    }
+    
+    const volatilityAnalysis = await riskService.getTokenVolatility(token, days, { 
+      ...statistics.options,
+      windows,
+      lambda
+    });
     res.json(volatilityAnalysis);
   } catch (err) {
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
     console.error('Error analyzing token volatility:', err.message);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -62,7 +391,7 @@ exports.getTokenVolatility = async (req, res) => {
  */
 exports.calculateVaR = async (req, res) => {
   try {
-    const { holdings, confidenceLevel } = req.body;
+    const { holdings, confidenceLevel, method, simulations, seed, days } = req.body;
     
     if (!holdings || !Array.isArray(holdings) || holdings.length === 0) {
       return res.status(400).json({ message: 'Valid holdings array is required' });
@@ -87,215 +416,1193 @@ exports.calculateVaR = async (req, res) => {
       }
     }
     
-    const varAnalysis = await riskService.calculateVaR(holdings, confLevel);
+    // Validate VaR method if provided
+    if (method !== undefined && !riskService.VAR_METHODS.includes(method)) {
+      return res.status(400).json({ 
+        message: `Method must be one of: ${riskService.VAR_METHODS.join(', ')}`
+      });
+    }
+    
+    // Validate Monte Carlo settings if provided
+    if (simulations !== undefined && (!Number.isInteger(simulations) || simulations < 100 || simulations > 100000)) {
+      return res.status(400).json({ message: 'Simulations must be an integer between 100 and 100000' });
+    }
+    
+    if (seed !== undefined && !Number.isInteger(seed)) {
+      return res.status(400).json({ message: 'Seed must be an integer' });
+    }
+    
+    const history = parseHistoryDays(days);
+    if (history.error) {
+      return res.status(400).json({ message: history.error });
+    }
+    
+    const statistics = parseStatisticsOptions(req.body);
+    if (statistics.error) {
+      return res.status(400).json({ message: statistics.error });
+    }
+    
+    const varAnalysis = await riskService.calculateVaR(holdings, confLevel, { 
+      ...statistics.options,
+      method,
+      simulations,
+      seed,
+      days: history.days
+    });
     res.json(varAnalysis);
   } catch (err) {
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
     console.error('Error calculating VaR:', err.message);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
 
 /**
- * Calculate Sharpe Ratio for a portfolio or token
- * @route POST /api/risk/sharpe
+ * Calculate liquidity-adjusted VaR from position size relative to trading volume
+ * @route POST /api/risk/var/liquidity-adjusted
  */
-exports.calculateSharpe = async (req, res) => {
+exports.calculateLiquidityAdjustedVaR = async (req, res) => {
   try {
-    const { token, holdings, riskFreeRate } = req.body;
+    const {
+      holdings,
+      confidenceLevel,
+      method,
+      simulations,
+      seed,
+      liquidationHorizon,
+      spreadBps,
+      impactCoefficient,
+      maxParticipation,
+      days
+    } = req.body;
     
-    // Validate input - either token or holdings must be provided
-    if (!token && (!holdings || !Array.isArray(holdings) || holdings.length === 0)) {
+    if (!holdings || !Array.isArray(holdings) || holdings.length === 0) {
       return res.status(400).json({ 
-        message: 'Either a token symbol or valid holdings array is required',
-        examples: {
-          singleToken: { token: 'ETH', riskFreeRate: 0.04 },
-          portfolio: { 
-            holdings: [
-              { token: 'BTC', amount: 0.5 },
-              { token: 'ETH', amount: 10 }
-            ],
-            riskFreeRate: 0.04
-          }
+        message: 'Valid holdings array is required',
+        example: {
+          holdings: [
+            { token: 'ETH', amount: 10 },
+            { token: 'ARIES', amount: 50000 }
+          ],
+          liquidationHorizon: 3,
+          spreadBps: 25
         }
       });
     }
     
-    // Validate holdings format if provided
-    if (holdings) {
-      for (const holding of holdings) {
-        if (!holding.token || typeof holding.amount !== 'number' || holding.amount <= 0) {
-          return res.status(400).json({ 
-            message: 'Each holding must have a token symbol and a positive amount',
-            example: { token: 'ETH', amount: 2.5 }
-          });
-        }
+    for (const holding of holdings) {
+      if (!holding.token || typeof holding.amount !== 'number' || holding.amount <= 0) {
+        return res.status(400).json({ 
+          message: 'Each holding must have a token symbol and a positive amount',
+          example: { token: 'ETH', amount: 2.5 }
+        });
       }
     }
     
-    // Validate risk-free rate if provided
-    let rfRate = 0.04; // Default 4%
-    if (riskFreeRate !== undefined) {
-      rfRate = parseFloat(riskFreeRate);
-      if (isNaN(rfRate) || rfRate < 0 || rfRate > 1) {
-        return res.status(400).json({ message: 'Risk-free rate must be between 0 and 1' });
+    let confLevel = 0.95; // Default
+    if (confidenceLevel !== undefined) {
+      confLevel = parseFloat(confidenceLevel);
+      if (isNaN(confLevel) || confLevel <= 0 || confLevel >= 1) {
+        return res.status(400).json({ message: 'Confidence level must be between 0 and 1' });
       }
     }
     
-    // Calculate Sharpe ratio
-    const sharpeAnalysis = await riskService.calculateSharpe(
-      token || holdings,
-      rfRate
-    );
+    if (method !== undefined && !riskService.VAR_METHODS.includes(method)) {
+      return res.status(400).json({ 
+        message: `Method must be one of: ${riskService.VAR_METHODS.join(', ')}`
+      });
+    }
     
-    res.json(sharpeAnalysis);
+    if (simulations !== undefined && (!Number.isInteger(simulations) || simulations < 100 || simulations > 100000)) {
+      return res.status(400).json({ message: 'Simulations must be an integer between 100 and 100000' });
+    }
+    
+    if (seed !== undefined && !Number.isInteger(seed)) {
+      return res.status(400).json({ message: 'Seed must be an integer' });
+    }
+    
+    if (liquidationHorizon !== undefined &&
+        (!Number.isInteger(liquidationHorizon) || liquidationHorizon < 1 || liquidationHorizon > 90)) {
+      return res.status(400).json({ message: 'Liquidation horizon must be an integer between 1 and 90 days' });
+    }
+    
+    if (spreadBps !== undefined && (typeof spreadBps !== 'number' || spreadBps < 0 || spreadBps > 5000)) {
+      return res.status(400).json({ message: 'Spread must be between 0 and 5000 basis points' });
+    }
+    
+    if (impactCoefficient !== undefined &&
+        (typeof impactCoefficient !== 'number' || impactCoefficient < 0 || impactCoefficient > 10)) {
+      return res.status(400).json({ message: 'Impact coefficient must be between 0 and 10' });
+    }
+    
+    if (maxParticipation !== undefined &&
+        (typeof maxParticipation !== 'number' || maxParticipation <= 0 || maxParticipation > 1)) {
+      return res.status(400).json({ message: 'Maximum participation must be greater than 0 and at most 1' });
+    }
+    
+    const history = parseHistoryDays(days);
+    if (history.error) {
+      return res.status(400).json({ message: history.error });
+    }
+    
+    const statistics = parseStatisticsOptions(req.body);
+    if (statistics.error) {
+      return res.status(400).json({ message: statistics.error });
+    }
+    
+    const liquidityAnalysis = await riskService.calculateLiquidityAdjustedVaR(holdings, confLevel, {
+      ...statistics.options,
+      method,
+      simulations,
+      seed,
+      liquidationHorizon,
+      spreadBps,
+      impactCoefficient,
+      maxParticipation,
+      days: history.days
+    });
+    
+    res.json(liquidityAnalysis);
   } catch (err) {
-    console.error('Error calculating Sharpe ratio:', err.message);
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    console.error('Error calculating liquidity-adjusted VaR:', err.message);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
 
 /**
- * Get hybrid risk analysis (combining crypto and traditional finance)
- * @route POST /api/risk/hybrid
+ * Backtest the VaR model against historical P&L with Kupiec and Christoffersen tests
+ * @route POST /api/risk/var/backtest
  */
-exports.getHybridRiskAnalysis = async (req, res) => {
+exports.backtestVaR = async (req, res) => {
   try {
-    const { cryptoHoldings, traditionalAssets } = req.body;
-    
-    if (!cryptoHoldings || !Array.isArray(cryptoHoldings) || cryptoHoldings.length === 0) {
-      return res.status(400).json({ message: 'Valid crypto holdings array is required' });
-    }
+    const { holdings, confidenceLevel, method, window, days, significance, simulations, seed } = req.body;
     
-    if (!traditionalAssets || !Array.isArray(traditionalAssets) || traditionalAssets.length === 0) {
-      return res.status(400).json({ message: 'Valid traditional assets array is required' });
+    if (!holdings || !Array.isArray(holdings) || holdings.length === 0) {
+      return res.status(400).json({ message: 'Valid holdings array is required' });
     }
     
-    // Validate crypto holdings format
-    for (const holding of cryptoHoldings) {
+    for (const holding of holdings) {
       if (!holding.token || typeof holding.amount !== 'number' || holding.amount <= 0) {
         return res.status(400).json({ 
-          message: 'Each crypto holding must have a token symbol and a positive amount',
+          message: 'Each holding must have a token symbol and a positive amount',
           example: { token: 'ETH', amount: 2.5 }
         });
       }
     }
     
-    // Validate traditional assets format
-    for (const asset of traditionalAssets) {
-      if (!asset.type || typeof asset.value !== 'number' || asset.value <= 0) {
-        return res.status(400).json({ 
-          message: 'Each traditional asset must have a type and a positive value',
-          example: { type: 'stock', ticker: 'AAPL', value: 10000 }
-        });
+    let confLevel = 0.99; // Default, as in Basel backtesting
+    if (confidenceLevel !== undefined) {
+      confLevel = parseFloat(confidenceLevel);
+      if (isNaN(confLevel) || confLevel <= 0 || confLevel >= 1) {
+        return res.status(400).json({ message: 'Confidence level must be between 0 and 1' });
       }
     }
     
-    // Calculate crypto portfolio metrics
-    const cryptoVaR = await riskService.calculateVaR(cryptoHoldings);
-    const cryptoSharpe = await riskService.calculateSharpe(cryptoHoldings);
-    
-    // Mock traditional finance risk metrics
-    // In a real implementation, we would calculate these using actual market data
-    const traditionalValue = traditionalAssets.reduce((sum, asset) => sum + asset.value, 0);
-    const traditionalRisk = Math.random() * 0.15; // Random daily volatility between 0-15%
-    const traditionalReturn = 0.08 + (Math.random() * 0.1); // Random annual return between 8-18%
+    if (method !== undefined && !riskService.VAR_METHODS.includes(method)) {
+      return res.status(400).json({ 
+        message: `Method must be one of: ${riskService.VAR_METHODS.join(', ')}`
+      });
+    }
     
-    // Calculate combined portfolio metrics
-    const totalValue = cryptoVaR.portfolioValue + traditionalValue;
-    const cryptoWeight = cryptoVaR.portfolioValue / totalValue;
-    const traditionalWeight = traditionalValue / totalValue;
+    // Defaults give the 250 observations the traffic-light zones are calibrated on when that
+    // much history is stored; shorter histories are backtested with a smaller window
+    let historyDays = 281;
+    if (days !== undefined) {
+      historyDays = parseInt(days);
+      if (isNaN(historyDays) || historyDays < 4 || historyDays > 730) {
+        return res.status(400).json({ message: 'Days must be between 4 and 730' });
+      }
+    }
     
-    // Weighted risk calculation (simplified)
-    const combinedRisk = (cryptoVaR.dailyVaR.percentage / 100) * cryptoWeight + 
-                         traditionalRisk * traditionalWeight;
+    // At least one day must remain to test after the estimation window
+    let estimationWindow;
+    if (window !== undefined) {
+
+      estimationWindow = parseInt(window);
+      if (isNaN(estimationWindow) || estimationWindow < 2 || estimationWindow > historyDays - 2) {
+        return res.status(400).json({ message: `Window must be between 2 and ${historyDays - 2} days` });
+      }
+    }
+    
+    let significanceLevel = 0.05;
+    if (significance !== undefined) {
+      significanceLevel = parseFloat(significance);
+      if (isNaN(significanceLevel) || significanceLevel <= 0 || significanceLevel >= 0.5) {
+        return res.status(400).json({ message: 'Significance must be between 0 and 0.5' });
+      }
+    }
+    
+    // Monte Carlo re-simulates for every backtest day, so the scenario count is capped lower
+    if (simulations !== undefined && (!Number.isInteger(simulations) || simulations < 100 || simulations > 20000)) {
+      return res.status(400).json({ message: 'Simulations must be an integer between 100 and 20000' });
+    }
+    
+    if (seed !== undefined && !Number.isInteger(seed)) {
+      return res.status(400).json({ message: 'Seed must be an integer' });
+    }
+    
+    const statistics = parseStatisticsOptions(req.body);
+    if (statistics.error) {
+      return res.status(400).json({ message: statistics.error });
+    }
+    
+    const backtest = await riskService.backtestVaR(holdings, {
+      ...statistics.options,
+      confidenceLevel: confLevel,
+      method,
+      window: estimationWindow,
+      days: historyDays,
+      significance: significanceLevel,
+      simulations,
+      seed
+    });
+    
+    res.json(backtest);
+  } catch (err) {
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    console.error('Error backtesting VaR:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Calculate Expected Shortfall (CVaR) and tail-risk metrics for a portfolio
+ * @route POST /api/risk/expected-shortfall
+ */
+exports.calculateExpectedShortfall = async (req, res) => {
+  try {
+    const { holdings, confidenceLevels, worstDays, days } = req.body;
+    
+    if (!holdings || !Array.isArray(holdings) || holdings.length === 0) {
+      return res.status(400).json({ message: 'Valid holdings array is required' });
+    }
+    
+    // Validate holdings format
+    for (const holding of holdings) {
+      if (!holding.token || typeof holding.amount !== 'number' || holding.amount <= 0) {
+        return res.status(400).json({ 
+          message: 'Each holding must have a token symbol and a positive amount',
+          example: { token: 'ETH', amount: 2.5 }
+        });
+      }
+    }
+    
+    // Validate confidence levels if provided
+    let confLevels = [0.95, 0.99]; // Default
+    if (confidenceLevels !== undefined) {
+      if (!Array.isArray(confidenceLevels) || confidenceLevels.length === 0) {
+        return res.status(400).json({ message: 'Confidence levels must be a non-empty array' });
+      }
+      
+      confLevels = confidenceLevels.map(level => parseFloat(level));
+      if (confLevels.some(level => isNaN(level) || level <= 0 || level >= 1)) {
+        return res.status(400).json({ message: 'Each confidence level must be between 0 and 1' });
+      }
+    }
+    
+    // Validate number of worst days if provided
+    if (worstDays !== undefined && (!Number.isInteger(worstDays) || worstDays < 1 || worstDays > 30)) {
+      return res.status(400).json({ message: 'Worst days must be an integer between 1 and 30' });
+    }
+    
+    const history = parseHistoryDays(days);
+    if (history.error) {
+      return res.status(400).json({ message: history.error });
+    }
+    
+    const statistics = parseStatisticsOptions(req.body);
+    if (statistics.error) {
+      return res.status(400).json({ message: statistics.error });
+    }
+    
+    const esAnalysis = await riskService.calculateExpectedShortfall(holdings, confLevels, { 
+      ...statistics.options,
+      worstDays,
+      days: history.days
+    });
+    res.json(esAnalysis);
+  } catch (err) {
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    console.error('Error calculating Expected Shortfall:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Calculate Sharpe Ratio for a portfolio or token
+ * @route POST /api/risk/sharpe
+ */
+exports.calculateSharpe = async (req, res) => {
+  try {
+    const { token, holdings, riskFreeRate, days } = req.body;
+    
+    // Validate input - either token or holdings must be provided
+    if (!token && (!holdings || !Array.isArray(holdings) || holdings.length === 0)) {
+      return res.status(400).json({ 
+        message: 'Either a token symbol or valid holdings array is required',
+        examples: {
+          singleToken: { token: 'ETH', riskFreeRate: 0.04 },
+          portfolio: { 
+            holdings: [
+              { token: 'BTC', amount: 0.5 },
+              { token: 'ETH', amount: 10 }
+            ],
+            riskFreeRate: 0.04
+          }
+        }
+      });
+    }
+    
+    // Validate holdings format if provided
+    if (holdings) {
+      for (const holding of holdings) {
+        if (!holding.token || typeof holding.amount !== 'number' || holding.amount <= 0) {
+          return res.status(400).json({ 
+            message: 'Each holding must have a token symbol and a positive amount',
+            example: { token: 'ETH', amount: 2.5 }
+          });
+        }
+      }
+    }
+    
+    // Validate risk-free rate if provided
+    let rfRate = 0.04; // Default 4%
+    if (riskFreeRate !== undefined) {
+      rfRate = parseFloat(riskFreeRate);
+      if (isNaN(rfRate) || rfRate < 0 || rfRate > 1) {
+        return res.status(400).json({ message: 'Risk-free rate must be between 0 and 1' });
+      }
+    }
+    
+    const history = parseHistoryDays(days);
+    if (history.error) {
+      return res.status(400).json({ message: history.error });
+    }
+    
+    const statistics = parseStatisticsOptions(req.body);
+    if (statistics.error) {
+      return res.status(400).json({ message: statistics.error });
+    }
+    
+    // Calculate Sharpe ratio
+    const sharpeAnalysis = await riskService.calculateSharpe(
+      token || holdings,
+      rfRate,
+      { ...statistics.options, days: history.days }
+    );
+    
+    res.json(sharpeAnalysis);
+  } catch (err) {
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    console.error('Error calculating Sharpe ratio:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Calculate risk-adjusted performance ratios for a portfolio or token
+ * @route POST /api/risk/performance
+ */
+exports.calculatePerformance = async (req, res) => {
+  try {
+    const { token, holdings, benchmark, riskFreeRate, targetReturn, days } = req.body;
+    
+    // Validate input - either token or holdings must be provided
+    if (!token && (!holdings || !Array.isArray(holdings) || holdings.length === 0)) {
+      return res.status(400).json({ 
+        message: 'Either a token symbol or valid holdings array is required',
+        examples: {
+          singleToken: { token: 'ETH', benchmark: 'BTC' },
+          portfolio: { 
+            holdings: [
+              { token: 'ETH', amount: 10 },
+              { token: 'ARIES', amount: 1000 }
+            ],
+            benchmark: 'BTC',
+            riskFreeRate: 0.04
+          }
+        }
+      });
+    }
+    
+    // Validate holdings format if provided
+    if (holdings) {
+      for (const holding of holdings) {
+        if (!holding.token || typeof holding.amount !== 'number' || holding.amount <= 0) {
+          return res.status(400).json({ 
+            message: 'Each holding must have a token symbol and a positive amount',
+            example: { token: 'ETH', amount: 2.5 }
+          });
+        }
+      }
+    }
+    
+    const benchmarkDefinition = parseBenchmark(benchmark);
+    if (benchmarkDefinition.error) {
+      return res.status(400).json({ message: benchmarkDefinition.error });
+    }
+    
+    // Validate risk-free rate if provided
+    let rfRate = 0.04; // Default 4%
+    if (riskFreeRate !== undefined) {
+      rfRate = parseFloat(riskFreeRate);
+      if (isNaN(rfRate) || rfRate < 0 || rfRate > 1) {
+        return res.status(400).json({ message: 'Risk-free rate must be between 0 and 1' });
+      }
+    }
+    
+    // Validate target return if provided (defaults to the risk-free rate)
+    let target;
+    if (targetReturn !== undefined) {
+      target = parseFloat(targetReturn);
+      if (isNaN(target) || target <= -1 || target > 1) {
+        return res.status(400).json({ message: 'Target return must be greater than -1 and at most 1' });
+      }
+    }
+    
+    // Annualized return and Calmar ratio need at least 90 daily returns
+    const history = parseHistoryDays(days);
+    if (history.error) {
+      return res.status(400).json({ message: history.error });
+    }
+    
+    const statistics = parseStatisticsOptions(req.body);
+    if (statistics.error) {
+      return res.status(400).json({ message: statistics.error });
+    }
+    
+    const performance = await riskService.calculatePerformanceMetrics(token || holdings, {
+      ...statistics.options,
+      benchmark: benchmarkDefinition.benchmark,
+      riskFreeRate: rfRate,
+      targetReturn: target,
+      days: history.days
+    });
+    
+    res.json(performance);
+  } catch (err) {
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    console.error('Error calculating performance ratios:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Calculate portfolio and per-token beta, alpha, tracking error and R² against a benchmark
+ * @route POST /api/risk/benchmark
+ */
+exports.calculateBenchmarkAnalytics = async (req, res) => {
+  try {
+    const { holdings, benchmark, riskFreeRate, days } = req.body;
+    
+    if (!holdings || !Array.isArray(holdings) || holdings.length === 0) {
+      return res.status(400).json({ 
+        message: 'Valid holdings array is required',
+        example: {
+          holdings: [
+            { token: 'ETH', amount: 10 },
+            { token: 'ARIES', amount: 1000 }
+          ],
+          benchmark: { name: 'Majors', basket: [{ token: 'BTC', weight: 0.6 }, { token: 'ETH', weight: 0.4 }] },
+          riskFreeRate: 0.04
+        }
+      });
+    }
+    
+    for (const holding of holdings) {
+      if (!holding.token || typeof holding.amount !== 'number' || holding.amount <= 0) {
+        return res.status(400).json({ 
+          message: 'Each holding must have a token symbol and a positive amount',
+          example: { token: 'ETH', amount: 2.5 }
+        });
+      }
+    }
+    
+    const benchmarkDefinition = parseBenchmark(benchmark);
+    if (benchmarkDefinition.error) {
+      return res.status(400).json({ message: benchmarkDefinition.error });
+    }
+    
+    let rfRate = 0.04; // Default 4%
+    if (riskFreeRate !== undefined) {
+      rfRate = parseFloat(riskFreeRate);
+      if (isNaN(rfRate) || rfRate < 0 || rfRate > 1) {
+        return res.status(400).json({ message: 'Risk-free rate must be between 0 and 1' });
+      }
+    }
+    
+    const statistics = parseStatisticsOptions(req.body);
+    if (statistics.error) {
+      return res.status(400).json({ message: statistics.error });
+    }
+    
+    const analytics = await riskService.calculateBenchmarkAnalytics(holdings, {
+      ...statistics.options,
+      benchmark: benchmarkDefinition.benchmark,
+      riskFreeRate: rfRate,
+      days: history.days
+    });
+
+    
+    res.json(analytics);
+  } catch (err) {
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    console.error('Error calculating benchmark analytics:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * List the built-in stress scenarios
+ * @route GET /api/risk/stress-test/scenarios
+ */
+exports.getStressScenarios = async (req, res) => {
+  try {
+    res.json({ scenarios: riskService.getStressScenarios() });
+  } catch (err) {
+    console.error('Error listing stress scenarios:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Parse and validate stress scenarios given as built-in ids or custom shock sets
+ * @param {Array} scenarios - Scenario ids or { name, shocks: { TOKEN: -0.3 }, propagateFrom }
+ * @returns {Object} { scenarios } on success or { error } with a validation message
+ */
+const parseStressScenarios = (scenarios) => {
+  if (!Array.isArray(scenarios) || scenarios.length === 0 || scenarios.length > 20) {
+    return { error: 'Scenarios must be an array of 1 to 20 scenario ids or custom shock sets' };
+  }
+  
+  const parsed = [];
+  for (const scenario of scenarios) {
+    if (typeof scenario === 'string') {
+      if (!riskService.STRESS_SCENARIOS[scenario]) {
+        return { error: `Unknown scenario '${scenario}'. Built-in scenarios: ${Object.keys(riskService.STRESS_SCENARIOS).join(', ')}` };
+      }
+      parsed.push(scenario);
+      continue;
+    }
+    
+    const { name, description, shocks, propagateFrom } = scenario || {};
+    if (!shocks || typeof shocks !== 'object' || Array.isArray(shocks) || Object.keys(shocks).length === 0) {
+      return { error: 'Custom scenarios must define shocks as { TOKEN: fraction }, e.g. { ETH: -0.3 } for -30%' };
+    }
+    
+    const normalizedShocks = {};
+    for (const [token, shock] of Object.entries(shocks)) {
+      if (typeof shock !== 'number' || !isFinite(shock) || shock < -1 || shock > 10) {
+        return { error: `Shock for ${token} must be a number between -1 (-100%) and 10 (+1000%)` };
+      }
+      normalizedShocks[token.toUpperCase()] = shock;
+    }
+    
+    if (name !== undefined && typeof name !== 'string') {
+      return { error: 'Scenario name must be a string' };
+    }
+    
+    let reference;
+    if (propagateFrom !== undefined) {
+      reference = typeof propagateFrom === 'string' ? propagateFrom.toUpperCase() : '';
+      if (normalizedShocks[reference] === undefined) {
+        return { error: 'propagateFrom must name one of the shocked tokens' };
+      }
+    }
+    
+    parsed.push({
+      name,
+      description: typeof description === 'string' ? description : undefined,
+      shocks: normalizedShocks,
+      propagateFrom: reference
+    });
+  }
+  
+  return { scenarios: parsed };
+};
+
+/**
+ * Apply built-in and custom stress scenarios to a portfolio
+ * @route POST /api/risk/stress-test
+ */
+exports.runStressTest = async (req, res) => {
+  try {
+    const { holdings, scenarios, days } = req.body;
+    
+    if (!holdings || !Array.isArray(holdings) || holdings.length === 0) {
+      return res.status(400).json({ 
+        message: 'Valid holdings array is required',
+        example: {
+          holdings: [
+            { token: 'ETH', amount: 10 },
+            { token: 'USDC', amount: 5000 }
+          ],
+          scenarios: ['eth-crash', 'stablecoin-depeg', { name: 'ARIES delisting', shocks: { ARIES: -0.8 } }]
+        }
+      });
+    }
+    
+    for (const holding of holdings) {
+      if (!holding.token || typeof holding.amount !== 'number' || holding.amount <= 0) {
+        return res.status(400).json({ 
+          message: 'Each holding must have a token symbol and a positive amount',
+          example: { token: 'ETH', amount: 2.5 }
+        });
+      }
+    }
+    
+    let scenarioList;
+    if (scenarios !== undefined) {
+      const parsed = parseStressScenarios(scenarios);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      scenarioList = parsed.scenarios;
+    }
+    
+    const history = parseHistoryDays(days);
+    if (history.error) {
+      return res.status(400).json({ message: history.error });
+    }
+    
+    const statistics = parseStatisticsOptions(req.body);
+    if (statistics.error) {
+      return res.status(400).json({ message: statistics.error });
+    }
     
-    // Determine correlation factor (typically crypto and traditional have low correlation)
-    const correlation = -0.2 + (Math.random() * 0.4); // Random correlation between -0.2 and 0.2
+    const stressTest = await riskService.runStressTest(holdings, scenarioList, {
+      ...statistics.options,
+      days: history.days
+    });
     
-    // Diversification benefit
-    const diversificationBenefit = 1 - Math.sqrt(
-      Math.pow(cryptoWeight, 2) + 
-      Math.pow(traditionalWeight, 2) + 
-      2 * cryptoWeight * traditionalWeight * correlation
-    );
+    res.json(stressTest);
+  } catch (err) {
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    console.error('Error running stress test:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Suggest allocations across candidate tokens: efficient frontier, max-Sharpe,
+ * minimum-variance, target-volatility and risk parity portfolios
+ * @route POST /api/risk/optimize
+ */
+exports.optimizePortfolio = async (req, res) => {
+  try {
+    const { tokens, constraints = {}, riskFreeRate, points, days } = req.body;
+    
+    if (!Array.isArray(tokens) || tokens.length < 2 || tokens.length > 15 ||
+        tokens.some(token => typeof token !== 'string' || token.length === 0)) {
+      return res.status(400).json({ 
+        message: 'Tokens must be an array of 2 to 15 token symbols',
+        example: {
+          tokens: ['BTC', 'ETH', 'ARIES', 'USDC'],
+          constraints: {
+            minWeight: 0,
+            maxWeight: 0.6,
+            weights: { ARIES: { max: 0.1 } },
+            targetVolatility: 0.5
+          },
+          riskFreeRate: 0.04
+        }
+      });
+    }
+    
+    const symbols = tokens.map(token => token.toUpperCase());
+    if (new Set(symbols).size !== symbols.length) {
+      return res.status(400).json({ message: 'Tokens must not contain duplicates' });
+    }
     
-    // Calculate risk-adjusted return
-    const combinedReturn = (cryptoSharpe.averageDailyReturn * 365) * cryptoWeight + 
-                           traditionalReturn * traditionalWeight;
+    const { minWeight = 0, maxWeight = 1, weights = {}, targetVolatility } = constraints;
+    const isWeight = value => typeof value === 'number' && value >= 0 && value <= 1;
+    if (!isWeight(minWeight) || !isWeight(maxWeight) || minWeight > maxWeight) {
+      return res.status(400).json({ message: 'Minimum and maximum weights must be between 0 and 1 with min <= max' });
+    }
     
-    const hybridSharpe = (combinedReturn - 0.04) / (combinedRisk * Math.sqrt(365));
+    // Per-token bounds override the portfolio-wide minimum and maximum
+    const bounds = {};
+    for (const symbol of symbols) {
+      const override = Object.entries(weights).find(([token]) => token.toUpperCase() === symbol);
+      const { min = minWeight, max = maxWeight } = override ? override[1] || {} : {};
+      if (!isWeight(min) || !isWeight(max) || min > max) {
+        return res.status(400).json({ message: `Weight bounds for ${symbol} must be between 0 and 1 with min <= max` });
+      }
+      bounds[symbol] = { min, max };
+    }
     
-    // Determine risk level
-    let riskLevel;
-    if (combinedRisk > 0.03) {
-      riskLevel = 'High';
-    } else if (combinedRisk > 0.015) {
-      riskLevel = 'Medium';
-    } else {
-      riskLevel = 'Low';
-    }
-    
-    // Generate recommendations based on portfolio composition
-    const recommendations = [];
-    
-    if (cryptoWeight > 0.5) {
-      recommendations.push('Consider reducing crypto exposure to decrease overall portfolio volatility');
-    }
-    
-    if (diversificationBenefit < 0.2) {
-      recommendations.push('Increase diversification across asset classes to improve risk-adjusted returns');
-    }
-    
-    if (hybridSharpe < 0.5) {
-      recommendations.push('Review asset allocation to improve risk-adjusted performance');
-    }
-    
-    if (combinedRisk > 0.025) {
-      recommendations.push('Consider hedging strategies to reduce downside risk');
-    }
-    
-    // Construct response
-    const hybridAnalysis = {
-      totalPortfolioValue: totalValue,
-      cryptoAllocation: {
-        value: cryptoVaR.portfolioValue,
-        percentage: cryptoWeight * 100
-      },
-      traditionalAllocation: {
-        value: traditionalValue,
-        percentage: traditionalWeight * 100
-      },
-      riskMetrics: {
-        combinedRisk: combinedRisk * 100, // as percentage
-        diversificationBenefit: diversificationBenefit * 100, // as percentage
-        correlation,
-        riskLevel
-      },
-      returnMetrics: {
-        expectedAnnualReturn: combinedReturn * 100, // as percentage
-        sharpeRatio: hybridSharpe
-      },
-      recommendations,
-      analysisDate: new Date().toISOString(),
-      cryptoHoldings: cryptoHoldings.map(holding => {
-        const matchingHolding = cryptoSharpe.holdings.find(h => h.token === holding.token);
-        return {
-          token: holding.token,
-          amount: holding.amount,
-          value: matchingHolding ? matchingHolding.value : 0,
-          weight: (matchingHolding ? matchingHolding.value : 0) / totalValue * 100, // as percentage
-          volatility: matchingHolding ? matchingHolding.volatility * 100 : 0 // as percentage
-        };
-      }),
-      traditionalAssets: traditionalAssets.map(asset => ({
-        ...asset,
-        weight: asset.value / totalValue * 100 // as percentage
-      }))
+    const minTotal = symbols.reduce((sum, symbol) => sum + bounds[symbol].min, 0);
+    const maxTotal = symbols.reduce((sum, symbol) => sum + bounds[symbol].max, 0);
+    if (minTotal > 1 + 1e-9 || maxTotal < 1 - 1e-9) {
+      return res.status(400).json({ message: 'Weight bounds cannot be met by a fully invested portfolio' });
+    }
+    
+    if (targetVolatility !== undefined && (typeof targetVolatility !== 'number' || targetVolatility <= 0)) {
+      return res.status(400).json({ message: 'Target volatility must be a positive annual volatility (e.g., 0.5 for 50%)' });
+    }
+    
+    let rfRate = 0.04; // Default 4%
+    if (riskFreeRate !== undefined) {
+      rfRate = parseFloat(riskFreeRate);
+      if (isNaN(rfRate) || rfRate < 0 || rfRate > 1) {
+        return res.status(400).json({ message: 'Risk-free rate must be between 0 and 1' });
+      }
+    }
+    
+    let frontierPoints = 20;
+    if (points !== undefined) {
+      frontierPoints = parseInt(points);
+      if (isNaN(frontierPoints) || frontierPoints < 2 || frontierPoints > 50) {
+        return res.status(400).json({ message: 'Points must be between 2 and 50' });
+      }
+    }
+    
+    const history = parseHistoryDays(days);
+    if (history.error) {
+      return res.status(400).json({ message: history.error });
+    }
+    
+    const statistics = parseStatisticsOptions(req.body);
+    if (statistics.error) {
+      return res.status(400).json({ message: statistics.error });
+    }
+    
+    const optimization = await portfolioOptimizerService.optimizePortfolio(symbols, {
+      ...statistics.options,
+      bounds,
+      targetVolatility,
+      riskFreeRate: rfRate,
+      points: frontierPoints,
+      days: history.days
+    });
+    
+    res.json(optimization);
+  } catch (err) {
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    console.error('Error optimizing portfolio:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Analyze an Aave/Compound-style lending position: health factor, liquidation
+ * prices and probability of liquidation over a horizon
+ * @route POST /api/risk/defi-position
+ */
+exports.analyzeDefiPosition = async (req, res) => {
+  try {
+    const { collateral, debt, horizonDays, simulations, seed, days } = req.body;
+    const example = {
+      collateral: [{ token: 'ETH', amount: 10, ltv: 0.8, liquidationThreshold: 0.825 }],
+      debt: [{ token: 'USDC', amount: 30000 }],
+      horizonDays: 7
+    };
+    
+    if (!Array.isArray(collateral) || collateral.length === 0 || !Array.isArray(debt) || debt.length === 0) {
+      return res.status(400).json({ message: 'Collateral and debt arrays are required', example });
+    }
+    
+    for (const entry of collateral) {
+      if (!entry.token || typeof entry.amount !== 'number' || entry.amount <= 0) {
+        return res.status(400).json({ message: 'Each collateral entry must have a token symbol and a positive amount', example });
+      }
+      
+      const { ltv, liquidationThreshold } = entry;
+      if (typeof ltv !== 'number' || typeof liquidationThreshold !== 'number' ||
+          ltv < 0 || liquidationThreshold <= 0 || liquidationThreshold > 1 || ltv > liquidationThreshold) {
+        return res.status(400).json({ 
+          message: 'Collateral LTV and liquidation threshold must satisfy 0 <= ltv <= liquidationThreshold <= 1',
+          example
+        });
+      }
+    }
+    
+    for (const entry of debt) {
+      if (!entry.token || typeof entry.amount !== 'number' || entry.amount <= 0) {
+        return res.status(400).json({ message: 'Each debt entry must have a token symbol and a positive amount', example });
+      }
+    }
+    
+    let horizon = 7;
+    if (horizonDays !== undefined) {
+      horizon = parseInt(horizonDays);
+      if (isNaN(horizon) || horizon < 1 || horizon > 90) {
+        return res.status(400).json({ message: 'Horizon must be between 1 and 90 days' });
+      }
+    }
+    
+    // Paths are simulated day by day, so the scenario count is capped lower than for VaR
+    if (simulations !== undefined && (!Number.isInteger(simulations) || simulations < 100 || simulations > 50000)) {
+      return res.status(400).json({ message: 'Simulations must be an integer between 100 and 50000' });
+    }
+    
+    if (seed !== undefined && !Number.isInteger(seed)) {
+      return res.status(400).json({ message: 'Seed must be an integer' });
+    }
+    
+    const history = parseHistoryDays(days);
+    if (history.error) {
+      return res.status(400).json({ message: history.error });
+    }
+    
+    const statistics = parseStatisticsOptions(req.body);
+    if (statistics.error) {
+      return res.status(400).json({ message: statistics.error });
+    }
+    
+    const analysis = await defiRiskService.analyzeLendingPosition({ collateral, debt }, {
+      ...statistics.options,
+      horizonDays: horizon,
+      simulations,
+      seed,
+      days: history.days
+    });
+    
+    res.json(analysis);
+  } catch (err) {
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    console.error('Error analyzing DeFi position:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Analyze a liquidity provider position: impermanent loss scenarios, fee
+ * breakeven and probability of leaving a concentrated range
+ * @route POST /api/risk/lp-position
+ */
+exports.analyzeLpPosition = async (req, res) => {
+  try {
+    const { type = 'constantProduct', token0, token1, depositValue, range, feeApr, pool,
+      horizonDays, scenarios, simulations, seed, days } = req.body;
+    const example = {
+      type: 'concentrated',
+      token0: 'ETH',
+      token1: 'USDC',
+      depositValue: 10000,
+      range: { lower: 5500, upper: 7500 },
+      pool: { feeTier: 0.003, dailyVolume: 25000000, tvl: 150000000 },
+      horizonDays: 30
     };
     
+    if (!['constantProduct', 'concentrated'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be constantProduct or concentrated', example });
+    }
+    
+    if (typeof token0 !== 'string' || typeof token1 !== 'string' || !token0 || !token1 ||
+        token0.toUpperCase() === token1.toUpperCase()) {
+      return res.status(400).json({ message: 'Two different token symbols (token0 and token1) are required', example });
+    }
+    
+    if (typeof depositValue !== 'number' || depositValue <= 0) {
+      return res.status(400).json({ message: 'Deposit value must be a positive USD amount', example });
+    }
+    
+    if (type === 'concentrated' && (!range || typeof range.lower !== 'number' || typeof range.upper !== 'number' ||
+        range.lower <= 0 || range.lower >= range.upper)) {
+      return res.status(400).json({ 
+        message: 'Concentrated positions need a price range with 0 < lower < upper (token0 priced in token1)',
+        example
+      });
+    }
+    
+    if (feeApr !== undefined && (typeof feeApr !== 'number' || feeApr < 0 || feeApr > 10)) {
+      return res.status(400).json({ message: 'Fee APR must be between 0 and 10' });
+    }
+    
+    if (pool !== undefined && (typeof pool.feeTier !== 'number' || pool.feeTier <= 0 || pool.feeTier >= 1 ||
+        typeof pool.dailyVolume !== 'number' || pool.dailyVolume < 0 ||
+        typeof pool.tvl !== 'number' || pool.tvl <= 0)) {
+      return res.status(400).json({ message: 'Pool needs a fee tier between 0 and 1, a daily volume and a positive TVL', example });
+    }
+    
+    let horizon = 30;
+    if (horizonDays !== undefined) {
+      horizon = parseInt(horizonDays);
+      if (isNaN(horizon) || horizon < 1 || horizon > 365) {
+        return res.status(400).json({ message: 'Horizon must be between 1 and 365 days' });
+      }
+    }
+    
+    if (scenarios !== undefined && (!Array.isArray(scenarios) || scenarios.length === 0 || scenarios.length > 50 ||
+        scenarios.some(move => typeof move !== 'number' || move <= -1 || move > 100))) {
+      return res.status(400).json({ message: 'Scenarios must be 1 to 50 price moves greater than -1 (e.g., -0.5 for -50%)' });
+    }
+    
+    if (simulations !== undefined && (!Number.isInteger(simulations) || simulations < 100 || simulations > 50000)) {
+      return res.status(400).json({ message: 'Simulations must be an integer between 100 and 50000' });
+    }
+    
+    if (seed !== undefined && !Number.isInteger(seed)) {
+      return res.status(400).json({ message: 'Seed must be an integer' });
+    }
+    
+    const history = parseHistoryDays(days);
+    if (history.error) {
+      return res.status(400).json({ message: history.error });
+    }
+    
+    const statistics = parseStatisticsOptions(req.body);
+    if (statistics.error) {
+      return res.status(400).json({ message: statistics.error });
+    }
+    
+    const analysis = await defiRiskService.analyzeLiquidityPosition(
+      { type, token0, token1, depositValue, range, feeApr, pool },
+      { ...statistics.options, horizonDays: horizon, scenarios, simulations, seed, days: history.days }
+    );
+    
+    res.json(analysis);
+  } catch (err) {
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    console.error('Error analyzing LP position:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Get hybrid risk analysis (combining crypto and traditional finance)
+ * @route POST /api/risk/hybrid
+ */
+exports.getHybridRiskAnalysis = async (req, res) => {
+  try {
+    const { cryptoHoldings, traditionalAssets } = req.body;
+    
+    if (!cryptoHoldings || !Array.isArray(cryptoHoldings) || cryptoHoldings.length === 0) {
+      return res.status(400).json({ message: 'Valid crypto holdings array is required' });
+    }
+    
+    if (!traditionalAssets || !Array.isArray(traditionalAssets) || traditionalAssets.length === 0) {
+      return res.status(400).json({ message: 'Valid traditional assets array is required' });
+    }
+    
+    // Validate crypto holdings format
+    for (const holding of cryptoHoldings) {
+      if (!holding.token || typeof holding.amount !== 'number' || holding.amount <= 0) {
+        return res.status(400).json({ 
+          message: 'Each crypto holding must have a token symbol and a positive amount',
+          example: { token: 'ETH', amount: 2.5 }
+        });
+      }
+    }
+    
+    // Validate traditional assets format
+    for (const asset of traditionalAssets) {
+      if (!asset.type || typeof asset.value !== 'number' || asset.value <= 0) {
+        return res.status(400).json({ 
+          message: 'Each traditional asset must have a type and a positive value',
+          example: { type: 'equity', ticker: 'AAPL', value: 10000 }
+        });
+      }
+      
+      if (!assetClassService.resolveAssetClass(asset.type)) {
+        return res.status(400).json({ 
+          message: `Unknown asset type '${asset.type}'`,
+          assetClasses: assetClassService.listAssetClasses().map(({ assetClass, aliases }) => ({ assetClass, aliases }))
+        });
+      }
+      
+      // Optional per-asset overrides of the annual asset class assumptions
+      if (asset.expectedReturn !== undefined &&
+          (typeof asset.expectedReturn !== 'number' || asset.expectedReturn <= -1 || asset.expectedReturn > 1)) {
+        return res.status(400).json({ message: 'Asset expected return must be greater than -1 and at most 1' });
+      }
+      
+      if (asset.volatility !== undefined &&
+          (typeof asset.volatility !== 'number' || asset.volatility < 0 || asset.volatility > 5)) {
+        return res.status(400).json({ message: 'Asset volatility must be between 0 and 5' });
+      }
+    }
+    
+    const { correlation, riskFreeRate, days } = req.body;
+    
+    if (correlation !== undefined && (typeof correlation !== 'number' || correlation < -1 || correlation > 1)) {
+      return res.status(400).json({ message: 'Correlation must be a number between -1 and 1' });
+    }
+    
+    let rfRate;
+    if (riskFreeRate !== undefined) {
+      rfRate = parseFloat(riskFreeRate);
+      if (isNaN(rfRate) || rfRate < 0 || rfRate > 1) {
+        return res.status(400).json({ message: 'Risk-free rate must be between 0 and 1' });
+      }
+    }
+    
+    const history = parseHistoryDays(days);
+    if (history.error) {
+      return res.status(400).json({ message: history.error });
+    }
+    
+    // Both sleeves share one calendar
+    const statistics = parseStatisticsOptions(req.body);
+    if (statistics.error) {
+      return res.status(400).json({ message: statistics.error });
+    }
+    
+    const hybridAnalysis = await riskService.calculateHybridRisk(cryptoHoldings, traditionalAssets, {
+      ...statistics.options,
+      correlation,
+      riskFreeRate: rfRate,
+      days: history.days
+    });
+    
     res.json(hybridAnalysis);
   } catch (err) {
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
     console.error('Error calculating hybrid risk analysis:', err.message);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
+
+/**
+ * Generate a signed risk report combining wallet risk, VaR, Sharpe ratio and volatility
+ * @route POST /api/risk/report
+ */
+exports.generateReport = async (req, res) => {
+  try {
+    const { client, wallet, holdings, confidenceLevel, method, riskFreeRate, days } = req.body;
+    
+    if (!client || typeof client.name !== 'string' || client.name.trim() === '') {
+      return res.status(400).json({ 
+        message: 'Client name is required',
+        example: { client: { name: 'Acme Capital', reference: 'ACME-2025-Q2' }, wallet: '0x742d35Cc6634C0532925a3b844Bc454e4438f44e' }
+      });
+    }
+    
+    if (!wallet && (!holdings || !Array.isArray(holdings) || holdings.length === 0)) {
+      return res.status(400).json({ message: 'A wallet address or holdings array is required' });
+    }
+    
+    // Validate Ethereum address format
+    const addressRegex = /^0x[a-fA-F0-9]{40}$/;
+    if (wallet && !addressRegex.test(wallet)) {
+      return res.status(400).json({ message: 'Invalid Ethereum address format' });
+    }
+    
+    if (holdings !== undefined) {
+      if (!Array.isArray(holdings)) {
+        return res.status(400).json({ message: 'Holdings must be an array' });
+      }
+      for (const holding of holdings) {
+        if (!holding.token || typeof holding.amount !== 'number' || holding.amount <= 0) {
+          return res.status(400).json({ 
+            message: 'Each holding must have a token symbol and a positive amount',
+            example: { token: 'ETH', amount: 2.5 }
+          });
+        }
+      }
+    }
+    
+    let confLevel = 0.95; // Default
+    if (confidenceLevel !== undefined) {
+      confLevel = parseFloat(confidenceLevel);
+      if (isNaN(confLevel) || confLevel <= 0 || confLevel >= 1) {
+        return res.status(400).json({ message: 'Confidence level must be between 0 and 1' });
+      }
+    }
+    
+    if (method !== undefined && !riskService.VAR_METHODS.includes(method)) {
+      return res.status(400).json({ 
+        message: `Method must be one of: ${riskService.VAR_METHODS.join(', ')}`
+      });
+    }
+    
+    let rfRate = 0.04; // Default
+    if (riskFreeRate !== undefined) {
+      rfRate = parseFloat(riskFreeRate);
+      if (isNaN(rfRate) || rfRate < 0 || rfRate > 1) {
+        return res.status(400).json({ message: 'Risk-free rate must be between 0 and 1' });
+      }
+    }
+    
+    const history = parseHistoryDays(days);
+    if (history.error) {
+      return res.status(400).json({ message: history.error });
+    }
+    
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json or pdf' });
+    }
+    
+    const signedReport = await reportService.generateReport(
+      { name: client.name.trim(), reference: client.reference },
+      { wallet, holdings, confidenceLevel: confLevel, method, riskFreeRate: rfRate, days: history.days }
+
+    );
+    
+    if (format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="risk-report-${signedReport.report.reportId}.pdf"`);
+      return res.send(reportService.renderReportPdf(signedReport));
+    }
+    
+    // Send the canonical form so the file on disk is byte-for-byte what was signed
+    res.set('Content-Type', 'application/json');
+    res.set('Content-Disposition', `attachment; filename="risk-report-${signedReport.report.reportId}.json"`);
+    res.send(reportService.canonicalize(signedReport));
+  } catch (err) {
+    if (PRICE_HISTORY_ERROR_STATUS[err.code]) {
+      return res.status(PRICE_HISTORY_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    console.error('Error generating risk report:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Verify the signature of a risk report JSON export
+ * @route POST /api/risk/report/verify
+ */
+exports.verifyReport = async (req, res) => {
+  try {
+    const { report, signature } = req.body;
+    
+    if (!report || typeof report !== 'object' || !signature || typeof signature !== 'object') {
+      return res.status(400).json({ message: 'Report and signature objects are required' });
+    }
+    
+    res.json(reportService.verifyReport(report, signature));
+  } catch (err) {
+    console.error('Error verifying risk report:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Get the public key used to sign risk reports
+ * @route GET /api/risk/report/public-key
+ */
+exports.getReportPublicKey = async (req, res) => {
+  try {
+    res.json(reportService.getPublicKey());
+  } catch (err) {
+    console.error('Error fetching report public key:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
@@ -0,0 +1,140 @@
+/**
+ * Threat Intelligence Controller
+ * Handles API requests for managing the sanctions and threat lists used
+ * by wallet risk analysis.
+ */
+const threatIntelService = require('../services/threat-intel.service');
+
+// Validate Ethereum address format
+const addressRegex = /^0x[a-fA-F0-9]{40}$/;
+
+/**
+ * Normalize a category the way the service stores it
+ * @param {*} category - Category from the request
+ * @returns {*} Trimmed lowercase category, or the value unchanged if not a string
+ */
+const normalizeCategory = (category) => (typeof category === 'string' ? category.trim().toLowerCase() : category);
+
+/**
+ * Get a summary of the loaded threat lists
+ * @route GET /api/risk/threat-lists
+ */
+exports.getListSummary = async (req, res) => {
+  try {
+    const summary = await threatIntelService.getListSummary();
+    res.json(summary);
+  } catch (err) {
+    console.error('Error summarizing threat lists:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Look an address up in the threat lists
+ * @route GET /api/risk/threat-lists/lookup/:address
+ */
+exports.lookupAddress = async (req, res) => {
+  try {
+    const { address } = req.params;
+    
+    if (!addressRegex.test(address)) {
+      return res.status(400).json({ message: 'Invalid Ethereum address format' });
+    }
+    
+    const entries = threatIntelService.lookupAddress(address);
+    res.json({
+      address,
+      listed: entries.length > 0,
+      entries
+    });
+  } catch (err) {
+    console.error('Error looking up address:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Add an address to a threat list
+ * @route POST /api/risk/threat-lists/entries
+ */
+exports.addEntry = async (req, res) => {
+  try {
+    const { address, source, notes, dateAdded } = req.body;
+    const category = normalizeCategory(req.body.category);
+    
+    if (!address || !addressRegex.test(address)) {
+      return res.status(400).json({ message: 'Valid Ethereum address is required' });
+    }
+    
+    if (!category || !threatIntelService.THREAT_CATEGORIES.includes(category)) {
+      return res.status(400).json({ 
+        message: `Category must be one of: ${threatIntelService.THREAT_CATEGORIES.join(', ')}`
+      });
+    }
+    
+    if (!source || typeof source !== 'string') {
+      return res.status(400).json({ message: 'Source is required' });
+    }
+    
+    const entry = await threatIntelService.addEntry({ address, category, source, notes, dateAdded });
+    res.status(201).json(entry);
+  } catch (err) {
+    console.error('Error adding threat list entry:', err.message);
+    res.status(400).json({ message: err.message });
+  }
+};
+
+/**
+ * Remove an address from the threat lists
+ * @route DELETE /api/risk/threat-lists/entries/:address
+ */
+exports.removeEntry = async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { source } = req.query;
+    
+    if (!addressRegex.test(address)) {
+      return res.status(400).json({ message: 'Invalid Ethereum address format' });
+    }
+    
+    const removed = await threatIntelService.removeEntry(address, source);
+    if (removed === 0) {
+      return res.status(404).json({ message: 'Address not found in threat lists' });
+    }
+    
+    res.json({ address, removed });
+  } catch (err) {
+    console.error('Error removing threat list entry:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Import a threat list file from the threat list directory
+ * @route POST /api/risk/threat-lists/import
+ */
+exports.importList = async (req, res) => {
+  try {
+    const { fileName, source } = req.body;
+    const category = normalizeCategory(req.body.category);
+    
+    if (!fileName || typeof fileName !== 'string') {
+      return res.status(400).json({ 
+        message: 'File name of a .json or .csv list is required',
+        example: { fileName: 'community-reports.csv', source: 'community-reports', category: 'phishing' }
+      });
+    }
+    
+    if (category && !threatIntelService.THREAT_CATEGORIES.includes(category)) {
+      return res.status(400).json({ 
+        message: `Category must be one of: ${threatIntelService.THREAT_CATEGORIES.join(', ')}`
+      });
+    }
+    
+    const summary = await threatIntelService.importList(fileName, { source, category });
+    res.json(summary);
+  } catch (err) {
+    console.error('Error importing threat list:', err.message);
+    res.status(400).json({ message: err.message });
+  }
+};
@@ -13,6 +13,8 @@ const authRoutes = require('./routes/auth.routes');
 const userRoutes = require('./routes/user.routes');
 const contractRoutes = require('./routes/contract.routes');
 const riskRoutes = require('./routes/risk.routes');
+const threatIntelRoutes = require('./routes/threat-intel.routes');
+const priceHistoryRoutes = require('./routes/price-history.routes');
 const bankingRoutes = require('./routes/banking.routes');
 const privacyRoutes = require('./routes/privacy.routes');
 const blockchainRoutes = require('./routes/blockchain.routes');
@@ -50,6 +52,8 @@ app.use((req, res, next) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/contracts', contractRoutes);
+app.use('/api/risk/threat-lists', threatIntelRoutes);
+app.use('/api/risk/prices', priceHistoryRoutes);
 app.use('/api/risk', riskRoutes);
 app.use('/api/banking', bankingRoutes);
 app.use('/api/privacy', privacyRoutes);
@@ -0,0 +1,22 @@
+/**
+ * Admin Middleware
+ * Restricts routes to administrators listed in the ADMIN_EMAILS environment variable
+ * In development mode without ADMIN_EMAILS, every authenticated user is treated as an admin
+ */
+module.exports = function(req, res, next) {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(email => email.length > 0);
+  
+  // HACKATHON DEMO MODE: allow everyone when no admins are configured outside production
+  if (adminEmails.length === 0 && process.env.NODE_ENV !== 'production') {
+    return next();
+  }
+  
+  if (!req.user || !req.user.email || !adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  
+  next();
+};
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const PriceBarSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  interval: {
+    type: String,
+    enum: ['1h', '1d'],
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  open: {
+    type: Number,
+    required: true
+  },
+  high: {
+    type: Number,
+    required: true
+  },
+  low: {
+    type: Number,
+    required: true
+  },
+  close: {
+    type: Number,
+    required: true
+  },
+  volume: {
+    type: Number,
+    default: null
+  },
+  source: {
+    type: String,
+    default: 'import'
+  }
+});
+
+// One bar per symbol, interval and bar start; series are read in date order
+PriceBarSchema.index({ symbol: 1, interval: 1, timestamp: 1 }, { unique: true });
+
+module.exports = mongoose.model('PriceBar', PriceBarSchema);
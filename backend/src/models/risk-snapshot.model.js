@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const RiskSnapshotSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  riskScore: {
+    type: Number,
+    required: true
+  },
+  riskLevel: {
+    type: String,
+    enum: ['Low', 'Medium', 'High'],
+    required: true
+  },
+  scoreBreakdown: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  drift: {
+    fromLevel: String,
+    toLevel: String,
+    fromScore: Number,
+    toScore: Number,
+    direction: {
+      type: String,
+      enum: ['deteriorated', 'improved']
+    }
+  },
+  analysisDate: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Most queries fetch one wallet's history in date order
+RiskSnapshotSchema.index({ address: 1, analysisDate: -1 });
+
+module.exports = mongoose.model('RiskSnapshot', RiskSnapshotSchema);
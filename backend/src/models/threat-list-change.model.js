@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const ThreatListChangeSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  source: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  action: {
+    type: String,
+    enum: ['add', 'remove'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['mixer', 'exploit', 'phishing', 'sanctioned']
+  },
+  dateAdded: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Only the latest change per address and source is kept
+ThreatListChangeSchema.index({ address: 1, source: 1 }, { unique: true });
+
+module.exports = mongoose.model('ThreatListChange', ThreatListChangeSchema);
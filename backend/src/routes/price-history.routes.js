@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const priceHistoryController = require('../controllers/price-history.controller');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+/**
+ * @route GET /api/risk/prices
+ * @desc Get the symbols, intervals and date ranges in the price history store
+ * @access Private
+ */
+router.get('/', auth, priceHistoryController.getCoverage);
+
+/**
+ * @route POST /api/risk/prices/import
+ * @desc Import OHLCV bars from inline CSV or a CSV file in the price import directory
+ * @access Admin
+ */
+router.post('/import', auth, admin, priceHistoryController.importPrices);
+
+/**
+ * @route GET /api/risk/prices/:symbol
+ * @desc Get a token's hourly or daily bars with any gaps in the series
+ * @access Private
+ */
+router.get('/:symbol', auth, priceHistoryController.getPriceHistory);
+
+/**
+ * @route POST /api/risk/prices/:symbol/fetch
+ * @desc Fetch a token's price history from a market data provider into the store
+ * @access Admin
+ */
+router.post('/:symbol/fetch', auth, admin, priceHistoryController.fetchPrices);
+
+module.exports = router;
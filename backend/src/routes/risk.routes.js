@@ -10,9 +10,44 @@ const auth = require('../middleware/auth');
  */
 router.get('/wallet/:address', auth, riskController.analyzeWalletRisk);
 
+/**
+ * @route POST /api/risk/wallet/batch
+ * @desc Screen a batch of wallets (JSON array or CSV upload); ?format=csv downloads a CSV report
+ * @access Private
+ */
+router.post('/wallet/batch', auth, express.text({ type: 'text/csv', limit: '1mb' }), riskController.analyzeWalletBatch);
+
+/**
+ * @route GET /api/risk/wallet/:address/history
+ * @desc Get wallet risk score history and band drift events
+ * @access Private
+ */
+router.get('/wallet/:address/history', auth, riskController.getWalletRiskHistory);
+
+/**
+ * @route GET /api/risk/wallet/:address/exposure
+ * @desc Analyze multi-hop counterparty exposure to flagged addresses
+ * @access Private
+ */
+router.get('/wallet/:address/exposure', auth, riskController.analyzeCounterpartyExposure);
+
+/**
+ * @route GET /api/risk/wallet/:address/approvals
+ * @desc Audit outstanding ERC-20 allowances and NFT operator approvals and the value each spender could drain
+ * @access Private
+ */
+router.get('/wallet/:address/approvals', auth, riskController.auditWalletApprovals);
+
+/**
+ * @route GET /api/risk/wallet/:address/behavior
+ * @desc Detect behavioral anomalies (bursts, dusting, peel chains, structuring) against the wallet's baseline
+ * @access Private
+ */
+router.get('/wallet/:address/behavior', auth, riskController.analyzeWalletBehavior);
+
 /**
  * @route GET /api/risk/volatility/:token
- * @desc Get token volatility analysis
+ * @desc Get token volatility analysis with rolling, EWMA and GARCH(1,1) volatility series
  * @access Private
  */
 router.get('/volatility/:token', auth, riskController.getTokenVolatility);
@@ -24,6 +59,27 @@ router.get('/volatility/:token', auth, riskController.getTokenVolatility);
  */
 router.post('/var', auth, riskController.calculateVaR);
 
+/**
+ * @route POST /api/risk/var/liquidity-adjusted
+ * @desc Calculate liquidity-adjusted VaR with exit costs from position size relative to daily volume
+ * @access Private
+ */
+router.post('/var/liquidity-adjusted', auth, riskController.calculateLiquidityAdjustedVaR);
+
+/**
+ * @route POST /api/risk/var/backtest
+ * @desc Backtest the VaR model with Kupiec and Christoffersen tests and a Basel traffic-light zone
+ * @access Private
+ */
+router.post('/var/backtest', auth, riskController.backtestVaR);
+
+/**
+ * @route POST /api/risk/expected-shortfall
+ * @desc Calculate Expected Shortfall (CVaR) and tail-risk metrics for a portfolio
+ * @access Private
+ */
+router.post('/expected-shortfall', auth, riskController.calculateExpectedShortfall);
+
 /**
  * @route POST /api/risk/sharpe
  * @desc Calculate Sharpe Ratio for a portfolio or token
@@ -31,6 +87,55 @@ router.post('/var', auth, riskController.calculateVaR);
  */
 router.post('/sharpe', auth, riskController.calculateSharpe);
 
+/**
+ * @route POST /api/risk/performance
+ * @desc Calculate Sharpe, Sortino, Calmar, Omega, Treynor and Information ratios against a benchmark
+ * @access Private
+ */
+router.post('/performance', auth, riskController.calculatePerformance);
+
+/**
+ * @route POST /api/risk/benchmark
+ * @desc Calculate portfolio and per-token beta, alpha, tracking error and R² against a benchmark or index basket
+ * @access Private
+ */
+router.post('/benchmark', auth, riskController.calculateBenchmarkAnalytics);
+
+/**
+ * @route GET /api/risk/stress-test/scenarios
+ * @desc List the built-in stress scenarios
+ * @access Private
+ */
+router.get('/stress-test/scenarios', auth, riskController.getStressScenarios);
+
+/**
+ * @route POST /api/risk/stress-test
+ * @desc Project portfolio P&L under built-in historical and custom shock scenarios
+ * @access Private
+ */
+router.post('/stress-test', auth, riskController.runStressTest);
+
+/**
+ * @route POST /api/risk/optimize
+ * @desc Suggest allocations: efficient frontier, max-Sharpe, minimum-variance and risk parity portfolios
+ * @access Private
+ */
+router.post('/optimize', auth, riskController.optimizePortfolio);
+
+/**
+ * @route POST /api/risk/defi-position
+ * @desc Analyze a lending position's health factor, liquidation prices and liquidation probability
+ * @access Private
+ */
+router.post('/defi-position', auth, riskController.analyzeDefiPosition);
+
+/**
+ * @route POST /api/risk/lp-position
+ * @desc Analyze impermanent loss, fee breakeven and range risk of a liquidity provider position
+ * @access Private
+ */
+router.post('/lp-position', auth, riskController.analyzeLpPosition);
+
 /**
  * @route POST /api/risk/hybrid
  * @desc Get hybrid risk analysis (combining crypto and traditional finance)
@@ -38,4 +143,25 @@ router.post('/sharpe', auth, riskController.calculateSharpe);
  */
 router.post('/hybrid', auth, riskController.getHybridRiskAnalysis);
 
+/**
+ * @route POST /api/risk/report
+ * @desc Generate a signed client risk report; ?format=pdf downloads a PDF instead of signed JSON
+ * @access Private
+ */
+router.post('/report', auth, riskController.generateReport);
+
+/**
+ * @route POST /api/risk/report/verify
+ * @desc Verify the signature of a risk report JSON export
+ * @access Public
+ */
+router.post('/report/verify', riskController.verifyReport);
+
+/**
+ * @route GET /api/risk/report/public-key
+ * @desc Get the public key risk reports are signed with
+ * @access Public
+ */
+router.get('/report/public-key', riskController.getReportPublicKey);
+
 module.exports = router;
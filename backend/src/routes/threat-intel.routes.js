@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const threatIntelController = require('../controllers/threat-intel.controller');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+/**
+ * @route GET /api/risk/threat-lists
+ * @desc Get a summary of the loaded threat lists
+ * @access Admin
+ */
+router.get('/', auth, admin, threatIntelController.getListSummary);
+
+/**
+ * @route GET /api/risk/threat-lists/lookup/:address
+ * @desc Look an address up in the threat lists
+ * @access Private
+ */
+router.get('/lookup/:address', auth, threatIntelController.lookupAddress);
+
+/**
+ * @route POST /api/risk/threat-lists/entries
+ * @desc Add an address to a threat list
+ * @access Admin
+ */
+router.post('/entries', auth, admin, threatIntelController.addEntry);
+
+/**
+ * @route DELETE /api/risk/threat-lists/entries/:address
+ * @desc Remove an address from the threat lists (optionally only from one source)
+ * @access Admin
+ */
+router.delete('/entries/:address', auth, admin, threatIntelController.removeEntry);
+
+/**
+ * @route POST /api/risk/threat-lists/import
+ * @desc Import a JSON or CSV threat list from the threat list directory
+ * @access Admin
+ */
+router.post('/import', auth, admin, threatIntelController.importList);
+
+module.exports = router;
@@ -0,0 +1,364 @@
+/**
+ * Approval Audit Service
+ * Reconstructs a wallet's outstanding ERC-20 allowances and ERC-721
+ * setApprovalForAll grants from its approval event history, flags unlimited
+ * allowances and approvals to unverified or blacklisted spenders, and estimates
+ * what each spender could take from the wallet if it were compromised.
+ *
+ * Events are replayed in block order:
+ * - { event: 'Approval', token, spender, amount } sets an allowance (0 revokes it)
+ * - { event: 'Transfer', token, spender, amount } is a transferFrom by the spender
+ *   and uses up part of a limited allowance
+ * - { event: 'ApprovalForAll', collection, operator, approved } grants or revokes
+ *   an operator for a whole NFT collection
+ * Amounts are raw integer strings in the token's smallest unit.
+ *
+ * Verified spenders are read from a JSON file at startup. Set
+ * VERIFIED_SPENDERS_FILE to point at a different file.
+ */
+const fs = require('fs');
+const path = require('path');
+const threatIntelService = require('./threat-intel.service');
+const priceHistoryService = require('./price-history.service');
+
+const VERIFIED_SPENDERS_FILE = process.env.VERIFIED_SPENDERS_FILE || path.join(__dirname, '..', 'data', 'verified-spenders.json');
+
+// Allowances at or above uint96 max are treated as unlimited; wallets and
+// dapps commonly approve uint96, uint160 or uint256 max for "infinite" approvals
+const UNLIMITED_ALLOWANCE = 2n ** 96n - 1n;
+
+// ERC-20 tokens the audit can value: lowercase address -> metadata
+const KNOWN_TOKENS = {
+  '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': { symbol: 'USDC', decimals: 6, priceSymbol: 'USDC' },
+  '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': { symbol: 'WETH', decimals: 18, priceSymbol: 'ETH' },
+  '0x6b175474e89094c44da98b954eedeac495271d0f': { symbol: 'DAI', decimals: 18, priceSymbol: 'DAI' }
+};
+
+// Mock NFT collection data: lowercase address -> name and floor price in ETH
+const mockCollections = {
+  '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d': { name: 'Bored Ape Yacht Club', floorPriceEth: 12 },
+  '0xbd3531da5cf5857e7cfaa92426877b022e612cf8': { name: 'Pudgy Penguins', floorPriceEth: 10 }
+};
+
+const MAX_UINT256 = '115792089237316195423570985008687907853269984665640564039457584007913129639935';
+
+// Mock approval event logs and holdings of the demo wallets
+const mockApprovalHistory = {
+  '0x8915beab6ccaa2f486d8b1c36c7ec151f9c72f5e': {
+    events: [
+      { event: 'Approval', token: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', spender: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', amount: '2000000000', blockNumber: 22180412, timestamp: '2025-04-02T08:11:23Z' },
+      { event: 'Transfer', token: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', spender: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', amount: '1500000000', blockNumber: 22187530, timestamp: '2025-04-03T08:02:47Z' },
+      { event: 'ApprovalForAll', collection: '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D', operator: '0x5e1f00000000000000000000000000000000c0de', approved: true, blockNumber: 22251877, timestamp: '2025-04-12T06:40:11Z' },
+      { event: 'Approval', token: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', spender: '0xdead345678901234567890123456789012345678', amount: MAX_UINT256, blockNumber: 22287964, timestamp: '2025-04-17T09:15:00Z' }
+    ],
+    balances: {
+      tokens: { '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': 5200, '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': 1.8 },
+      collections: { '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d': 1 }
+    }
+  },
+  '0x7825beab6ccaa2f486d8b1c36c7ec151f9c72f5e': {
+    events: [
+      { event: 'Approval', token: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', spender: '0x1111111254EEB25477B68fb85Ed929f73A960582', amount: MAX_UINT256, blockNumber: 22173105, timestamp: '2025-04-01T07:35:59Z' },
+      { event: 'ApprovalForAll', collection: '0xBd3531dA5CF5857e7CfAA92426877b022e612cf8', operator: '0x00000000000000ADc04C56Bf30aC9d3c0aAF14dC', approved: true, blockNumber: 22230518, timestamp: '2025-04-09T07:14:35Z' },
+      { event: 'Approval', token: '0x6B175474E89094C44Da98b954EedeAC495271d0F', spender: '0x2345678901234567890123456789012345678901', amount: MAX_UINT256, blockNumber: 22288263, timestamp: '2025-04-17T10:15:00Z' }
+    ],
+    balances: {
+      tokens: { '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': 3.2, '0x6b175474e89094c44da98b954eedeac495271d0f': 8000 },
+      collections: { '0xbd3531da5cf5857e7cfaa92426877b022e612cf8': 2 }
+    }
+  },
+  '0x6735beab6ccaa2f486d8b1c36c7ec151f9c72f5e': {
+    events: [
+      { event: 'Approval', token: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', spender: '0x000000000022D473030F116dDEE9F6B43aC78BA3', amount: MAX_UINT256, blockNumber: 22166402, timestamp: '2025-03-31T09:12:47Z' },
+      { event: 'Approval', token: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', spender: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2', amount: '500000000000000000', blockNumber: 22209311, timestamp: '2025-04-06T08:05:23Z' },
+      { event: 'Transfer', token: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', spender: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2', amount: '500000000000000000', blockNumber: 22209312, timestamp: '2025-04-06T08:05:35Z' },
+      { event: 'Approval', token: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', spender: '0x000000000022D473030F116dDEE9F6B43aC78BA3', amount: '0', blockNumber: 22216044, timestamp: '2025-04-07T07:37:11Z' },
+      { event: 'Approval', token: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', spender: '0x3456789012345678901234567890123456789012', amount: '1000000', blockNumber: 22288562, timestamp: '2025-04-17T11:15:00Z' }
+    ],
+    balances: {
+      tokens: { '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': 1200, '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': 0.4 },
+      collections: {}
+    }
+  }
+};
+
+/**
+ * Read the verified spender registry
+ * @param {string} filePath - Path to the JSON registry
+ * @returns {Map} Lowercase address -> { name, protocol }
+ */
+const loadVerifiedSpenders = (filePath) => {
+  const registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(registry.spenders)) {
+    throw new Error('Verified spender registry must have a spenders array');
+  }
+  
+  return new Map(registry.spenders.map(spender => {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(spender.address || '') || !spender.name) {
+      throw new Error(`Invalid verified spender: ${spender.address || '(empty)'}`);
+    }
+    return [spender.address.toLowerCase(), { name: spender.name, protocol: spender.protocol || null }];
+  }));
+};
+
+const verifiedSpenders = loadVerifiedSpenders(VERIFIED_SPENDERS_FILE);
+
+/**
+ * Get the recorded approval events and holdings of a wallet
+ * @param {string} address - Wallet address
+ * @returns {Object|undefined} { events, balances }, or undefined if nothing is recorded
+ */
+const getApprovalHistory = (address) => mockApprovalHistory[address.toLowerCase()];
+
+/**
+ * Convert a raw token amount into whole token units
+ * @param {bigint} raw - Amount in the token's smallest unit
+ * @param {number} decimals - Token decimals
+ * @returns {number} Amount in token units
+ */
+const toUnits = (raw, decimals) => Number(raw) / Math.pow(10, decimals);
+
+/**
+ * Replay approval events into the approvals still outstanding
+ * @param {Array} events - Approval, Transfer and ApprovalForAll events
+ * @returns {Object} Outstanding allowances and operator grants, and the number revoked or used up
+ */
+const reconstructApprovals = (events) => {
+  const allowances = new Map();
+  const operators = new Map();
+  let revoked = 0;
+  let consumed = 0;
+  
+  const ordered = [...events].sort((a, b) => a.blockNumber - b.blockNumber);
+  for (const event of ordered) {
+    if (event.event === 'Approval') {
+      const key = `${event.token.toLowerCase()}:${event.spender.toLowerCase()}`;
+      const amount = BigInt(event.amount);
+      if (amount === 0n) {
+        if (allowances.delete(key)) revoked++;
+      } else {
+        allowances.set(key, { token: event.token, spender: event.spender, amount, approvedAt: event.timestamp, blockNumber: event.blockNumber });
+      }
+    } else if (event.event === 'Transfer') {
+      const key = `${event.token.toLowerCase()}:${event.spender.toLowerCase()}`;
+      const allowance = allowances.get(key);
+      // Unlimited allowances are not decreased by transferFrom
+      if (allowance && allowance.amount < UNLIMITED_ALLOWANCE) {
+        allowance.amount -= BigInt(event.amount);
+        if (allowance.amount <= 0n) {
+          allowances.delete(key);
+          consumed++;
+        }
+      }
+    } else if (event.event === 'ApprovalForAll') {
+      const key = `${event.collection.toLowerCase()}:${event.operator.toLowerCase()}`;
+      if (event.approved) {
+        operators.set(key, { collection: event.collection, operator: event.operator, approvedAt: event.timestamp, blockNumber: event.blockNumber });
+      } else if (operators.delete(key)) {
+        revoked++;
+      }
+    }
+  }
+  
+  return { allowances: [...allowances.values()], operators: [...operators.values()], revoked, consumed };
+};
+
+/**
+ * Describe a spender's verification and threat list status
+ * @param {string} address - Spender or operator address
+ * @returns {Object} Name, verified flag and threat list entries
+ */
+const describeSpender = (address) => {
+  const verified = verifiedSpenders.get(address.toLowerCase());
+  const listings = threatIntelService.lookupAddress(address);
+  return {
+    name: verified ? verified.name : null,
+    verified: Boolean(verified),
+    blacklisted: listings.length > 0,
+    lists: listings.map(entry => ({ source: entry.source, category: entry.category }))
+  };
+};
+
+/**
+ * Classify an approval from its flags
+ * @param {Array<string>} flags - Approval flags
+ * @returns {string} Risk level
+ */
+const approvalRiskLevel = (flags) => {
+  if (flags.includes('blacklisted')) return 'High';
+  if (flags.includes('unverified') && (flags.includes('unlimited') || flags.includes('collection-wide'))) return 'Medium';
+  return 'Low';
+};
+
+/**
+ * Audit a wallet's outstanding token approvals
+ * @param {string} address - Wallet address
+ * @param {Object} history - Approval history
+ * @param {Array} history.events - Approval, Transfer and ApprovalForAll events
+ * @param {Object} history.balances - { tokens: { address: units }, collections: { address: count } }
+ * @returns {Promise<Object>} Outstanding approvals, value at risk per spender and recommendations
+ */
+const auditApprovals = async (address, history = {}) => {
+  const { events = [], balances = {} } = history;
+  const tokenBalances = balances.tokens || {};
+  const collectionBalances = balances.collections || {};
+  const warnings = [];
+  
+  // Latest close per price symbol, or null when the store has no price
+  const prices = new Map();
+  const getPrice = async (symbol) => {
+    if (!prices.has(symbol)) {
+      try {
+        const priceHistory = await priceHistoryService.getPriceHistory(symbol, { interval: '1d', limit: 1 });
+        prices.set(symbol, priceHistory.bars[0].close);
+      } catch (error) {
+        if (error.code !== 'NO_PRICE_DATA') throw error;
+        warnings.push(`No price data for ${symbol}; approvals of it are not valued`);
+        prices.set(symbol, null);
+      }
+    }
+    return prices.get(symbol);
+  };
+  
+  const { allowances, operators, revoked, consumed } = reconstructApprovals(events);
+  
+  const approvals = [];
+  for (const allowance of allowances) {
+    const tokenKey = allowance.token.toLowerCase();
+    const token = KNOWN_TOKENS[tokenKey] || { symbol: null, decimals: 18, priceSymbol: null };
+    const unlimited = allowance.amount >= UNLIMITED_ALLOWANCE;
+    const spender = describeSpender(allowance.spender);
+    const balance = tokenBalances[tokenKey] || 0;
+    const amount = unlimited ? null : toUnits(allowance.amount, token.decimals);
+    const price = token.priceSymbol ? await getPrice(token.priceSymbol) : null;
+    if (!token.symbol) {
+      warnings.push(`Unknown token ${allowance.token}; its approval is not valued`);
+    }
+    
+    const flags = [
+      ...(unlimited ? ['unlimited'] : []),
+      ...(spender.verified ? [] : ['unverified']),
+      ...(spender.blacklisted ? ['blacklisted'] : [])
+    ];
+    const exposedAmount = unlimited ? balance : Math.min(amount, balance);
+    
+    approvals.push({
+      standard: 'ERC-20',
+      token: allowance.token,
+      symbol: token.symbol,
+      spender: allowance.spender,
+      spenderName: spender.name,
+      verified: spender.verified,
+      lists: spender.lists,
+      allowance: amount,
+      allowanceRaw: allowance.amount.toString(),
+      unlimited,
+      balance,
+      exposedAmount,
+      price,
+      valueAtRisk: price === null ? null : exposedAmount * price,
+      flags,
+      riskLevel: approvalRiskLevel(flags),
+      approvedAt: allowance.approvedAt
+    });
+  }
+  
+  const ethPrice = operators.length > 0 ? await getPrice('ETH') : null;
+  for (const grant of operators) {
+    const collectionKey = grant.collection.toLowerCase();
+    const collection = mockCollections[collectionKey] || { name: null, floorPriceEth: null };
+    const operator = describeSpender(grant.operator);
+    const nftCount = collectionBalances[collectionKey] || 0;
+    const floorPrice = collection.floorPriceEth !== null && ethPrice !== null ? collection.floorPriceEth * ethPrice : null;
+    if (!collection.name) {
+      warnings.push(`Unknown collection ${grant.collection}; its operator grant is not valued`);
+    }
+    
+    const flags = [
+      'collection-wide',
+      ...(operator.verified ? [] : ['unverified']),
+      ...(operator.blacklisted ? ['blacklisted'] : [])
+    ];
+    
+    approvals.push({
+      standard: 'ERC-721',
+      collection: grant.collection,
+      collectionName: collection.name,
+      spender: grant.operator,
+      spenderName: operator.name,
+      verified: operator.verified,
+      lists: operator.lists,
+      nftCount,
+      floorPrice,
+      valueAtRisk: floorPrice === null ? null : nftCount * floorPrice,
+      flags,
+      riskLevel: approvalRiskLevel(flags),
+      approvedAt: grant.approvedAt
+    });
+  }
+  
+  // What each spender could take on its own if its keys or contract were compromised
+  const spenders = new Map();
+  for (const approval of approvals) {
+    const key = approval.spender.toLowerCase();
+    if (!spenders.has(key)) {
+      spenders.set(key, {
+        spender: approval.spender,
+        name: approval.spenderName,
+        verified: approval.verified,
+        blacklisted: approval.flags.includes('blacklisted'),
+        approvals: 0,
+        valueAtRisk: 0
+      });
+    }
+    const summary = spenders.get(key);
+    summary.approvals++;
+    summary.valueAtRisk += approval.valueAtRisk || 0;
+  }
+  
+  // Every spender at once can take at most the wallet's balance of each token
+  const exposedByToken = new Map();
+  approvals.filter(approval => approval.standard === 'ERC-20').forEach(approval => {
+    const key = approval.token.toLowerCase();
+    const entry = exposedByToken.get(key) || { balance: approval.balance, price: approval.price, exposed: 0 };
+    entry.exposed = Math.min(entry.balance, entry.exposed + approval.exposedAmount);
+    exposedByToken.set(key, entry);
+  });
+  const exposedCollections = new Map();
+  approvals.filter(approval => approval.standard === 'ERC-721').forEach(approval => {
+    exposedCollections.set(approval.collection.toLowerCase(), approval.valueAtRisk || 0);
+  });
+  const totalValueAtRisk =
+    [...exposedByToken.values()].reduce((sum, entry) => sum + (entry.price === null ? 0 : entry.exposed * entry.price), 0) +
+    [...exposedCollections.values()].reduce((sum, value) => sum + value, 0);
+  
+  // Listed spenders first, then by value at risk
+  const riskyApprovals = approvals
+    .filter(approval => approval.riskLevel !== 'Low')
+    .sort((a, b) => (a.riskLevel === 'High' ? 0 : 1) - (b.riskLevel === 'High' ? 0 : 1) || (b.valueAtRisk || 0) - (a.valueAtRisk || 0));
+  
+  return {
+    address,
+    outstanding: approvals.length,
+    revoked,
+    consumed,
+    unlimited: approvals.filter(approval => approval.flags.includes('unlimited')).length,
+    unverified: approvals.filter(approval => approval.flags.includes('unverified')).length,
+    blacklisted: approvals.filter(approval => approval.flags.includes('blacklisted')).length,
+    totalValueAtRisk,
+    approvals: approvals.sort((a, b) => (b.valueAtRisk || 0) - (a.valueAtRisk || 0)),
+    spenders: [...spenders.values()].sort((a, b) => b.valueAtRisk - a.valueAtRisk),
+    recommendations: riskyApprovals.map(approval =>
+      `Revoke the ${approval.standard === 'ERC-20' ? `${approval.symbol || approval.token} allowance` : `${approval.collectionName || approval.collection} operator approval`} ` +
+      `granted to ${approval.spenderName || approval.spender} (${approval.flags.join(', ')})`
+    ),
+    warnings: [...new Set(warnings)],
+    analysisDate: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  UNLIMITED_ALLOWANCE,
+  getApprovalHistory,
+  auditApprovals
+};
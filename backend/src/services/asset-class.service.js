@@ -0,0 +1,117 @@
+/**
+ * Asset Class Service
+ * Loads the return, volatility and correlation assumptions used to model
+ * traditional assets (equity, bond, cash, real estate) in the hybrid risk analysis.
+ *
+ * Assumptions are annual and read from a JSON file at startup. Set
+ * ASSET_CLASS_CONFIG to point at a different file.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ASSET_CLASS_CONFIG = process.env.ASSET_CLASS_CONFIG || path.join(__dirname, '..', 'data', 'asset-classes.json');
+
+/**
+ * Read and validate the asset class configuration
+ * @param {string} filePath - Path to the JSON configuration
+ * @returns {Object} Validated configuration
+ */
+const loadConfig = (filePath) => {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  
+  if (!config.assetClasses || Object.keys(config.assetClasses).length === 0) {
+    throw new Error('Asset class configuration must define at least one asset class');
+  }
+  
+  for (const [assetClass, assumptions] of Object.entries(config.assetClasses)) {
+    if (typeof assumptions.expectedReturn !== 'number' ||
+        typeof assumptions.volatility !== 'number' || assumptions.volatility < 0) {
+      throw new Error(`Asset class ${assetClass} needs a numeric expectedReturn and a non-negative volatility`);
+    }
+  }
+  
+  const correlations = [
+    ...Object.values(config.correlations || {}).flatMap(row => Object.values(row)),
+    ...Object.values(config.cryptoCorrelations || {})
+  ];
+  if (correlations.some(value => typeof value !== 'number' || value < -1 || value > 1)) {
+    throw new Error('Asset class correlations must be numbers between -1 and 1');
+  }
+  
+  return config;
+};
+
+const config = loadConfig(ASSET_CLASS_CONFIG);
+
+// Lookup of asset class names and aliases (lowercase) -> asset class
+const aliases = new Map();
+for (const [assetClass, assumptions] of Object.entries(config.assetClasses)) {
+  aliases.set(assetClass.toLowerCase(), assetClass);
+  for (const alias of assumptions.aliases || []) {
+    aliases.set(alias.toLowerCase(), assetClass);
+  }
+}
+
+/**
+ * Resolve an asset type (e.g., 'stock', 'reit') to its configured asset class
+ * @param {string} type - Asset type supplied by the client
+ * @returns {string|null} Asset class name or null if unknown
+ */
+const resolveAssetClass = (type) => aliases.get(String(type).trim().toLowerCase()) || null;
+
+/**
+ * Get the assumptions for an asset class
+ * @param {string} assetClass - Asset class name
+ * @returns {Object} Label, expected return and volatility (annual)
+ */
+const getAssumptions = (assetClass) => config.assetClasses[assetClass];
+
+/**
+ * Get the configured correlation between two asset classes
+ * @param {string} a - First asset class
+ * @param {string} b - Second asset class
+ * @returns {number} Correlation (1 for the same class, 0 if not configured)
+ */
+const getCorrelation = (a, b) => {
+  if (a === b) {
+    return 1;
+  }
+  const correlations = config.correlations || {};
+  const value = (correlations[a] || {})[b] !== undefined ? correlations[a][b] : (correlations[b] || {})[a];
+  return value !== undefined ? value : 0;
+};
+
+/**
+ * Get the configured correlation between crypto and an asset class
+ * @param {string} assetClass - Asset class name
+ * @returns {number} Correlation (0 if not configured)
+ */
+const getCryptoCorrelation = (assetClass) => {
+  const value = (config.cryptoCorrelations || {})[assetClass];
+  return value !== undefined ? value : 0;
+};
+
+/**
+ * Get the configured risk-free rate
+ * @returns {number} Annual risk-free rate
+ */
+const getRiskFreeRate = () => (config.riskFreeRate !== undefined ? config.riskFreeRate : 0.04);
+
+/**
+ * List the configured asset classes with their aliases
+ * @returns {Array} Asset class summaries
+ */
+const listAssetClasses = () => Object.entries(config.assetClasses).map(([assetClass, assumptions]) => ({
+  assetClass,
+  ...assumptions,
+  cryptoCorrelation: getCryptoCorrelation(assetClass)
+}));
+
+module.exports = {
+  resolveAssetClass,
+  getAssumptions,
+  getCorrelation,
+  getCryptoCorrelation,
+  getRiskFreeRate,
+  listAssetClasses
+};
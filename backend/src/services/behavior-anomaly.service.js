@@ -0,0 +1,402 @@
+/**
+ * Behavior Anomaly Service
+ * Builds a per-wallet baseline of transaction frequency, size, time of day and
+ * counterparties, and flags activity that departs from it or matches known
+ * laundering and attack patterns: bursts, dusting, peel chains and round-number
+ * structuring.
+ *
+ * Transactions are { type, contract, value, timestamp, direction } with the value
+ * in ETH; direction is 'in' for funds the wallet received and defaults to 'out'.
+ */
+const { mean, quantile, poissonCdf } = require('./statistics.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Default detection thresholds; every value can be overridden per call
+const ANOMALY_THRESHOLDS = {
+  // Statistical detectors need this many transactions to form a baseline
+  minBaselineTransactions: 8,
+  burstWindowMinutes: 60,
+  burstMinTransactions: 4,
+  // Poisson probability below which a window is too busy to be chance
+  burstProbability: 0.001,
+  // Modified z-score (Iglewicz and Hoaglin) above which a value is an outlier
+  outlierZScore: 3.5,
+  dustValue: 0.001,
+  dustMinSenders: 3,
+  peelMinHops: 3,
+  // Each peel keeps at least this share of the previous transfer moving on
+  peelMinRetained: 0.5,
+  peelMaxGapHours: 24,
+  structuringThreshold: 10,
+  structuringWindowHours: 72,
+  structuringMinTransfers: 3,
+  // A transaction is off-hours when fewer than this share of the others fall within 2 hours of it
+  unusualHourShare: 0.05
+};
+
+// Score points per anomaly by impact
+const ANOMALY_POINTS = {
+  High: 8,
+  Medium: 4,
+  Low: 2
+};
+
+/**
+ * Convert a transaction into evidence attached to an anomaly
+ * @param {Object} tx - Parsed transaction
+ * @returns {Object} Transaction as recorded
+ */
+const toEvidence = (tx) => ({
+  type: tx.type,
+  direction: tx.direction,
+  counterparty: tx.contract,
+  value: tx.value,
+  timestamp: new Date(tx.time).toISOString()
+});
+
+/**
+ * Build an anomaly record
+ * @param {string} type - Anomaly type
+ * @param {string} factor - Risk factor name
+ * @param {string} impact - 'High', 'Medium' or 'Low'
+ * @param {string} description - What was observed
+ * @param {Array} transactions - Transactions that triggered the anomaly
+ * @param {Object} metrics - Statistics behind the decision
+ * @returns {Object} Anomaly
+ */
+const createAnomaly = (type, factor, impact, description, transactions, metrics) => ({
+  type,
+  factor,
+  impact,
+  points: ANOMALY_POINTS[impact],
+  description,
+  metrics,
+  evidence: transactions.map(toEvidence)
+});
+
+/**
+ * Hours between two times of day, going the short way around the clock
+ * @param {number} a - Hour of day (fractional)
+ * @param {number} b - Hour of day (fractional)
+ * @returns {number} Distance in hours (0-12)
+ */
+const hourDistance = (a, b) => {
+  const difference = Math.abs(a - b) % 24;
+  return Math.min(difference, 24 - difference);
+};
+
+/**
+ * Modified z-scores from the median and median absolute deviation
+ * @param {Array<number>} values - Values
+ * @returns {Object} Median, MAD and a z-score per value (null when the MAD is zero)
+ */
+const robustZScores = (values) => {
+  const median = quantile(values, 0.5);
+  const mad = quantile(values.map(value => Math.abs(value - median)), 0.5);
+  return {
+    median,
+    mad,
+    scores: values.map(value => (mad > 0 ? 0.6745 * (value - median) / mad : null))
+  };
+};
+
+/**
+ * Build the behavioral baseline of a wallet
+ * @param {Array} txs - Parsed transactions in time order
+ * @param {Object} thresholds - Detection thresholds
+ * @returns {Object} Frequency, size, time-of-day and counterparty profile
+ */
+const buildBaseline = (txs, thresholds) => {
+  const intervals = txs.slice(1).map((tx, i) => (tx.time - txs[i].time) / HOUR_MS);
+  const spanDays = txs.length > 1 ? (txs[txs.length - 1].time - txs[0].time) / (24 * HOUR_MS) : 0;
+  const values = txs.map(tx => tx.value);
+  
+  const hourlyDistribution = new Array(24).fill(0);
+  txs.forEach(tx => hourlyDistribution[new Date(tx.time).getUTCHours()]++);
+  
+  const counterparties = new Map();
+  txs.forEach(tx => {
+    const key = tx.contract.toLowerCase();
+    counterparties.set(key, (counterparties.get(key) || 0) + 1);
+  });
+  
+  return {
+    transactions: txs.length,
+    sufficientHistory: txs.length >= thresholds.minBaselineTransactions,
+    firstSeen: txs.length > 0 ? new Date(txs[0].time).toISOString() : null,
+    lastSeen: txs.length > 0 ? new Date(txs[txs.length - 1].time).toISOString() : null,
+    frequency: {
+      transactionsPerDay: spanDays > 0 ? txs.length / spanDays : null,
+      medianIntervalHours: intervals.length > 0 ? quantile(intervals, 0.5) : null
+    },
+    size: {
+      median: values.length > 0 ? quantile(values, 0.5) : null,
+      mean: values.length > 0 ? mean(values) : null,
+      max: values.length > 0 ? Math.max(...values) : null
+    },
+    timeOfDay: {
+      hourlyDistribution, // UTC
+      peakHours: hourlyDistribution
+        .map((count, hour) => ({ hour, count }))
+        .filter(entry => entry.count > 0)
+        .sort((a, b) => b.count - a.count || a.hour - b.hour)
+        .slice(0, 3)
+        .map(entry => entry.hour)
+    },
+    counterparties: {
+      distinct: counterparties.size,
+      senders: new Set(txs.filter(tx => tx.direction === 'in').map(tx => tx.contract.toLowerCase())).size,
+      top: [...counterparties.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([address, count]) => ({ address, transactions: count, share: count / txs.length }))
+    }
+  };
+};
+
+/**
+ * Find windows with far more transactions than the wallet's usual rate
+ * Each window is tested against a Poisson model fitted to the activity outside it.
+ * @param {Array} txs - Parsed transactions in time order
+ * @param {Object} thresholds - Detection thresholds
+ * @returns {Array} Burst anomalies
+ */
+const detectBursts = (txs, thresholds) => {
+  if (txs.length < thresholds.minBaselineTransactions) return [];
+  
+  const windowMs = thresholds.burstWindowMinutes * 60 * 1000;
+  const spanMs = txs[txs.length - 1].time - txs[0].time;
+  if (spanMs <= windowMs) return [];
+  
+  const anomalies = [];
+  let i = 0;
+  while (i < txs.length) {
+    let j = i;
+    while (j + 1 < txs.length && txs[j + 1].time - txs[i].time <= windowMs) j++;
+    
+    const count = j - i + 1;
+    const expected = (txs.length - count) / (spanMs - windowMs) * windowMs;
+    const probability = 1 - poissonCdf(count - 1, expected);
+    
+    if (count >= thresholds.burstMinTransactions && probability < thresholds.burstProbability) {
+      const minutes = Math.max(1, Math.round((txs[j].time - txs[i].time) / 60000));
+      anomalies.push(createAnomaly(
+        'burst',
+        'Transaction Burst',
+        'Medium',
+        `${count} transactions within ${minutes} minutes (about ${expected.toFixed(2)} expected)`,
+        txs.slice(i, j + 1),
+        { transactions: count, expected, probability }
+      ));
+      i = j + 1;
+    } else {
+      i++;
+    }
+  }
+  
+  return anomalies;
+};
+
+/**
+ * Find transactions far larger than the wallet's usual size
+ * @param {Array} txs - Parsed transactions in time order
+ * @param {Object} thresholds - Detection thresholds
+ * @returns {Array} Size outlier anomaly (at most one)
+ */
+const detectSizeOutliers = (txs, thresholds) => {
+  if (txs.length < thresholds.minBaselineTransactions) return [];
+  
+  const { median, mad, scores } = robustZScores(txs.map(tx => tx.value));
+  const outliers = txs.filter((tx, i) => scores[i] !== null && scores[i] > thresholds.outlierZScore);
+  if (outliers.length === 0) return [];
+  
+  const largest = Math.max(...outliers.map(tx => tx.value));
+  return [createAnomaly(
+    'size-outlier',
+    'Unusual Transaction Size',
+    'Medium',
+    `${outliers.length} transactions far above the usual size of ${median.toFixed(4)} ETH (largest ${largest} ETH)`,
+    outliers,
+    { median, mad, threshold: thresholds.outlierZScore }
+  )];
+};
+
+/**
+ * Find tiny deposits from many addresses, used to link wallets for deanonymization
+ * @param {Array} txs - Parsed transactions in time order
+ * @param {Object} thresholds - Detection thresholds
+ * @returns {Array} Dusting anomaly (at most one)
+ */
+const detectDusting = (txs, thresholds) => {
+  const dust = txs.filter(tx => tx.direction === 'in' && tx.value > 0 && tx.value <= thresholds.dustValue);
+  const senders = new Set(dust.map(tx => tx.contract.toLowerCase()));
+  if (senders.size < thresholds.dustMinSenders) return [];
+  
+  return [createAnomaly(
+    'dusting',
+    'Dusting Attack',
+    'Medium',
+    `Received ${dust.length} dust deposits of at most ${thresholds.dustValue} ETH from ${senders.size} addresses`,
+    dust,
+    { deposits: dust.length, senders: senders.size }
+  )];
+};
+
+/**
+ * Find peel chains: consecutive outgoing transfers to fresh addresses where each
+ * transfer carries most of the previous one on and a little is peeled off
+ * @param {Array} txs - Parsed transactions in time order
+ * @param {Object} thresholds - Detection thresholds
+ * @returns {Array} Peel chain anomalies
+ */
+const detectPeelChains = (txs, thresholds) => {
+  const seen = new Set();
+  const anomalies = [];
+  let chain = [];
+  
+  const closeChain = () => {
+    if (chain.length >= thresholds.peelMinHops) {
+      const peeled = chain[0].value - chain[chain.length - 1].value;
+      anomalies.push(createAnomaly(
+        'peel-chain',
+        'Peel Chain',
+        'High',
+        `${chain.length} shrinking transfers to new addresses within ${Math.round((chain[chain.length - 1].time - chain[0].time) / HOUR_MS)} hours, ${peeled.toFixed(4)} ETH peeled off`,
+        chain,
+        { hops: chain.length, startValue: chain[0].value, endValue: chain[chain.length - 1].value }
+      ));
+    }
+    chain = [];
+  };
+  
+  for (const tx of txs) {
+    const counterparty = tx.contract.toLowerCase();
+    const fresh = !seen.has(counterparty);
+    seen.add(counterparty);
+    if (tx.direction !== 'out' || tx.type !== 'transfer') continue;
+    
+    const previous = chain[chain.length - 1];
+    const continuesChain = previous && fresh &&
+      tx.value < previous.value &&
+      tx.value >= previous.value * thresholds.peelMinRetained &&
+      tx.time - previous.time <= thresholds.peelMaxGapHours * HOUR_MS;
+    
+    if (!continuesChain) {
+      closeChain();
+    }
+    if (fresh) {
+      chain.push(tx);
+    }
+  }
+  closeChain();
+  
+  return anomalies;
+};
+
+/**
+ * Find structuring: several round or just-below-threshold transfers that together
+ * exceed a reporting threshold none of them crosses on its own
+ * @param {Array} txs - Parsed transactions in time order
+ * @param {Object} thresholds - Detection thresholds
+ * @returns {Array} Structuring anomalies
+ */
+const detectStructuring = (txs, thresholds) => {
+  const limit = thresholds.structuringThreshold;
+  const isRound = (value) => value >= 1 && Math.abs(value * 2 - Math.round(value * 2)) < 1e-9;
+  const candidates = txs.filter(tx =>
+    tx.direction === 'out' && tx.type === 'transfer' && tx.value < limit &&
+    (isRound(tx.value) || tx.value >= 0.9 * limit)
+  );
+  
+  const windowMs = thresholds.structuringWindowHours * HOUR_MS;
+  const anomalies = [];
+  let i = 0;
+  while (i < candidates.length) {
+    let j = i;
+    while (j + 1 < candidates.length && candidates[j + 1].time - candidates[i].time <= windowMs) j++;
+    
+    const group = candidates.slice(i, j + 1);
+    const total = group.reduce((sum, tx) => sum + tx.value, 0);
+    if (group.length >= thresholds.structuringMinTransfers && total >= limit) {
+      anomalies.push(createAnomaly(
+        'structuring',
+        'Round-Number Structuring',
+        'High',
+        `${group.length} transfers totaling ${total} ETH within ${thresholds.structuringWindowHours} hours, each below the ${limit} ETH threshold`,
+        group,
+        { transfers: group.length, total, threshold: limit }
+      ));
+      i = j + 1;
+    } else {
+      i++;
+    }
+  }
+  
+  return anomalies;
+};
+
+/**
+ * Find transactions at times of day the wallet is otherwise never active
+ * @param {Array} txs - Parsed transactions in time order
+ * @param {Object} thresholds - Detection thresholds
+ * @returns {Array} Off-hours anomaly (at most one)
+ */
+const detectUnusualHours = (txs, thresholds) => {
+  if (txs.length < thresholds.minBaselineTransactions) return [];
+  
+  const hours = txs.map(tx => {
+    const date = new Date(tx.time);
+    return date.getUTCHours() + date.getUTCMinutes() / 60;
+  });
+  const offHours = txs.filter((tx, i) => {
+    const nearby = hours.filter((hour, k) => k !== i && hourDistance(hour, hours[i]) <= 2).length;
+    return nearby / (txs.length - 1) < thresholds.unusualHourShare;
+  });
+  
+  // When most activity is isolated the wallet has no usual hours to depart from
+  if (offHours.length === 0 || offHours.length > txs.length * 0.2) return [];
+  
+  return [createAnomaly(
+    'unusual-hours',
+    'Unusual Activity Hours',
+    'Low',
+    `${offHours.length} ${offHours.length === 1 ? 'transaction' : 'transactions'} outside the wallet's usual hours of activity`,
+    offHours,
+    { transactions: offHours.length }
+  )];
+};
+
+/**
+ * Build a wallet's behavioral baseline and detect anomalies in its transactions
+ * @param {Array} transactions - Wallet transactions
+ * @param {Object} options - Detection threshold overrides (see ANOMALY_THRESHOLDS)
+ * @returns {Object} Baseline and anomalies, most severe first
+ */
+const detectAnomalies = (transactions, options = {}) => {
+  const thresholds = { ...ANOMALY_THRESHOLDS, ...options };
+  
+  const txs = transactions
+    .map(tx => ({ ...tx, direction: tx.direction || 'out', time: new Date(tx.timestamp).getTime() }))
+    .filter(tx => !isNaN(tx.time))
+    .sort((a, b) => a.time - b.time);
+  
+  const anomalies = [
+    ...detectPeelChains(txs, thresholds),
+    ...detectStructuring(txs, thresholds),
+    ...detectBursts(txs, thresholds),
+    ...detectDusting(txs, thresholds),
+    ...detectSizeOutliers(txs, thresholds),
+    ...detectUnusualHours(txs, thresholds)
+  ].sort((a, b) => b.points - a.points);
+  
+  return {
+    baseline: buildBaseline(txs, thresholds),
+    anomalies
+  };
+};
+
+module.exports = {
+  ANOMALY_THRESHOLDS,
+  detectAnomalies
+};
@@ -0,0 +1,428 @@
+/**
+ * DeFi Risk Service
+ * Models Aave/Compound-style lending positions (health factor, borrowing
+ * capacity, liquidation prices and probability of liquidation) and liquidity
+ * provider positions in constant-product and concentrated-liquidity pools
+ * (impermanent loss, fee breakeven and the probability of leaving the range).
+ *
+ * Prices and volatilities come from the same price history as the rest of the
+ * risk engine. Simulations use zero-drift correlated normal daily returns.
+ */
+const riskService = require('./risk.service');
+const {
+  mean,
+  choleskyDecomposition,
+  createSeededRandom,
+  randomNormal,
+  normalCdf,
+  quantile
+} = require('./statistics.service');
+
+/**
+ * Collateral and debt values at a set of prices
+ * @param {Object} position - Collateral and debt positions
+ * @param {Object} prices - Price per token symbol
+ * @returns {Object} Collateral value, debt value, borrow capacity and threshold-weighted collateral
+ */
+const valuePosition = (position, prices) => {
+  const collateral = position.collateral.reduce((totals, entry) => {
+    const value = entry.amount * prices[entry.token];
+    return {
+      value: totals.value + value,
+      borrowCapacity: totals.borrowCapacity + value * entry.ltv,
+      thresholdValue: totals.thresholdValue + value * entry.liquidationThreshold
+    };
+  }, { value: 0, borrowCapacity: 0, thresholdValue: 0 });
+  const debtValue = position.debt.reduce((sum, entry) => sum + entry.amount * prices[entry.token], 0);
+
+  return {
+    collateralValue: collateral.value,
+    borrowCapacity: collateral.borrowCapacity,
+    thresholdValue: collateral.thresholdValue,
+    debtValue,
+    healthFactor: debtValue > 0 ? collateral.thresholdValue / debtValue : Infinity
+  };
+};
+
+/**
+ * Price of one token at which the health factor reaches 1 with all other prices fixed
+ * @param {Object} position - Collateral and debt positions
+ * @param {Object} prices - Current price per token symbol
+ * @param {string} token - Token whose price moves
+ * @returns {Object} Liquidation price and whether it lies below or above the current price
+ */
+const liquidationPriceFor = (position, prices, token) => {
+  // Health factor = (p·a·LT + C) / (p·d + D) = 1  =>  p = (D - C) / (a·LT - d)
+  const collateralSensitivity = position.collateral
+    .filter(entry => entry.token === token)
+    .reduce((sum, entry) => sum + entry.amount * entry.liquidationThreshold, 0);
+  const debtSensitivity = position.debt
+    .filter(entry => entry.token === token)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  const otherPrices = { ...prices, [token]: 0 };
+  const others = valuePosition(position, otherPrices);
+
+  const slope = collateralSensitivity - debtSensitivity;
+  const liquidationPrice = slope !== 0 ? (others.debtValue - others.thresholdValue) / slope : null;
+  if (liquidationPrice === null || liquidationPrice <= 0) {
+    return { liquidationPrice: null, direction: null };
+  }
+  return { liquidationPrice, direction: slope > 0 ? 'below' : 'above' };
+};
+
+/**
+ * Analyze a lending position's health and liquidation risk
+ * @param {Object} position - Lending position
+ * @param {Array} position.collateral - Collateral entries with token, amount, ltv and liquidationThreshold
+ * @param {Array} position.debt - Debt entries with token and amount
+ * @param {Object} options - Simulation options
+ * @param {number} options.horizonDays - Days over which liquidation probability is measured
+ * @param {number} options.simulations - Number of simulated price paths
+ * @param {number} options.seed - Seed for the random number generator
+ * @param {string} options.returnType - 'simple' or 'log' returns
+ * @param {string} options.varianceType - 'population' or 'sample' variance
+ * @param {number} options.tradingDays - Trading days per year reported with the statistics
+ * @param {number} options.days - Number of most recent daily bars to estimate volatility from (all stored bars by default)
+ * @returns {Object} Health factor, liquidation prices and liquidation probability
+ */
+const analyzeLendingPosition = async (position, options = {}) => {
+  const { horizonDays = 7, simulations = 10000, seed = 42 } = options;
+  const statisticsOptions = {
+    returnType: options.returnType,
+    varianceType: options.varianceType,
+    tradingDays: options.tradingDays
+  };
+
+
+  const normalized = {
+    collateral: position.collateral.map(entry => ({ ...entry, token: entry.token.toUpperCase() })),
+    debt: position.debt.map(entry => ({ ...entry, token: entry.token.toUpperCase() }))
+  };
+  const tokens = [...new Set([...normalized.collateral, ...normalized.debt].map(entry => entry.token))];
+
+  const tokensData = await Promise.all(tokens.map(async (token) => {
+    const volatilityData = await riskService.getTokenVolatility(token, options.days, statisticsOptions);
+    return {
+      token,
+      currentPrice: volatilityData.currentPrice,
+      volatility: volatilityData.volatilityDaily,
+      prices: volatilityData.historicalPrices,
+      statistics: volatilityData.statistics
+    };
+  }));
+  const prices = Object.fromEntries(tokensData.map(data => [data.token, data.currentPrice]));
+  const current = valuePosition(normalized, prices);
+
+  // Closed-form chance of touching the liquidation price within the horizon (reflection principle)
+  const liquidationPrices = tokensData.map((data) => {
+    const { liquidationPrice, direction } = liquidationPriceFor(normalized, prices, data.token);
+    const isCollateral = normalized.collateral.some(entry => entry.token === data.token);
+    const isDebt = normalized.debt.some(entry => entry.token === data.token);
+
+    let probabilityOfReaching = null;
+    if (liquidationPrice !== null) {
+      const distance = Math.abs(Math.log(liquidationPrice / data.currentPrice));
+      const horizonVolatility = data.volatility * Math.sqrt(horizonDays);
+      const breached = direction === 'below' ? data.currentPrice <= liquidationPrice : data.currentPrice >= liquidationPrice;
+      probabilityOfReaching = breached ? 1 :
+        horizonVolatility > 0 ? 2 * (1 - normalCdf(distance / horizonVolatility)) : 0;
+    }
+
+    return {
+      token: data.token,
+      role: isCollateral && isDebt ? 'collateral and debt' : isCollateral ? 'collateral' : 'debt',
+      currentPrice: data.currentPrice,
+      liquidationPrice,
+      direction,
+      priceChange: liquidationPrice !== null ? (liquidationPrice / data.currentPrice - 1) * 100 : null, // as percentage
+      probabilityOfReaching
+    };
+  });
+
+  // Simulate correlated daily price paths; a path is liquidated if any daily close has HF < 1
+  const covarianceData = riskService.buildCovarianceMatrix(tokensData, tokensData[0].statistics);
+  const cholesky = choleskyDecomposition(covarianceData.covariance);
+  const random = createSeededRandom(seed);
+  let liquidatedPaths = 0;
+  const terminalHealthFactors = [];
+  for (let s = 0; s < simulations; s++) {
+    const logPrices = tokens.map(token => Math.log(prices[token]));
+    let liquidated = false;
+    let healthFactor = current.healthFactor;
+    for (let day = 0; day < horizonDays; day++) {
+      const shocks = tokens.map(() => randomNormal(random));
+      cholesky.forEach((row, i) => {
+        logPrices[i] += row.reduce((sum, factor, k) => sum + factor * shocks[k], 0);
+      });
+      healthFactor = valuePosition(
+        normalized,
+        Object.fromEntries(tokens.map((token, i) => [token, Math.exp(logPrices[i])]))
+      ).healthFactor;
+      if (healthFactor < 1) {
+        liquidated = true;
+      }
+    }
+    if (liquidated) {
+      liquidatedPaths++;
+    }
+    terminalHealthFactors.push(healthFactor);
+  }
+
+  const healthFactor = current.debtValue > 0 ? current.healthFactor : null;
+  let riskLevel;
+  if (healthFactor !== null && healthFactor < 1.1) {
+    riskLevel = 'High';
+  } else if (healthFactor !== null && healthFactor < 1.5) {
+    riskLevel = 'Medium';
+  } else {
+    riskLevel = 'Low';
+  }
+
+  return {
+    collateralValue: current.collateralValue,
+    debtValue: current.debtValue,
+    borrowCapacity: current.borrowCapacity,
+    availableToBorrow: Math.max(0, current.borrowCapacity - current.debtValue),
+    liquidationThresholdValue: current.thresholdValue,
+    healthFactor,
+    currentLTV: current.collateralValue > 0 ? (current.debtValue / current.collateralValue) * 100 : null, // as percentage
+    maxLTV: current.collateralValue > 0 ? (current.borrowCapacity / current.collateralValue) * 100 : null, // as percentage
+    liquidatable: healthFactor !== null && healthFactor < 1,
+    riskLevel,
+    liquidationPrices,
+    simulation: {
+      horizonDays,
+      simulations,
+      seed,
+      probabilityOfLiquidation: liquidatedPaths / simulations,
+      terminalHealthFactor: {
+        p5: quantile(terminalHealthFactors, 0.05),
+        p50: quantile(terminalHealthFactors, 0.5),
+        p95: quantile(terminalHealthFactors, 0.95)
+      }
+    },
+    statistics: tokensData[0].statistics,
+    analysisDate: new Date().toISOString(),
+    collateral: normalized.collateral.map(entry => ({
+      ...entry,
+      price: prices[entry.token],
+      value: entry.amount * prices[entry.token]
+    })),
+    debt: normalized.debt.map(entry => ({
+      ...entry,
+      price: prices[entry.token],
+      value: entry.amount * prices[entry.token]
+    }))
+  };
+};
+
+// Price moves of token0 against token1 (as fractions) used for the impermanent loss table
+const LP_PRICE_SCENARIOS = [-0.9, -0.75, -0.5, -0.25, -0.1, 0, 0.1, 0.25, 0.5, 1, 2, 4];
+
+/**
+ * Token amounts per unit of liquidity for a position over [lower, upper] at a price
+ * (a constant-product pool is the range [0, ∞))
+ * @param {number} price - Price of token0 in units of token1
+ * @param {number} lower - Lower price bound
+ * @param {number} upper - Upper price bound
+ * @returns {Object} Amount of token0 and token1 per unit of liquidity
+ */
+const liquidityAmounts = (price, lower, upper) => {
+  const clamped = Math.min(upper, Math.max(lower, price));
+  return {
+    amount0: 1 / Math.sqrt(clamped) - 1 / Math.sqrt(upper),
+    amount1: Math.sqrt(clamped) - Math.sqrt(lower)
+  };
+};
+
+/**
+ * Impermanent loss of an LP position against holding the deposited tokens
+ * @param {number} entryPrice - Price of token0 in token1 at deposit
+ * @param {number} price - Current price of token0 in token1
+ * @param {number} lower - Lower price bound
+ * @param {number} upper - Upper price bound
+ * @returns {number} LP value relative to holding, minus 1 (negative is a loss)
+ */
+const impermanentLoss = (entryPrice, price, lower, upper) => {
+  const deposited = liquidityAmounts(entryPrice, lower, upper);
+  const current = liquidityAmounts(price, lower, upper);
+  const hodlValue = deposited.amount0 * price + deposited.amount1;
+  return hodlValue > 0 ? (current.amount0 * price + current.amount1) / hodlValue - 1 : 0;
+};
+
+/**
+ * Analyze a liquidity provider position in a constant-product or concentrated-liquidity pool
+ * @param {Object} position - LP position
+ * @param {string} position.type - 'constantProduct' or 'concentrated'
+ * @param {string} position.token0 - Base token symbol (prices are token0 in units of token1)
+ * @param {string} position.token1 - Quote token symbol
+ * @param {number} position.depositValue - Position value in USD
+ * @param {Object} position.range - { lower, upper } price bounds for concentrated positions
+ * @param {number} position.feeApr - Fee APR earned by the position while in range
+ * @param {Object} position.pool - { feeTier, dailyVolume, tvl } used to estimate the fee APR
+ * @param {Object} options - Simulation options
+ * @param {number} options.horizonDays - Days over which range exits and impermanent loss are measured
+ * @param {Array<number>} options.scenarios - Price moves of token0 against token1 (e.g., -0.5 for -50%)
+ * @param {number} options.simulations - Number of simulated price paths
+ * @param {number} options.seed - Seed for the random number generator
+ * @param {string} options.returnType - 'simple' or 'log' returns
+ * @param {string} options.varianceType - 'population' or 'sample' variance
+ * @param {number} options.tradingDays - Trading days per year used to annualize the relative volatility
+ * @param {number} options.days - Number of most recent daily bars to estimate volatility from (all stored bars by default)
+ * @returns {Object} Impermanent loss scenarios, fee breakeven and range risk
+ */
+const analyzeLiquidityPosition = async (position, options = {}) => {
+  const { horizonDays = 30, scenarios = LP_PRICE_SCENARIOS, simulations = 10000, seed = 42 } = options;
+  const statisticsOptions = {
+    returnType: options.returnType,
+    varianceType: options.varianceType,
+    tradingDays: options.tradingDays
+  };
+
+  const token0 = position.token0.toUpperCase();
+  const token1 = position.token1.toUpperCase();
+
+  const tokensData = await Promise.all([token0, token1].map(async (token) => {
+    const volatilityData = await riskService.getTokenVolatility(token, options.days, statisticsOptions);
+
+    return {
+      token,
+      currentPrice: volatilityData.currentPrice,
+      prices: volatilityData.historicalPrices,
+      statistics: volatilityData.statistics
+    };
+  }));
+  const statistics = tokensData[0].statistics;
+  const entryPrice = tokensData[0].currentPrice / tokensData[1].currentPrice;
+
+  const concentrated = position.type === 'concentrated';
+  const lower = concentrated ? position.range.lower : 0;
+  const upper = concentrated ? position.range.upper : Infinity;
+
+  // Split the deposit between the two tokens the way the pool requires at today's price
+  const perLiquidity = liquidityAmounts(entryPrice, lower, upper);
+  const valuePerLiquidity = (perLiquidity.amount0 * entryPrice + perLiquidity.amount1) * tokensData[1].currentPrice;
+  const liquidity = position.depositValue / valuePerLiquidity;
+
+  // Volatility of the token0/token1 price ratio from the two tokens' return covariance
+  const { covariance, correlation } = riskService.buildCovarianceMatrix(tokensData, statistics);
+  const relativeVolatility = Math.sqrt(Math.max(0, covariance[0][0] + covariance[1][1] - 2 * covariance[0][1]));
+
+  // Fee APR: as given, or full-range pool yield scaled by the range's capital efficiency
+  const capitalEfficiency = concentrated ? 1 / (1 - Math.sqrt(Math.sqrt(lower / upper))) : 1;
+  let feeApr = null;
+  let feeAprSource = null;
+  if (position.feeApr !== undefined) {
+    feeApr = position.feeApr;
+    feeAprSource = 'provided';
+  } else if (position.pool && position.pool.tvl > 0) {
+    feeApr = (position.pool.dailyVolume * position.pool.feeTier / position.pool.tvl) * 365 * capitalEfficiency;
+    feeAprSource = 'estimated';
+  }
+  const dailyFeeYield = feeApr !== null ? feeApr / 365 : null;
+
+  const scenarioResults = scenarios.map((move) => {
+    const price = entryPrice * (1 + move);
+    const loss = impermanentLoss(entryPrice, price, lower, upper);
+    const hodlValue = liquidity * (perLiquidity.amount0 * price + perLiquidity.amount1) * tokensData[1].currentPrice;
+    const inRange = price >= lower && price <= upper;
+    return {
+      priceChange: move * 100, // as percentage
+      price,
+      inRange,
+      hodlValue,
+      lpValue: hodlValue * (1 + loss),
+      impermanentLoss: loss * 100, // as percentage
+      // Fees accrue only while the price stays in range
+      feeBreakevenDays: dailyFeeYield && inRange ? -loss / dailyFeeYield : null
+    };
+  });
+
+  // Simulate zero-drift daily paths of the price ratio for range exits and the horizon loss
+  const random = createSeededRandom(seed);
+  const horizonLosses = [];
+  let leftRange = 0;
+  let outOfRangeAtHorizon = 0;
+  let daysInRange = 0;
+  for (let s = 0; s < simulations; s++) {
+    let logPrice = Math.log(entryPrice);
+    let exited = false;
+    for (let day = 0; day < horizonDays; day++) {
+      logPrice += relativeVolatility * randomNormal(random);
+      const price = Math.exp(logPrice);
+      if (price < lower || price > upper) {
+        exited = true;
+      } else {
+        daysInRange++;
+      }
+    }
+    const finalPrice = Math.exp(logPrice);
+    if (exited) leftRange++;
+    if (finalPrice < lower || finalPrice > upper) outOfRangeAtHorizon++;
+    horizonLosses.push(impermanentLoss(entryPrice, finalPrice, lower, upper));
+  }
+
+  const expectedLoss = mean(horizonLosses);
+  const timeInRange = daysInRange / (simulations * horizonDays);
+  const expectedFeeIncome = dailyFeeYield !== null ? position.depositValue * dailyFeeYield * horizonDays * timeInRange : null;
+  const probabilityOfLeavingRange = concentrated ? leftRange / simulations : null;
+
+  let riskLevel;
+  if (expectedLoss < -0.05 || (probabilityOfLeavingRange !== null && probabilityOfLeavingRange > 0.5)) {
+    riskLevel = 'High';
+  } else if (expectedLoss < -0.01 || (probabilityOfLeavingRange !== null && probabilityOfLeavingRange > 0.2)) {
+    riskLevel = 'Medium';
+  } else {
+    riskLevel = 'Low';
+  }
+
+  return {
+    type: concentrated ? 'concentrated' : 'constantProduct',
+    token0,
+    token1,
+    prices: {
+      [token0]: tokensData[0].currentPrice,
+      [token1]: tokensData[1].currentPrice,
+      ratio: entryPrice
+    },
+    range: concentrated ?
+      { lower, upper, inRange: entryPrice >= lower && entryPrice <= upper, capitalEfficiency } :
+      null,
+    depositValue: position.depositValue,
+    composition: {
+      [token0]: { amount: liquidity * perLiquidity.amount0, value: liquidity * perLiquidity.amount0 * tokensData[0].currentPrice },
+      [token1]: { amount: liquidity * perLiquidity.amount1, value: liquidity * perLiquidity.amount1 * tokensData[1].currentPrice }
+    },
+    relativeVolatility: {
+      daily: relativeVolatility,
+      annualized: relativeVolatility * Math.sqrt(statistics.tradingDays),
+      correlation: correlation[0][1]
+    },
+    feeApr,
+    feeAprSource,
+    scenarios: scenarioResults,
+    horizon: {
+      days: horizonDays,
+      simulations,
+      seed,
+      expectedImpermanentLoss: expectedLoss * 100, // as percentage
+      impermanentLossP95: quantile(horizonLosses, 0.05) * 100, // loss exceeded in 5% of paths, as percentage
+      probabilityOfLeavingRange,
+      probabilityOutOfRangeAtHorizon: concentrated ? outOfRangeAtHorizon / simulations : null,
+      expectedTimeInRange: timeInRange * 100, // as percentage
+      expectedFeeIncome,
+      expectedNetReturn: expectedFeeIncome !== null ?
+        (expectedFeeIncome / position.depositValue + expectedLoss) * 100 : // as percentage
+        null
+    },
+    riskLevel,
+    statistics,
+    analysisDate: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  analyzeLendingPosition,
+  analyzeLiquidityPosition,
+  LP_PRICE_SCENARIOS
+};
@@ -0,0 +1,408 @@
+/**
+ * Portfolio Optimizer Service
+ * Suggests long-only allocations across candidate tokens: the mean-variance
+ * efficient frontier, the maximum-Sharpe and minimum-variance portfolios, the
+ * best portfolio for a target volatility and an equal-risk-contribution
+ * (risk parity) portfolio.
+ *
+ * Expected returns and covariances are annualized from the same daily price
+ * history used by the Sharpe ratio calculation. Weights are fully invested and
+ * kept within per-token minimum and maximum bounds. Below
+ * MIN_ANNUALIZATION_OBSERVATIONS daily returns the expected returns, and every
+ * portfolio chosen by them, are withheld with a warning.
+ */
+const riskService = require('./risk.service');
+const { mean, portfolioVariance } = require('./statistics.service');
+
+const MAX_ITERATIONS = 5000;
+const TOLERANCE = 1e-10;
+const MAX_FRONTIER_POINTS = 50;
+
+// Annual return precision at which a frontier target counts as reached
+const RETURN_TOLERANCE = 1e-9;
+
+// Each frontier solve runs synchronously; yielding between them keeps one
+// optimization from holding up every other request
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Project a vector onto { w : sum(w) = 1, lower <= w <= upper }
+ * @param {Array<number>} values - Vector to project
+ * @param {Array<number>} lower - Lower bound per element
+ * @param {Array<number>} upper - Upper bound per element
+ * @returns {Array<number>} Closest feasible weights
+ */
+const projectOntoBoxSimplex = (values, lower, upper) => {
+  const clip = (shift) => values.map((v, i) => Math.min(upper[i], Math.max(lower[i], v - shift)));
+  const total = (shift) => clip(shift).reduce((sum, w) => sum + w, 0);
+
+  // The clipped sum decreases with the shift, so bisect for the shift that sums to one
+  let low = Math.min(...values.map((v, i) => v - upper[i]));
+  let high = Math.max(...values.map((v, i) => v - lower[i]));
+  for (let i = 0; i < 64; i++) {
+    const middle = (low + high) / 2;
+    if (total(middle) > 1) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return clip((low + high) / 2);
+};
+
+/**
+ * Minimize ½w'Σw - t·μ'w over the feasible weights with accelerated projected gradient descent
+ * @param {Object} problem - Expected returns, covariance and bounds
+ * @param {number} tradeoff - Return preference t (0 gives the minimum-variance portfolio)
+ * @param {Array<number>} start - Starting weights
+ * @returns {Array<number>} Optimal weights
+ */
+const solveMeanVariance = (problem, tradeoff, start) => {
+  const { expectedReturns, covariance, lower, upper } = problem;
+  const gradientAt = weights => covariance.map((row, i) =>
+    row.reduce((sum, v, j) => sum + v * weights[j], 0) - tradeoff * expectedReturns[i]
+  );
+
+  // Step size from the largest absolute row sum, an upper bound on the largest eigenvalue
+  const lipschitz = Math.max(...covariance.map(row => row.reduce((sum, v) => sum + Math.abs(v), 0))) || 1;
+  const step = 1 / lipschitz;
+
+  let weights = start;
+  let momentumPoint = start;
+  let momentum = 1;
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const gradient = gradientAt(momentumPoint);
+    const next = projectOntoBoxSimplex(momentumPoint.map((w, i) => w - step * gradient[i]), lower, upper);
+    const change = Math.max(...next.map((w, i) => Math.abs(w - weights[i])));
+
+    // Restart the momentum whenever it points uphill
+    const uphill = gradient.reduce((sum, g, i) => sum + g * (next[i] - weights[i]), 0) > 0;
+    const nextMomentum = uphill ? 1 : (1 + Math.sqrt(1 + 4 * momentum * momentum)) / 2;
+    const beta = uphill ? 0 : (momentum - 1) / nextMomentum;
+    momentumPoint = next.map((w, i) => w + beta * (w - weights[i]));
+    momentum = nextMomentum;
+    weights = next;
+
+    if (change < TOLERANCE) {
+      break;
+    }
+  }
+  return weights;
+};
+
+/**
+ * Find the feasible portfolio with the highest expected return
+ * @param {Object} problem - Expected returns and bounds
+ * @returns {Array<number>} Weights filling the best-returning tokens first
+ */
+const maxReturnWeights = (problem) => {
+  const { expectedReturns, lower, upper } = problem;
+  const weights = [...lower];
+  let remaining = 1 - lower.reduce((sum, w) => sum + w, 0);
+
+  const order = expectedReturns.map((r, i) => i).sort((a, b) => expectedReturns[b] - expectedReturns[a]);
+  for (const i of order) {
+    const added = Math.min(upper[i] - lower[i], remaining);
+    weights[i] += added;
+    remaining -= added;
+  }
+  return weights;
+};
+
+/**
+ * Find the minimum-variance portfolio with a given expected return
+ * @param {Object} problem - Expected returns, covariance and bounds
+ * @param {number} targetReturn - Annual expected return to achieve
+ * @param {Object} anchors - Minimum-variance and maximum-return weights bounding the frontier
+ * @returns {Array<number>} Efficient weights
+ */
+const solveForReturn = (problem, targetReturn, anchors) => {
+  const portfolioReturn = weights => weights.reduce((sum, w, i) => sum + w * problem.expectedReturns[i], 0);
+
+  if (targetReturn <= portfolioReturn(anchors.minVariance)) {
+    return anchors.minVariance;
+  }
+  if (targetReturn >= portfolioReturn(anchors.maxReturn)) {
+    return anchors.maxReturn;
+  }
+
+  // The return of the solution grows with t: bracket the target, then bisect
+  let low = 0;
+  let high = 1;
+  let weights = solveMeanVariance(problem, high, anchors.minVariance);
+  for (let i = 0; i < 60 && portfolioReturn(weights) < targetReturn; i++) {
+    low = high;
+    high *= 2;
+    weights = solveMeanVariance(problem, high, weights);
+  }
+
+  for (let i = 0; i < 50; i++) {
+    const middle = (low + high) / 2;
+    weights = solveMeanVariance(problem, middle, weights);
+    if (Math.abs(portfolioReturn(weights) - targetReturn) < RETURN_TOLERANCE) {
+      return weights;
+    }
+    if (portfolioReturn(weights) < targetReturn) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return solveMeanVariance(problem, high, weights);
+};
+
+/**
+ * Compute equal-risk-contribution weights by cyclical coordinate descent
+ * @param {Array<Array<number>>} covariance - Covariance matrix with a positive diagonal
+ * @returns {Array<number>} Weights summing to 1 with equal risk contributions
+ */
+const riskParityWeights = (covariance) => {
+  const n = covariance.length;
+  const budget = 1 / n;
+
+  // Minimize ½y'Σy - Σ b·ln(y); the normalized minimizer has equal risk contributions
+  const y = covariance.map((row, i) => 1 / Math.sqrt(row[i]));
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    let change = 0;
+    for (let i = 0; i < n; i++) {
+      const cross = covariance[i].reduce((sum, v, j) => (j === i ? sum : sum + v * y[j]), 0);
+      const updated = (-cross + Math.sqrt(cross * cross + 4 * covariance[i][i] * budget)) / (2 * covariance[i][i]);
+      change = Math.max(change, Math.abs(updated - y[i]));
+      y[i] = updated;
+    }
+    if (change < TOLERANCE) {
+      break;
+    }
+  }
+
+  const total = y.reduce((sum, v) => sum + v, 0);
+  return y.map(v => v / total);
+};
+
+/**
+ * Fit weights into their bounds while keeping the ratios between unbounded weights
+ * @param {Array<number>} weights - Weights summing to 1
+ * @param {Array<number>} lower - Lower bound per weight
+ * @param {Array<number>} upper - Upper bound per weight
+ * @returns {Array<number>} Feasible weights
+ */
+const scaleIntoBounds = (weights, lower, upper) => {
+  const fixed = weights.map(() => null);
+  for (let pass = 0; pass <= weights.length; pass++) {
+    const fixedTotal = fixed.reduce((sum, w) => sum + (w === null ? 0 : w), 0);
+    const freeTotal = weights.reduce((sum, w, i) => sum + (fixed[i] === null ? w : 0), 0);
+    const scale = freeTotal > 0 ? (1 - fixedTotal) / freeTotal : 0;
+    const scaled = weights.map((w, i) => (fixed[i] === null ? w * scale : fixed[i]));
+
+    // Pin every weight outside its bounds and rescale the rest
+    let pinned = false;
+    scaled.forEach((w, i) => {
+      if (fixed[i] === null && (w > upper[i] || w < lower[i])) {
+        fixed[i] = w > upper[i] ? upper[i] : lower[i];
+        pinned = true;
+      }
+    });
+    if (!pinned) {
+      return scaled;
+    }
+  }
+  return projectOntoBoxSimplex(weights, lower, upper);
+};
+
+/**
+ * Optimize allocations across candidate tokens
+ * @param {Array<string>} tokens - Candidate token symbols
+ * @param {Object} options - Optimization options
+ * @param {Object} options.bounds - Per-token { min, max } weights keyed by token symbol
+ * @param {number} options.targetVolatility - Annual volatility for the target-volatility portfolio
+ * @param {number} options.riskFreeRate - Annual risk-free rate (e.g., 0.04 for 4%)
+ * @param {number} options.points - Number of efficient frontier points (at most MAX_FRONTIER_POINTS)
+ * @param {string} options.returnType - 'simple' or 'log' returns
+ * @param {string} options.varianceType - 'population' or 'sample' variance
+ * @param {number} options.tradingDays - Trading days per year used to annualize
+ * @param {number} options.days - Number of most recent daily bars to load per token (all stored bars by default)
+ * @returns {Object} Efficient frontier and suggested portfolios
+ */
+const optimizePortfolio = async (tokens, options = {}) => {
+  const { bounds = {}, targetVolatility, riskFreeRate = 0.04 } = options;
+  const points = Math.min(options.points || 20, MAX_FRONTIER_POINTS);
+  const statisticsOptions = {
+    returnType: options.returnType,
+    varianceType: options.varianceType,
+    tradingDays: options.tradingDays
+  };
+
+  const tokensData = await Promise.all(
+    tokens.map(async (token) => {
+      const volatilityData = await riskService.getTokenVolatility(token, options.days, statisticsOptions);
+
+      return { token, prices: volatilityData.historicalPrices, statistics: volatilityData.statistics };
+    })
+  );
+  const statistics = tokensData[0].statistics;
+  const covarianceData = riskService.buildCovarianceMatrix(tokensData, statistics);
+  const observations = covarianceData.returns.length;
+  const hasExpectedReturns = observations >= riskService.MIN_ANNUALIZATION_OBSERVATIONS;
+
+  // Annualize daily mean returns and covariances
+  const problem = {
+    expectedReturns: tokens.map((token, i) => mean(covarianceData.returns.map(row => row[i])) * statistics.tradingDays),
+    covariance: covarianceData.covariance.map(row => row.map(v => v * statistics.tradingDays)),
+    lower: tokens.map(token => (bounds[token] ? bounds[token].min : 0)),
+    upper: tokens.map(token => (bounds[token] ? bounds[token].max : 1))
+  };
+
+  const describe = (weights) => {
+    const expectedReturn = weights.reduce((sum, w, i) => sum + w * problem.expectedReturns[i], 0);
+    const volatility = Math.sqrt(Math.max(0, portfolioVariance(weights, problem.covariance)));
+    return {
+      expectedReturn: hasExpectedReturns ? expectedReturn : null,
+      volatility,
+      sharpeRatio: hasExpectedReturns && volatility > 0 ? (expectedReturn - riskFreeRate) / volatility : null,
+
+      weights: Object.fromEntries(tokens.map((token, i) => [token, weights[i]]))
+    };
+  };
+
+  const equalStart = projectOntoBoxSimplex(tokens.map(() => 1 / tokens.length), problem.lower, problem.upper);
+  const anchors = {
+    minVariance: solveMeanVariance(problem, 0, equalStart),
+    maxReturn: maxReturnWeights(problem)
+  };
+  const portfolioReturn = weights => weights.reduce((sum, w, i) => sum + w * problem.expectedReturns[i], 0);
+  const minReturn = portfolioReturn(anchors.minVariance);
+  const maxReturn = portfolioReturn(anchors.maxReturn);
+  const returnAt = fraction => minReturn + fraction * (maxReturn - minReturn);
+  const solveAt = async (fraction) => {
+    await yieldToEventLoop();
+    return solveForReturn(problem, returnAt(fraction), anchors);
+  };
+
+  // A few weeks of daily means scaled to a year would pick the frontier from noise
+  const warnings = [];
+  const efficientFrontier = [];
+  let maxSharpe = null;
+  let targetVolatilityPortfolio = null;
+  if (!hasExpectedReturns) {
+    warnings.push('Expected returns, the efficient frontier and the maximum-Sharpe and target-volatility portfolios ' +
+      `need at least ${riskService.MIN_ANNUALIZATION_OBSERVATIONS} daily returns; ${observations} available; ` +
+      'import more price history');
+  } else {
+    for (let k = 0; k < points; k++) {
+      efficientFrontier.push(describe(await solveAt(points > 1 ? k / (points - 1) : 0)));
+    }
+
+    // Refine the best frontier point by golden-section search on the target return
+    const sharpeAt = async (fraction) => {
+      const { sharpeRatio } = describe(await solveAt(fraction));
+      return sharpeRatio === null ? -Infinity : sharpeRatio;
+    };
+    const best = efficientFrontier.reduce((bestIndex, point, k) => {
+      return (point.sharpeRatio || -Infinity) > (efficientFrontier[bestIndex].sharpeRatio || -Infinity) ? k : bestIndex;
+    }, 0);
+    let low = Math.max(0, best - 1) / Math.max(1, points - 1);
+    let high = Math.min(points - 1, best + 1) / Math.max(1, points - 1);
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let left = high - ratio * (high - low);
+    let right = low + ratio * (high - low);
+    let leftSharpe = await sharpeAt(left);
+    let rightSharpe = await sharpeAt(right);
+    for (let i = 0; i < 30; i++) {
+      // Each step keeps one inner point, so only the other needs a new solve
+      if (leftSharpe < rightSharpe) {
+        low = left;
+        left = right;
+        leftSharpe = rightSharpe;
+        right = low + ratio * (high - low);
+        rightSharpe = await sharpeAt(right);
+      } else {
+        high = right;
+        right = left;
+        rightSharpe = leftSharpe;
+        left = high - ratio * (high - low);
+        leftSharpe = await sharpeAt(left);
+      }
+    }
+    const refined = describe(await solveAt((low + high) / 2));
+    maxSharpe = (refined.sharpeRatio || -Infinity) >= (efficientFrontier[best].sharpeRatio || -Infinity) ?
+      refined :
+      efficientFrontier[best];
+
+    // Highest-return portfolio whose volatility does not exceed the target
+    if (targetVolatility !== undefined) {
+      const minVolatility = describe(anchors.minVariance).volatility;
+      if (targetVolatility < minVolatility) {
+        targetVolatilityPortfolio = {
+          feasible: false,
+          message: `Target volatility is below the minimum achievable volatility of ${minVolatility}`
+        };
+      } else {
+        let lowFraction = 0;
+        let highFraction = 1;
+        if (describe(anchors.maxReturn).volatility <= targetVolatility) {
+          lowFraction = 1;
+        } else {
+          for (let i = 0; i < 40; i++) {
+            const middle = (lowFraction + highFraction) / 2;
+            if (describe(await solveAt(middle)).volatility <= targetVolatility) {
+              lowFraction = middle;
+            } else {
+              highFraction = middle;
+            }
+          }
+        }
+        targetVolatilityPortfolio = {
+          feasible: true,
+          targetVolatility,
+          ...describe(await solveAt(lowFraction))
+        };
+      }
+    }
+  }
+
+  // Risk parity needs every token to carry some risk
+  let riskParity = null;
+  if (problem.covariance.every((row, i) => row[i] > 0)) {
+    const unconstrained = riskParityWeights(problem.covariance);
+    const weights = scaleIntoBounds(unconstrained, problem.lower, problem.upper);
+    const variance = portfolioVariance(weights, problem.covariance);
+    riskParity = {
+      ...describe(weights),
+      boundsBinding: weights.some((w, i) => Math.abs(w - unconstrained[i]) > 1e-9),
+      riskContributions: Object.fromEntries(tokens.map((token, i) => {
+        const marginal = problem.covariance[i].reduce((sum, v, j) => sum + v * weights[j], 0);
+        return [token, variance > 0 ? (weights[i] * marginal) / variance : 0];
+      }))
+    };
+  }
+
+  return {
+    tokens,
+    statistics,
+    riskFreeRate,
+    observations,
+    assumptions: {
+      expectedReturns: hasExpectedReturns ?
+        Object.fromEntries(tokens.map((token, i) => [token, problem.expectedReturns[i]])) :
+        null,
+      volatilities: Object.fromEntries(tokens.map((token, i) => [token, Math.sqrt(problem.covariance[i][i])])),
+      correlationMatrix: {
+        tokens: covarianceData.tokens,
+        matrix: covarianceData.correlation
+      }
+    },
+    bounds: Object.fromEntries(tokens.map((token, i) => [token, { min: problem.lower[i], max: problem.upper[i] }])),
+    efficientFrontier,
+    maxSharpe,
+    minVariance: describe(anchors.minVariance),
+    riskParity,
+    targetVolatility: targetVolatilityPortfolio,
+    warnings,
+    analysisDate: new Date().toISOString()
+
+  };
+};
+
+module.exports = {
+  optimizePortfolio
+};
@@ -0,0 +1,607 @@
+/**
+ * Price History Service
+ * Stores OHLCV bars for every token the risk engine analyzes. Bars are loaded
+ * from CSV imports or fetched from a market data provider, resampled to hourly
+ * or daily bars and checked for gaps.
+ * Uses MongoDB when connected and falls back to a local JSON file otherwise.
+ * The read-only seed file in src/data provides the demo series; imported and
+ * fetched bars are written to the runtime file outside the source tree.
+ *
+ * CSV files need a header row with a `timestamp` (or `date`) column and a
+ * `close` (or `price`) column, and may include `symbol`, `open`, `high`, `low`
+ * and `volume` columns. Timestamps are ISO dates or Unix seconds/milliseconds.
+ * Volume is stored in USD: imports state their volume unit and token-unit
+ * volumes are converted at each bar's close.
+ */
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const PriceBar = require('../models/price-bar.model');
+const blockchainService = require('./blockchain.service');
+
+// Supported bar intervals and their length in milliseconds
+const BAR_INTERVALS = {
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Units imported volume can be given in: USD traded or tokens traded (converted to USD)
+const VOLUME_UNITS = ['usd', 'base'];
+
+// Demo series shipped with the source; never written at runtime
+const PRICE_HISTORY_SEED_FILE = path.join(__dirname, '..', 'data', 'price-history.json');
+
+// JSON file backing the store when MongoDB is not connected
+const PRICE_HISTORY_FILE = process.env.PRICE_HISTORY_FILE || path.join(__dirname, '..', '..', 'data', 'price-history.json');
+
+// Directory CSV files are imported from
+const PRICE_IMPORT_DIR = process.env.PRICE_IMPORT_DIR || path.join(__dirname, '..', 'data', 'price-imports');
+
+// File-backed store: "SYMBOL:interval" -> Map of bar start (ms) -> bar
+const fileSeries = new Map();
+
+// Bars loaded from the seed file; they stay in the seed and are never copied to the runtime file
+const seedBars = new WeakSet();
+
+/**
+ * Providers prices can be fetched from. A fetcher resolves to
+ * { prices: [{ timestamp, price, volume? }], simulated? } for a symbol and number of days,
+ * with volume in USD.
+ */
+const priceFetchers = {
+  coingecko: (symbol, days) => blockchainService.getHistoricalPriceData(symbol, String(days))
+};
+
+/**
+ * Create an error for a token without usable price history
+ * @param {string} symbol - Token symbol
+ * @param {string} interval - Requested bar interval
+ * @returns {Error} Error with code NO_PRICE_DATA
+ */
+const noPriceDataError = (symbol, interval) => {
+  const error = new Error(`No ${interval} price data for ${symbol}. Import a CSV or fetch it from a provider first`);
+  error.code = 'NO_PRICE_DATA';
+  error.token = symbol;
+  return error;
+};
+
+/**
+ * Check whether MongoDB is available for persistent storage
+ * @returns {boolean} True when the mongoose connection is open
+ */
+const isDatabaseConnected = () => mongoose.connection.readyState === 1;
+
+/**
+ * Validate a bar interval
+ * @param {string} interval - Bar interval
+ * @returns {number} Interval length in milliseconds
+ */
+const intervalLength = (interval) => {
+  if (!BAR_INTERVALS[interval]) {
+    throw new Error(`Interval must be one of: ${Object.keys(BAR_INTERVALS).join(', ')}`);
+  }
+  return BAR_INTERVALS[interval];
+};
+
+/**
+ * Parse an ISO date or Unix timestamp (seconds or milliseconds)
+ * @param {string|number|Date} value - Timestamp
+ * @returns {number} Milliseconds since the epoch, or NaN if invalid
+ */
+const parseTimestamp = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const numeric = Number(value);
+    // Ten-digit values are Unix seconds
+    return numeric < 1e11 ? numeric * 1000 : numeric;
+  }
+  return value ? new Date(value).getTime() : NaN;
+};
+
+/**
+ * Validate and normalize a raw OHLCV bar
+ * @param {Object} bar - Raw bar with timestamp and close (or price)
+ * @param {string} volumeUnit - 'usd' or 'base' (tokens traded, converted to USD at the close)
+ * @returns {Object} Bar with a millisecond timestamp, numeric fields and USD volume
+ */
+const normalizeBar = (bar, volumeUnit = 'usd') => {
+  const time = parseTimestamp(bar.timestamp !== undefined ? bar.timestamp : bar.date);
+  if (isNaN(time)) {
+    throw new Error(`Invalid timestamp: ${bar.timestamp || bar.date || '(empty)'}`);
+  }
+  
+  const close = Number(bar.close !== undefined ? bar.close : bar.price);
+  if (!isFinite(close) || close <= 0) {
+    throw new Error(`Invalid close price at ${new Date(time).toISOString()}`);
+  }
+  
+  const toPrice = (value) => (value === undefined || value === null || value === '' ? close : Number(value));
+  const open = toPrice(bar.open);
+  const high = toPrice(bar.high);
+  const low = toPrice(bar.low);
+  if (![open, high, low].every(value => isFinite(value) && value > 0) || high < Math.max(open, close) || low > Math.min(open, close)) {
+    throw new Error(`Inconsistent OHLC values at ${new Date(time).toISOString()}`);
+  }
+  
+  const hasVolume = bar.volume !== undefined && bar.volume !== null && bar.volume !== '';
+  const volume = hasVolume ? Number(bar.volume) : null;
+  if (hasVolume && (!isFinite(volume) || volume < 0)) {
+    throw new Error(`Invalid volume at ${new Date(time).toISOString()}`);
+  }
+  
+  return { time, open, high, low, close, volume: hasVolume && volumeUnit === 'base' ? volume * close : volume };
+};
+
+/**
+ * Aggregate bars into bars of a coarser (or equal) interval
+ * @param {Array} bars - Normalized bars in any order
+ * @param {string} interval - Target interval
+ * @returns {Array} Bars aligned to the interval, in date order
+ */
+const resampleBars = (bars, interval) => {
+  const length = intervalLength(interval);
+  const buckets = new Map();
+  
+  [...bars].sort((a, b) => a.time - b.time).forEach(bar => {
+    const start = Math.floor(bar.time / length) * length;
+    const bucket = buckets.get(start);
+    if (!bucket) {
+      buckets.set(start, { ...bar, time: start });
+      return;
+    }
+    bucket.high = Math.max(bucket.high, bar.high);
+    bucket.low = Math.min(bucket.low, bar.low);
+    bucket.close = bar.close;
+    bucket.volume = bucket.volume === null && bar.volume === null ? null : (bucket.volume || 0) + (bar.volume || 0);
+  });
+  
+  return [...buckets.values()].sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Find missing bars in a series
+ * @param {Array} bars - Bars in date order with millisecond timestamps
+ * @param {string} interval - Bar interval
+ * @returns {Array} Gaps with the first and last missing bar and the number of bars missing
+ */
+const detectGaps = (bars, interval) => {
+  const length = intervalLength(interval);
+  const gaps = [];
+  
+  for (let i = 1; i < bars.length; i++) {
+    const missingBars = Math.round((bars[i].time - bars[i - 1].time) / length) - 1;
+    if (missingBars > 0) {
+      gaps.push({
+        from: new Date(bars[i - 1].time + length).toISOString(),
+        to: new Date(bars[i].time - length).toISOString(),
+        missingBars
+      });
+    }
+  }
+  
+  return gaps;
+};
+
+/**
+ * Write the imported and fetched bars of the file-backed store, one bar per line so
+ * the file diffs cleanly
+ */
+const persistFileStore = () => {
+  const store = {};
+  [...fileSeries.keys()].sort().forEach(key => {
+    const runtimeBars = [...fileSeries.get(key).values()].filter(bar => !seedBars.has(bar));
+    if (runtimeBars.length === 0) return;
+    
+    const [symbol, interval] = key.split(':');
+    store[symbol] = store[symbol] || {};
+    store[symbol][interval] = runtimeBars
+      .sort((a, b) => a.time - b.time)
+      .map(bar => ({
+        timestamp: new Date(bar.time).toISOString(),
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        volume: bar.volume,
+        source: bar.source
+      }));
+  });
+  
+  const symbols = Object.keys(store).map(symbol => {
+    const intervals = Object.keys(store[symbol]).map(interval => {
+      const bars = store[symbol][interval].map(bar => `      ${JSON.stringify(bar)}`);
+      return `    ${JSON.stringify(interval)}: [\n${bars.join(',\n')}\n    ]`;
+    });
+    return `  ${JSON.stringify(symbol)}: {\n${intervals.join(',\n')}\n  }`;
+  });
+  
+  fs.mkdirSync(path.dirname(PRICE_HISTORY_FILE), { recursive: true });
+  fs.writeFileSync(PRICE_HISTORY_FILE, `{\n${symbols.join(',\n')}\n}\n`);
+};
+
+/**
+ * Read the stored bars of a series
+ * @param {string} symbol - Uppercase token symbol
+ * @param {string} interval - Bar interval
+ * @returns {Promise<Array>} Bars in date order
+ */
+const readBars = async (symbol, interval) => {
+  if (isDatabaseConnected()) {
+    try {
+      const documents = await PriceBar.find({ symbol, interval }).sort({ timestamp: 1 });
+      if (documents.length > 0) {
+        return documents.map(doc => ({
+          time: doc.timestamp.getTime(),
+          open: doc.open,
+          high: doc.high,
+          low: doc.low,
+          close: doc.close,
+          volume: doc.volume,
+          source: doc.source
+        }));
+      }
+    } catch (error) {
+      console.error('Error reading price history from MongoDB:', error.message);
+    }
+  }
+  
+  const series = fileSeries.get(`${symbol}:${interval}`);
+  return series ? [...series.values()].sort((a, b) => a.time - b.time) : [];
+};
+
+/**
+ * Store bars, replacing any stored bar with the same start time
+ * @param {string} symbol - Token symbol
+ * @param {Array} bars - Normalized bars aligned to the interval
+ * @param {string} interval - Bar interval
+ * @param {string} source - Where the bars came from
+ * @returns {Promise<Object>} Number of bars stored and where
+ */
+const writeBars = async (symbol, bars, interval, source) => {
+  const key = symbol.toUpperCase();
+  
+  if (isDatabaseConnected()) {
+    try {
+      await PriceBar.bulkWrite(bars.map(bar => ({
+        updateOne: {
+          filter: { symbol: key, interval, timestamp: new Date(bar.time) },
+          update: { $set: { open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume, source } },
+          upsert: true
+        }
+      })));
+      return { stored: bars.length, storage: 'mongodb' };
+    } catch (error) {
+      console.error('Error saving price history to MongoDB:', error.message);
+    }
+  }
+  
+  const seriesKey = `${key}:${interval}`;
+  const series = fileSeries.get(seriesKey) || new Map();
+  bars.forEach(bar => series.set(bar.time, { ...bar, source }));
+  fileSeries.set(seriesKey, series);
+  
+  try {
+    persistFileStore();
+  } catch (error) {
+    console.error('Error saving price history file:', error.message);
+  }
+  
+  return { stored: bars.length, storage: 'file' };
+};
+
+/**
+ * Normalize, resample and store raw bars for one or more symbols
+ * @param {Array} rawBars - Raw bars with symbol, timestamp, OHLC and volume fields
+ * @param {Object} options - Import options
+ * @param {string} options.symbol - Symbol for bars without a symbol field
+ * @param {string} options.interval - Interval the bars are stored at
+ * @param {string} options.source - Where the bars came from
+ * @param {string} options.volumeUnit - 'usd' (default) or 'base' for volumes in tokens traded
+ * @returns {Promise<Object>} Import summary per symbol, with rejected rows
+ */
+const storeRawBars = async (rawBars, options = {}) => {
+  const { interval = '1d', source = 'import', volumeUnit = 'usd' } = options;
+  intervalLength(interval);
+  if (!VOLUME_UNITS.includes(volumeUnit)) {
+    throw new Error(`Unsupported volume unit: ${volumeUnit}. Use one of: ${VOLUME_UNITS.join(', ')}`);
+  }
+  
+  const errors = [];
+  const barsBySymbol = new Map();
+  rawBars.forEach((rawBar, i) => {
+    try {
+      const symbol = (rawBar.symbol || options.symbol || '').trim().toUpperCase();
+      if (!symbol) {
+        throw new Error('Missing symbol');
+      }
+      const bars = barsBySymbol.get(symbol) || [];
+      bars.push(normalizeBar(rawBar, volumeUnit));
+      barsBySymbol.set(symbol, bars);
+    } catch (error) {
+      errors.push(`Row ${i + 1}: ${error.message}`);
+    }
+  });
+  
+  const symbols = [];
+  for (const [symbol, bars] of barsBySymbol) {
+    const resampled = resampleBars(bars, interval);
+    const result = await writeBars(symbol, resampled, interval, source);
+    const stored = await readBars(symbol, interval);
+    symbols.push({
+      symbol,
+      interval,
+      rows: bars.length,
+      bars: result.stored,
+      storage: result.storage,
+      from: new Date(resampled[0].time).toISOString(),
+      to: new Date(resampled[resampled.length - 1].time).toISOString(),
+      gaps: detectGaps(stored, interval)
+    });
+  }
+  
+  return {
+    source,
+    imported: rawBars.length - errors.length,
+    skipped: errors.length,
+    symbols,
+    errors
+  };
+};
+
+/**
+ * Parse CSV price data into raw bars
+ * @param {string} content - CSV content
+ * @returns {Array} Raw bars keyed by lowercase header name
+ */
+const parseCsv = (content) => {
+  const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+  if (lines.length === 0) return [];
+  
+  const headers = lines[0].split(',').map(header => header.trim().toLowerCase());
+  if (!headers.includes('timestamp') && !headers.includes('date')) {
+    throw new Error('CSV price data must have a timestamp or date column');
+  }
+  if (!headers.includes('close') && !headers.includes('price')) {
+    throw new Error('CSV price data must have a close or price column');
+  }
+  
+  return lines.slice(1).map(line => {
+    const values = line.split(',');
+    return headers.reduce((row, header, i) => {
+      row[header] = values[i] !== undefined ? values[i].trim() : undefined;
+      return row;
+    }, {});
+  });
+};
+
+/**
+ * Import CSV price data
+ * @param {string} content - CSV content
+ * @param {Object} options - Symbol (for files without a symbol column), interval, source and
+ *   volumeUnit ('usd' by default, or 'base' for volumes in tokens traded)
+ * @returns {Promise<Object>} Import summary
+ */
+const importCsv = async (content, options = {}) => {
+  return storeRawBars(parseCsv(content), { source: 'csv', ...options });
+};
+
+/**
+ * Import a CSV file from the price import directory
+ * @param {string} fileName - Name of a .csv file in the price import directory
+ * @param {Object} options - Symbol, interval, volume unit and source (defaults to the file name)
+ * @returns {Promise<Object>} Import summary
+ */
+const importCsvFile = async (fileName, options = {}) => {
+  // Only allow files inside the price import directory
+  const filePath = path.resolve(PRICE_IMPORT_DIR, fileName);
+  if (path.dirname(filePath) !== path.resolve(PRICE_IMPORT_DIR) || path.extname(filePath).toLowerCase() !== '.csv') {
+    throw new Error('Price data must be a .csv file inside the price import directory');
+  }
+  
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Price data file not found: ${fileName}`);
+  }
+  
+  const summary = await importCsv(fs.readFileSync(filePath, 'utf8'), {
+    source: path.basename(filePath, '.csv'),
+    ...options
+  });
+  return { file: path.basename(filePath), ...summary };
+};
+
+/**
+ * Register a price provider
+ * @param {string} name - Provider name
+ * @param {Function} fetcher - async (symbol, days) => { prices: [{ timestamp, price, volume? }], simulated? }
+ */
+const registerFetcher = (name, fetcher) => {
+  if (typeof fetcher !== 'function') {
+    throw new Error('Price fetcher must be a function');
+  }
+  priceFetchers[name] = fetcher;
+};
+
+/**
+ * Fetch prices from a provider and store them as bars
+ * @param {string} symbol - Token symbol
+ * @param {Object} options - Fetch options
+ * @param {number} options.days - Days of history to fetch
+ * @param {string} options.interval - Interval the prices are resampled to
+ * @param {string} options.provider - Registered provider name
+ * @returns {Promise<Object>} Import summary
+ */
+const fetchPriceHistory = async (symbol, options = {}) => {
+  const { days = 30, interval = '1d', provider = 'coingecko' } = options;
+  const length = intervalLength(interval);
+  
+  const fetcher = priceFetchers[provider];
+  if (!fetcher) {
+    throw new Error(`Unknown price provider: ${provider}. Available: ${Object.keys(priceFetchers).join(', ')}`);
+  }
+  
+  const result = await fetcher(symbol, days);
+  if (!result || result.simulated || !Array.isArray(result.prices) || result.prices.length === 0) {
+    const error = new Error(`Price provider ${provider} returned no market data for ${symbol.toUpperCase()}; nothing was stored`);
+    error.code = 'PROVIDER_UNAVAILABLE';
+    throw error;
+  }
+  
+  // The bar still in progress would be stored with a partial close
+  const currentBarStart = Math.floor(Date.now() / length) * length;
+  const prices = result.prices.filter(point => parseTimestamp(point.timestamp) < currentBarStart);
+  
+  return storeRawBars(prices.map(point => ({
+    symbol,
+    timestamp: point.timestamp,
+    close: point.price,
+    volume: point.volume
+  })), { interval, source: provider });
+};
+
+/**
+ * Get the price history of a token
+ * @param {string} symbol - Token symbol
+ * @param {Object} options - Query options
+ * @param {string} options.interval - '1h' or '1d'; daily bars are resampled from hourly bars when needed
+ * @param {number} options.limit - Maximum number of most recent bars to return
+ * @returns {Promise<Object>} Bars in date order with any gaps
+ */
+const getPriceHistory = async (symbol, options = {}) => {
+  const { interval = '1d', limit } = options;
+  intervalLength(interval);
+  const key = symbol.toUpperCase();
+  
+  let bars = await readBars(key, interval);
+  let resampledFrom = null;
+  if (bars.length === 0 && interval === '1d') {
+    const hourlyBars = await readBars(key, '1h');
+    if (hourlyBars.length > 0) {
+      bars = resampleBars(hourlyBars, '1d');
+      resampledFrom = '1h';
+    }
+  }
+  
+  if (bars.length === 0) {
+    throw noPriceDataError(key, interval);
+  }
+  
+  const selected = limit ? bars.slice(-limit) : bars;
+  
+  return {
+    symbol: key,
+    interval,
+    resampledFrom,
+    count: selected.length,
+    from: new Date(selected[0].time).toISOString(),
+    to: new Date(selected[selected.length - 1].time).toISOString(),
+    gaps: detectGaps(selected, interval),
+    bars: selected.map(bar => ({
+      timestamp: new Date(bar.time).toISOString(),
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      close: bar.close,
+      volume: bar.volume,
+      source: bar.source
+    }))
+  };
+};
+
+/**
+ * Summarize the stored price series
+ * @returns {Promise<Object>} Bar counts and date ranges per symbol and interval
+ */
+const getCoverage = async () => {
+  const series = new Map();
+  
+  for (const [key, bars] of fileSeries) {
+    const times = [...bars.keys()];
+    series.set(key, { count: times.length, from: Math.min(...times), to: Math.max(...times), storage: 'file' });
+  }
+  
+  if (isDatabaseConnected()) {
+    try {
+      const groups = await PriceBar.aggregate([
+        { $group: { _id: { symbol: '$symbol', interval: '$interval' }, count: { $sum: 1 }, from: { $min: '$timestamp' }, to: { $max: '$timestamp' } } }
+      ]);
+      groups.forEach(group => {
+        series.set(`${group._id.symbol}:${group._id.interval}`, {
+          count: group.count,
+          from: group.from.getTime(),
+          to: group.to.getTime(),
+          storage: 'mongodb'
+        });
+      });
+    } catch (error) {
+      console.error('Error reading price history from MongoDB:', error.message);
+    }
+  }
+  
+  return {
+    intervals: Object.keys(BAR_INTERVALS),
+    providers: Object.keys(priceFetchers),
+    series: [...series.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, summary]) => {
+        const [symbol, interval] = key.split(':');
+        return {
+          symbol,
+          interval,
+          bars: summary.count,
+          from: new Date(summary.from).toISOString(),
+          to: new Date(summary.to).toISOString(),
+          storage: summary.storage
+        };
+      })
+  };
+};
+
+/**
+ * Load a price history file into the file-backed store
+ * Bars already in the store are replaced by bars with the same start time.
+ * @param {string} filePath - Path to the JSON file
+ * @param {boolean} seed - Whether the file is the read-only seed
+ */
+const loadFileStore = (filePath, seed = false) => {
+  const store = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  Object.entries(store).forEach(([symbol, intervals]) => {
+    Object.entries(intervals).forEach(([interval, bars]) => {
+      intervalLength(interval);
+      const key = `${symbol.toUpperCase()}:${interval}`;
+      const series = fileSeries.get(key) || new Map();
+      bars.forEach(bar => {
+        const normalized = normalizeBar(bar);
+        const stored = { ...normalized, source: bar.source || 'file' };
+        if (seed) {
+          seedBars.add(stored);
+        }
+        series.set(normalized.time, stored);
+      });
+      fileSeries.set(key, series);
+    });
+  });
+};
+
+// Load the seed series, then the runtime file on top of it
+for (const filePath of [PRICE_HISTORY_SEED_FILE, PRICE_HISTORY_FILE]) {
+  try {
+    if (fs.existsSync(filePath)) {
+      loadFileStore(filePath, filePath === PRICE_HISTORY_SEED_FILE);
+
+    }
+  } catch (error) {
+    console.error(`Failed to load price history file ${filePath}:`, error.message);
+  }
+}
+
+module.exports = {
+  BAR_INTERVALS,
+  VOLUME_UNITS,
+  getPriceHistory,
+
+  importCsv,
+  importCsvFile,
+  fetchPriceHistory,
+  registerFetcher,
+  getCoverage
+};
@@ -0,0 +1,211 @@
+/**
+ * Report PDF Service
+ * Renders risk reports as text-only PDF documents without external
+ * dependencies. Documents use the standard Helvetica fonts on A4 pages, so only
+ * Latin-1 characters can be shown; anything else is replaced with '?'.
+ */
+
+// A4 page size and margins in points
+const PAGE = {
+  width: 595,
+  height: 842,
+  margin: 50,
+  footerHeight: 30
+};
+
+// Average Helvetica glyph width as a share of the font size, used to wrap lines
+const AVERAGE_GLYPH_WIDTH = 0.52;
+
+const FONTS = {
+  regular: 'F1',
+  bold: 'F2'
+};
+
+/**
+ * Escape text for a PDF string literal
+ * @param {string} text - Text to show
+ * @returns {string} Escaped Latin-1 text
+ */
+const escapePdfText = (text) => String(text)
+  .replace(/[–—]/g, '-')
+  .replace(/[‘’]/g, '\'')
+  .replace(/[“”]/g, '"')
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+/**
+ * Split text into lines that fit a width
+ * @param {string} text - Text to wrap
+ * @param {number} size - Font size in points
+ * @param {number} width - Available width in points
+ * @returns {Array<string>} Lines
+ */
+const wrapText = (text, size, width) => {
+  const maxChars = Math.max(10, Math.floor(width / (size * AVERAGE_GLYPH_WIDTH)));
+  const lines = [];
+  
+  String(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(word => word.length > 0).forEach(word => {
+      // Break words longer than a line, such as addresses and signatures
+      while (word.length > maxChars) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, maxChars));
+        word = word.slice(maxChars);
+      }
+      if (line && line.length + 1 + word.length > maxChars) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    lines.push(line);
+  });
+  
+  return lines;
+};
+
+/**
+ * Lay blocks out on pages
+ * @param {Array} blocks - { type: 'title' | 'heading' | 'text' | 'field' | 'spacer', ... }
+ * @returns {Array<Array>} Drawing operations per page
+ */
+const layoutBlocks = (blocks) => {
+  const contentWidth = PAGE.width - 2 * PAGE.margin;
+  const bottom = PAGE.margin + PAGE.footerHeight;
+  const pages = [[]];
+  let y = PAGE.height - PAGE.margin;
+  
+  const ensureSpace = (height) => {
+    if (y - height < bottom) {
+      pages.push([]);
+      y = PAGE.height - PAGE.margin;
+    }
+  };
+  const drawText = (text, x, font, size) => {
+    pages[pages.length - 1].push({ type: 'text', text, x, y, font, size });
+  };
+  
+  for (const block of blocks) {
+    if (block.type === 'title') {
+      ensureSpace(30);
+      y -= 18;
+      drawText(block.text, PAGE.margin, FONTS.bold, 18);
+      y -= 12;
+    } else if (block.type === 'heading') {
+      // Keep a heading on the same page as the first lines below it
+      ensureSpace(60);
+      y -= 20;
+      drawText(block.text, PAGE.margin, FONTS.bold, 13);
+      y -= 5;
+      pages[pages.length - 1].push({ type: 'rule', y });
+      y -= 6;
+    } else if (block.type === 'field') {
+      const labelWidth = 170;
+      const lines = wrapText(block.value, 10, contentWidth - labelWidth);
+      lines.forEach((line, i) => {
+        ensureSpace(14);
+        y -= 14;
+        if (i === 0) drawText(block.label, PAGE.margin, FONTS.bold, 10);
+        drawText(line, PAGE.margin + labelWidth, FONTS.regular, 10);
+      });
+    } else if (block.type === 'text') {
+      const size = block.size || 10;
+      wrapText(block.text, size, contentWidth - (block.indent || 0)).forEach(line => {
+        ensureSpace(size + 4);
+        y -= size + 4;
+        drawText(line, PAGE.margin + (block.indent || 0), block.bold ? FONTS.bold : FONTS.regular, size);
+      });
+    } else if (block.type === 'spacer') {
+      y -= block.height || 8;
+    }
+  }
+  
+  return pages;
+};
+
+/**
+ * Render a page's drawing operations as a PDF content stream
+ * @param {Array} operations - Text and rule operations
+ * @param {string} footer - Footer text
+ * @returns {string} Content stream
+ */
+const renderContentStream = (operations, footer) => {
+  const commands = [];
+  
+  operations.forEach(op => {
+    if (op.type === 'text') {
+      commands.push(`BT /${op.font} ${op.size} Tf 1 0 0 1 ${op.x} ${op.y.toFixed(2)} Tm (${escapePdfText(op.text)}) Tj ET`);
+    } else if (op.type === 'rule') {
+      commands.push(`0.5 w ${PAGE.margin} ${op.y.toFixed(2)} m ${PAGE.width - PAGE.margin} ${op.y.toFixed(2)} l S`);
+    }
+  });
+  
+  commands.push(`0.5 w ${PAGE.margin} ${PAGE.margin + 14} m ${PAGE.width - PAGE.margin} ${PAGE.margin + 14} l S`);
+  commands.push(`BT /${FONTS.regular} 8 Tf 1 0 0 1 ${PAGE.margin} ${PAGE.margin} Tm (${escapePdfText(footer)}) Tj ET`);
+  
+  return commands.join('\n');
+};
+
+/**
+ * Format a date as a PDF date string
+ * @param {Date} date - Date
+ * @returns {string} D:YYYYMMDDHHmmSSZ
+ */
+const toPdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+/**
+ * Render blocks as a PDF document
+ * @param {Array} blocks - Layout blocks (see layoutBlocks)
+ * @param {Object} options - Document options
+ * @param {string} options.title - Document title
+ * @param {Function} options.footer - (pageNumber, pageCount) => footer text
+ * @param {Date} options.createdAt - Creation date
+ * @returns {Buffer} PDF file
+ */
+const renderPdf = (blocks, options = {}) => {
+  const { title = 'Report', footer = (page, count) => `Page ${page} of ${count}`, createdAt = new Date() } = options;
+  const pages = layoutBlocks(blocks);
+  
+  // Objects 1-4 are the catalog, page tree, fonts and info; pages follow in pairs
+  const objects = [];
+  const pageIds = pages.map((page, i) => 5 + 2 * i);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>`;
+  objects[4] = `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>`;
+  
+  pages.forEach((operations, i) => {
+    const stream = renderContentStream(operations, footer(i + 1, pages.length));
+    objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+      `/Resources << /Font << /${FONTS.regular} 3 0 R /${FONTS.bold} 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+  
+  const infoId = objects.length;
+  objects[infoId] = `<< /Title (${escapePdfText(title)}) /Producer (Aries DeFi Risk Engine) /CreationDate (${toPdfDate(createdAt)}) >>`;
+  
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  
+  return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = {
+  renderPdf
+};
@@ -0,0 +1,401 @@
+/**
+ * Risk Report Service
+ * Combines wallet risk, VaR, Sharpe ratio and volatility results for a client
+ * into a versioned report document. Reports are exported as canonical JSON
+ * (RFC 8785 key ordering) signed with the server's Ed25519 key, or as PDF.
+ *
+ * Set REPORT_SIGNING_KEY to a PEM-encoded Ed25519 private key. Without it an
+ * ephemeral key is generated at startup and signatures stop verifying after a
+ * restart.
+ */
+const crypto = require('crypto');
+const riskService = require('./risk.service');
+const { renderPdf } = require('./report-pdf.service');
+
+// Bump the major version when fields are removed or change meaning
+const REPORT_SCHEMA_VERSION = '1.1';
+
+const SIGNATURE_ALGORITHM = 'Ed25519';
+
+/**
+ * Load the report signing key
+ * @returns {Object} Private key, public key, key id and whether the key is ephemeral
+ */
+const loadSigningKey = () => {
+  let privateKey;
+  let ephemeral = false;
+  
+  if (process.env.REPORT_SIGNING_KEY) {
+    // Keys in .env files usually have escaped newlines
+    privateKey = crypto.createPrivateKey(process.env.REPORT_SIGNING_KEY.replace(/\\n/g, '\n'));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('REPORT_SIGNING_KEY must be an Ed25519 private key');
+    }
+  } else {
+    console.warn('REPORT_SIGNING_KEY not set: signing reports with an ephemeral key');
+    privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    ephemeral = true;
+  }
+  
+  const publicKey = crypto.createPublicKey(privateKey);
+  const keyId = crypto.createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .slice(0, 16);
+  
+  return { privateKey, publicKey, keyId, ephemeral };
+};
+
+const signingKey = loadSigningKey();
+
+/**
+ * Serialize a value as canonical JSON: object keys sorted, no whitespace
+ * Numbers and strings use the JSON.stringify forms, which RFC 8785 adopts.
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+const canonicalize = (value) => {
+  if (value === null || value === undefined || typeof value === 'function') {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Get the public key recipients use to verify reports
+ * @returns {Object} Algorithm, key id and PEM public key
+ */
+const getPublicKey = () => ({
+  algorithm: SIGNATURE_ALGORITHM,
+  keyId: signingKey.keyId,
+  publicKey: signingKey.publicKey.export({ type: 'spki', format: 'pem' }),
+  ephemeral: signingKey.ephemeral
+});
+
+/**
+ * Sign a report
+ * @param {Object} report - Report document
+ * @returns {Object} Signature over the report's canonical JSON
+ */
+const signReport = (report) => {
+  const canonical = canonicalize(report);
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: signingKey.keyId,
+    canonicalization: 'RFC8785',
+    digest: crypto.createHash('sha256').update(canonical).digest('hex'),
+    value: crypto.sign(null, Buffer.from(canonical), signingKey.privateKey).toString('base64')
+  };
+};
+
+/**
+ * Verify a signed report against the server key
+ * @param {Object} report - Report document as received
+ * @param {Object} signature - Signature block as received
+ * @returns {Object} Whether the signature is valid, and why not
+ */
+const verifyReport = (report, signature) => {
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    return { valid: false, reason: `Unsupported signature algorithm: ${signature.algorithm}` };
+  }
+  if (signature.keyId !== signingKey.keyId) {
+    return { valid: false, reason: 'Report was signed with a different key' };
+  }
+  
+  const canonical = canonicalize(report);
+  let valid;
+  try {
+    valid = crypto.verify(null, Buffer.from(canonical), signingKey.publicKey, Buffer.from(String(signature.value), 'base64'));
+  } catch (error) {
+    valid = false;
+  }
+  
+  return {
+    valid,
+    keyId: signingKey.keyId,
+    digest: crypto.createHash('sha256').update(canonical).digest('hex'),
+    ...(!valid && { reason: 'Signature does not match the report contents' })
+  };
+};
+
+/**
+ * Summarize a wallet risk analysis for a report
+ * @param {Object} analysis - Result of analyzeWalletRisk
+ * @returns {Object} Wallet risk section
+ */
+const summarizeWalletRisk = (analysis) => ({
+  address: analysis.address,
+  riskScore: analysis.riskScore,
+  riskLevel: analysis.riskLevel,
+  transactions: analysis.transactions,
+  riskFactors: analysis.riskFactors.map(factor => ({
+    factor: factor.factor,
+    impact: factor.impact,
+    points: factor.points,
+    description: factor.description
+  })),
+  threatMatches: analysis.threatMatches.map(match => ({
+    address: match.address,
+    transactions: match.transactions,
+    categories: [...new Set(match.lists.map(list => list.category))]
+  })),
+  counterpartyExposure: {
+    directShare: analysis.counterpartyExposure.directShare,
+    indirectShare: analysis.counterpartyExposure.indirectShare,
+    totalExposure: analysis.counterpartyExposure.totalExposure
+  },
+  approvalExposure: analysis.approvalExposure
+});
+
+/**
+ * Summarize a VaR calculation for a report
+ * @param {Object} result - Result of calculateVaR
+ * @returns {Object} Value at Risk section
+ */
+const summarizeVaR = (result) => ({
+  method: result.method,
+  confidenceLevel: result.confidenceLevel, // as percentage
+  portfolioValue: result.portfolioValue,
+  portfolioVolatility: result.portfolioVolatility,
+  dailyVaR: result.dailyVaR,
+  weeklyVaR: result.weeklyVaR,
+  monthlyVaR: result.monthlyVaR,
+  riskLevel: result.riskLevel,
+  holdings: result.holdings.map(holding => ({
+    token: holding.token,
+    amount: holding.amount,
+    weight: holding.weight,
+    componentVaR: holding.componentVaR,
+    contributionPercentage: holding.contributionPercentage
+  })),
+  concentration: {
+    herfindahlIndex: result.diagnostics.herfindahlIndex,
+    concentrationLevel: result.diagnostics.concentrationLevel,
+    largestPosition: result.diagnostics.largestPosition,
+    stablecoinShare: result.diagnostics.stablecoinShare,
+    warnings: result.diagnostics.warnings
+  }
+});
+
+/**
+ * Summarize a Sharpe ratio calculation for a report
+ * @param {Object} result - Result of calculateSharpe for holdings
+ * @param {number} riskFreeRate - Annual risk-free rate used
+ * @returns {Object} Sharpe ratio section
+ */
+const summarizeSharpe = (result, riskFreeRate) => ({
+  riskFreeRate,
+  averageDailyReturn: result.averageDailyReturn,
+  volatilityDaily: result.volatilityDaily,
+  sharpeRatioDaily: result.sharpeRatioDaily,
+  sharpeRatioAnnualized: result.sharpeRatioAnnualized,
+  riskAdjustedPerformance: result.riskAdjustedPerformance
+});
+
+/**
+ * Summarize a token volatility analysis for a report
+ * @param {Object} result - Result of getTokenVolatility
+ * @returns {Object} Volatility entry
+ */
+const summarizeVolatility = (result) => ({
+  token: result.token,
+  currentPrice: result.currentPrice,
+  volatilityAnnualized: result.volatilityAnnualized,
+  volatilityLevel: result.volatilityLevel,
+  maxDrawdown: result.maxDrawdown,
+  trend: result.trend,
+  priceHistory: {
+    from: result.priceHistory.from,
+    to: result.priceHistory.to,
+    bars: result.priceHistory.bars
+  }
+});
+
+/**
+ * Generate a signed risk report for a client
+ * @param {Object} client - Client the report is for ({ name, reference })
+ * @param {Object} inputs - Report inputs
+ * @param {string} inputs.wallet - Wallet address for the wallet risk section (optional)
+ * @param {Array} inputs.holdings - Holdings for the VaR, Sharpe and volatility sections (optional)
+ * @param {number} inputs.confidenceLevel - VaR confidence level
+ * @param {string} inputs.method - VaR method
+ * @param {number} inputs.riskFreeRate - Annual risk-free rate for the Sharpe ratio
+ * @param {number} inputs.days - Daily bars of price history per token (all stored bars when omitted)
+ * @returns {Promise<Object>} { report, signature }
+ */
+const generateReport = async (client, inputs = {}) => {
+  const { wallet, holdings, confidenceLevel = 0.95, method = 'parametric', riskFreeRate = 0.04, days } = inputs;
+  
+  const sections = {};
+  if (wallet) {
+    sections.walletRisk = summarizeWalletRisk(await riskService.analyzeWalletRisk(wallet));
+  }
+  if (holdings && holdings.length > 0) {
+    const tokens = [...new Set(holdings.map(holding => holding.token.toUpperCase()))];
+    const [varResult, sharpeResult, volatilities] = await Promise.all([
+      riskService.calculateVaR(holdings, confidenceLevel, { method, days }),
+      riskService.calculateSharpe(holdings, riskFreeRate, { days }),
+      Promise.all(tokens.map(token => riskService.getTokenVolatility(token, days)))
+    ]);
+    sections.valueAtRisk = summarizeVaR(varResult);
+    sections.sharpe = summarizeSharpe(sharpeResult, riskFreeRate);
+    sections.volatility = volatilities.map(summarizeVolatility);
+  }
+  
+  // Round-trip through JSON so the signed form is exactly what recipients parse
+  const report = JSON.parse(JSON.stringify({
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    reportId: crypto.randomUUID(),
+    generatedAt: new Date().toISOString(),
+    client: {
+      name: client.name,
+      reference: client.reference || null
+    },
+    inputs: {
+      wallet: wallet || null,
+      holdings: holdings || [],
+      confidenceLevel,
+      method,
+      riskFreeRate,
+      days: days || null
+    },
+
+    sections,
+    disclaimer: 'Risk figures are model estimates based on historical data and are not a guarantee of future results.'
+  }));
+  
+  return { report, signature: signReport(report) };
+};
+
+/**
+ * Format a number as US dollars
+ * @param {number} value - Amount
+ * @returns {string} Formatted amount
+ */
+const formatUsd = (value) => (value === null || value === undefined ? 'n/a' :
+  `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+/**
+ * Format a fraction as a percentage
+ * @param {number} value - Fraction (0.05 for 5%)
+ * @returns {string} Formatted percentage
+ */
+const formatPercent = (value) => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(2)}%`);
+
+/**
+ * Render a signed report as a PDF
+ * @param {Object} signedReport - { report, signature } from generateReport
+ * @returns {Buffer} PDF file
+ */
+const renderReportPdf = ({ report, signature }) => {
+  const { sections } = report;
+  const blocks = [
+    { type: 'title', text: 'Aries DeFi Risk Report' },
+    { type: 'field', label: 'Client', value: report.client.reference ? `${report.client.name} (${report.client.reference})` : report.client.name },
+    { type: 'field', label: 'Report ID', value: report.reportId },
+    { type: 'field', label: 'Generated', value: report.generatedAt },
+    { type: 'field', label: 'Schema version', value: report.schemaVersion }
+  ];
+  
+  if (sections.walletRisk) {
+    const walletRisk = sections.walletRisk;
+    blocks.push(
+      { type: 'heading', text: 'Wallet Risk' },
+      { type: 'field', label: 'Wallet', value: walletRisk.address },
+      { type: 'field', label: 'Risk score', value: `${walletRisk.riskScore} / 100 (${walletRisk.riskLevel})` },
+      { type: 'field', label: 'Transactions analyzed', value: `${walletRisk.transactions.total} (${walletRisk.transactions.suspicious} with listed addresses)` },
+      { type: 'field', label: 'Counterparty exposure', value: formatPercent(walletRisk.counterpartyExposure.totalExposure) },
+      { type: 'field', label: 'Approval value at risk', value: formatUsd(walletRisk.approvalExposure.totalValueAtRisk) },
+      { type: 'spacer' },
+      { type: 'text', text: 'Risk factors', bold: true },
+      ...walletRisk.riskFactors.map(factor => ({
+        type: 'text',
+        indent: 10,
+        text: `${factor.factor} (${factor.impact}, ${factor.points} points): ${factor.description}`
+      }))
+    );
+  }
+  
+  if (sections.valueAtRisk) {
+    const valueAtRisk = sections.valueAtRisk;
+    blocks.push(
+      { type: 'heading', text: 'Value at Risk' },
+      { type: 'field', label: 'Portfolio value', value: formatUsd(valueAtRisk.portfolioValue) },
+      { type: 'field', label: 'Method', value: `${valueAtRisk.method}, ${valueAtRisk.confidenceLevel}% confidence` },
+      { type: 'field', label: 'Daily VaR', value: `${formatUsd(valueAtRisk.dailyVaR.amount)} (${valueAtRisk.dailyVaR.percentage.toFixed(2)}%)` },
+      { type: 'field', label: 'Weekly VaR', value: `${formatUsd(valueAtRisk.weeklyVaR.amount)} (${valueAtRisk.weeklyVaR.percentage.toFixed(2)}%)` },
+      { type: 'field', label: 'Monthly VaR', value: `${formatUsd(valueAtRisk.monthlyVaR.amount)} (${valueAtRisk.monthlyVaR.percentage.toFixed(2)}%)` },
+      { type: 'field', label: 'Risk level', value: valueAtRisk.riskLevel },
+      { type: 'field', label: 'Concentration', value: `${valueAtRisk.concentration.concentrationLevel} (HHI ${valueAtRisk.concentration.herfindahlIndex.toFixed(3)}, stablecoins ${formatPercent(valueAtRisk.concentration.stablecoinShare)})` },
+      { type: 'spacer' },
+      { type: 'text', text: 'Contribution by holding', bold: true },
+      ...valueAtRisk.holdings.map(holding => ({
+        type: 'text',
+        indent: 10,
+        text: `${holding.token}: ${holding.amount} units, weight ${formatPercent(holding.weight)}, ` +
+          `component VaR ${formatUsd(holding.componentVaR)} (${holding.contributionPercentage.toFixed(2)}% of VaR)`
+      })),
+      ...valueAtRisk.concentration.warnings.map(warning => ({ type: 'text', indent: 10, text: `Warning: ${warning}` }))
+    );
+  }
+  
+  if (sections.sharpe) {
+    blocks.push(
+      { type: 'heading', text: 'Risk-Adjusted Performance' },
+      { type: 'field', label: 'Risk-free rate', value: formatPercent(sections.sharpe.riskFreeRate) },
+      { type: 'field', label: 'Average daily return', value: formatPercent(sections.sharpe.averageDailyReturn) },
+      { type: 'field', label: 'Daily volatility', value: formatPercent(sections.sharpe.volatilityDaily) },
+      { type: 'field', label: 'Sharpe ratio (annualized)', value: `${sections.sharpe.sharpeRatioAnnualized.toFixed(2)} (${sections.sharpe.riskAdjustedPerformance})` }
+    );
+  }
+  
+  if (sections.volatility) {
+    blocks.push({ type: 'heading', text: 'Token Volatility' });
+    sections.volatility.forEach(token => {
+      blocks.push({
+        type: 'field',
+        label: token.token,
+        value: `${formatPercent(token.volatilityAnnualized)} annualized (${token.volatilityLevel}), ` +
+          `max drawdown ${formatPercent(token.maxDrawdown)}, ${token.trend.toLowerCase()} trend, ` +
+          `price ${formatUsd(token.currentPrice)} (${token.priceHistory.bars} days to ${token.priceHistory.to.split('T')[0]})`
+      });
+    });
+  }
+  
+  blocks.push(
+    { type: 'heading', text: 'Verification' },
+    { type: 'text', text: 'The signed JSON export of this report can be verified against the server public key at /api/risk/report/public-key.' },
+    { type: 'spacer' },
+    { type: 'field', label: 'Algorithm', value: `${signature.algorithm} over ${signature.canonicalization} canonical JSON` },
+    { type: 'field', label: 'Key ID', value: signature.keyId },
+    { type: 'field', label: 'SHA-256 digest', value: signature.digest },
+    { type: 'field', label: 'Signature', value: signature.value },
+    { type: 'spacer' },
+    { type: 'text', text: report.disclaimer, size: 8 }
+  );
+  
+  return renderPdf(blocks, {
+    title: `Risk report for ${report.client.name}`,
+    createdAt: new Date(report.generatedAt),
+    footer: (page, count) => `Report ${report.reportId} - digest ${signature.digest.slice(0, 16)} - page ${page} of ${count}`
+  });
+};
+
+module.exports = {
+  REPORT_SCHEMA_VERSION,
+  canonicalize,
+  generateReport,
+  renderReportPdf,
+  verifyReport,
+  getPublicKey
+};
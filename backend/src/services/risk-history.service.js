@@ -0,0 +1,181 @@
+/**
+ * Risk History Service
+ * Stores every wallet risk analysis so scores can be tracked over time, and
+ * raises drift events when a wallet moves between risk bands.
+ * Uses MongoDB when connected and falls back to memory-only storage otherwise;
+ * memory keeps the most recent snapshots of the most recently analyzed wallets.
+ */
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const RiskSnapshot = require('../models/risk-snapshot.model');
+
+// Risk bands from least to most risky
+const RISK_LEVEL_ORDER = ['Low', 'Medium', 'High'];
+
+// Memory-only storage limits so a long-running process does not grow without bound
+const MEMORY_LIMITS = {
+  snapshotsPerAddress: Number(process.env.RISK_HISTORY_MAX_SNAPSHOTS) || 100,
+  addresses: Number(process.env.RISK_HISTORY_MAX_ADDRESSES) || 10000
+};
+
+// In-memory snapshots: lowercase address -> snapshots in analysis order,
+// with addresses ordered from least to most recently analyzed
+const memorySnapshots = new Map();
+
+// Emits 'drift' events when a wallet's risk band changes between analyses
+const riskEvents = new EventEmitter();
+
+/**
+ * Check whether MongoDB is available for persistent storage
+ * @returns {boolean} True when the mongoose connection is open
+ */
+const isDatabaseConnected = () => mongoose.connection.readyState === 1;
+
+/**
+ * Convert a stored snapshot into a plain response object
+ * @param {Object} snapshot - Snapshot document or memory record
+ * @returns {Object} Snapshot
+ */
+const formatSnapshot = (snapshot) => ({
+  address: snapshot.address,
+  riskScore: snapshot.riskScore,
+  riskLevel: snapshot.riskLevel,
+  drift: snapshot.drift && snapshot.drift.direction ? {
+    fromLevel: snapshot.drift.fromLevel,
+    toLevel: snapshot.drift.toLevel,
+    fromScore: snapshot.drift.fromScore,
+    toScore: snapshot.drift.toScore,
+    direction: snapshot.drift.direction
+  } : null,
+  analysisDate: new Date(snapshot.analysisDate).toISOString()
+});
+
+/**
+ * Get the most recent snapshot for a wallet
+ * @param {string} address - Wallet address
+ * @returns {Promise<Object|null>} Latest snapshot or null
+ */
+const getLatestSnapshot = async (address) => {
+  const key = address.toLowerCase();
+  
+  if (isDatabaseConnected()) {
+    try {
+      const snapshot = await RiskSnapshot.findOne({ address: key }).sort({ analysisDate: -1 });
+      return snapshot ? formatSnapshot(snapshot) : null;
+    } catch (error) {
+      console.error('Error reading risk history from MongoDB:', error.message);
+    }
+  }
+  
+  const snapshots = memorySnapshots.get(key) || [];
+  return snapshots.length > 0 ? formatSnapshot(snapshots[snapshots.length - 1]) : null;
+};
+
+/**
+ * Record a wallet risk analysis and detect risk band drift
+ * @param {Object} analysis - Result of analyzeWalletRisk
+ * @returns {Promise<Object|null>} Drift event, or null if the band did not change
+ */
+const recordAnalysis = async (analysis) => {
+  const previous = await getLatestSnapshot(analysis.address);
+  
+  let drift = null;
+  if (previous && previous.riskLevel !== analysis.riskLevel) {
+    const deteriorated = RISK_LEVEL_ORDER.indexOf(analysis.riskLevel) > RISK_LEVEL_ORDER.indexOf(previous.riskLevel);
+    drift = {
+      fromLevel: previous.riskLevel,
+      toLevel: analysis.riskLevel,
+      fromScore: previous.riskScore,
+      toScore: analysis.riskScore,
+      direction: deteriorated ? 'deteriorated' : 'improved'
+    };
+  }
+  
+  const snapshot = {
+    address: analysis.address.toLowerCase(),
+    riskScore: analysis.riskScore,
+    riskLevel: analysis.riskLevel,
+    scoreBreakdown: analysis.scoreBreakdown || [],
+    drift,
+    analysisDate: new Date(analysis.analysisDate)
+  };
+  
+  let stored = false;
+  if (isDatabaseConnected()) {
+    try {
+      await RiskSnapshot.create(snapshot);
+      stored = true;
+    } catch (error) {
+      console.error('Error saving risk history to MongoDB:', error.message);
+    }
+  }
+  
+  if (!stored) {
+    const snapshots = memorySnapshots.get(snapshot.address) || [];
+    snapshots.push(snapshot);
+    if (snapshots.length > MEMORY_LIMITS.snapshotsPerAddress) {
+      snapshots.splice(0, snapshots.length - MEMORY_LIMITS.snapshotsPerAddress);
+    }
+    
+    // Re-insert so the address moves to the end, then drop the least recently analyzed
+    memorySnapshots.delete(snapshot.address);
+    memorySnapshots.set(snapshot.address, snapshots);
+    if (memorySnapshots.size > MEMORY_LIMITS.addresses) {
+      memorySnapshots.delete(memorySnapshots.keys().next().value);
+    }
+  }
+  
+  if (drift) {
+    const event = { address: analysis.address, ...drift, detectedAt: snapshot.analysisDate.toISOString() };
+    riskEvents.emit('drift', event);
+    return event;
+  }
+  
+  return null;
+};
+
+/**
+ * Get the risk score history of a wallet
+ * @param {string} address - Wallet address
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of most recent snapshots to return
+ * @returns {Promise<Object>} Score time series and drift events in chronological order
+ */
+const getHistory = async (address, options = {}) => {
+  const { limit = 100 } = options;
+  const key = address.toLowerCase();
+  
+  let snapshots = null;
+  if (isDatabaseConnected()) {
+    try {
+      const documents = await RiskSnapshot.find({ address: key }).sort({ analysisDate: -1 }).limit(limit);
+      snapshots = documents.reverse().map(formatSnapshot);
+    } catch (error) {
+      console.error('Error reading risk history from MongoDB:', error.message);
+    }
+  }
+  
+  if (!snapshots) {
+    snapshots = (memorySnapshots.get(key) || []).slice(-limit).map(formatSnapshot);
+  }
+  
+  return {
+    address,
+    count: snapshots.length,
+    history: snapshots.map(snapshot => ({
+      analysisDate: snapshot.analysisDate,
+      riskScore: snapshot.riskScore,
+      riskLevel: snapshot.riskLevel
+    })),
+    driftEvents: snapshots
+      .filter(snapshot => snapshot.drift)
+      .map(snapshot => ({ ...snapshot.drift, detectedAt: snapshot.analysisDate }))
+  };
+};
+
+module.exports = {
+  riskEvents,
+  recordAnalysis,
+  getLatestSnapshot,
+  getHistory
+};
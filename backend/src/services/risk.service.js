@@ -3,20 +3,54 @@
  * Provides functionality for analyzing wallet risk, token volatility,
  * and predictive risk scoring.
  */
+const crypto = require('crypto');
+const threatIntelService = require('./threat-intel.service');
+const riskHistoryService = require('./risk-history.service');
+const assetClassService = require('./asset-class.service');
+const blockchainService = require('./blockchain.service');
+const priceHistoryService = require('./price-history.service');
+const behaviorAnomalyService = require('./behavior-anomaly.service');
+const approvalAuditService = require('./approval-audit.service');
+const {
+  mean,
+  standardDeviation,
+  calculateReturns,
+  covariance,
+  downsideDeviation,
+  omegaRatio,
+  maxDrawdownFromReturns,
+  skewness,
+  excessKurtosis,
+  quantile,
+  quantileObservations,
+  rollingStandardDeviation,
+  ewmaVariance,
+  fitGarch11,
+  covarianceMatrix,
+  correlationMatrix,
+  portfolioVariance,
+  choleskyDecomposition,
+  normalPdf,
+  normalInverseCdf,
+  chiSquareSurvival,
+  binomialCdf,
+  createSeededRandom,
+  randomNormal
+} = require('./statistics.service');
 
 // Mock transaction data for demonstration purposes
 const mockTransactions = {
   // High-risk wallet with many interactions with blacklisted contracts
   '0x8915BEab6cCaA2F486d8B1C36c7ec151F9C72F5E': [
-    { type: 'swap', contract: '0xdead1234567890123456789012345678901234567', value: 0.5, timestamp: '2025-04-15T10:30:00Z' },
-    { type: 'transfer', contract: '0xdead2345678901234567890123456789012345678', value: 1.2, timestamp: '2025-04-16T14:20:00Z' },
-    { type: 'approve', contract: '0xdead3456789012345678901234567890123456789', value: 10, timestamp: '2025-04-17T09:15:00Z' },
-    { type: 'swap', contract: '0xdead4567890123456789012345678901234567890', value: 2.3, timestamp: '2025-04-18T16:45:00Z' },
+    { type: 'swap', contract: '0xdead123456789012345678901234567890123456', value: 0.5, timestamp: '2025-04-15T10:30:00Z' },
+    { type: 'transfer', contract: '0xdead234567890123456789012345678901234567', value: 1.2, timestamp: '2025-04-16T14:20:00Z' },
+    { type: 'approve', contract: '0xdead345678901234567890123456789012345678', value: 10, timestamp: '2025-04-17T09:15:00Z' },
+    { type: 'swap', contract: '0xdead456789012345678901234567890123456789', value: 2.3, timestamp: '2025-04-18T16:45:00Z' },
   ],
   // Medium-risk wallet with some suspicious activities
   '0x7825BEab6cCaA2F486d8B1C36c7ec151F9C72F5E': [
     { type: 'swap', contract: '0x1234567890123456789012345678901234567890', value: 1.0, timestamp: '2025-04-15T11:30:00Z' },
-    { type: 'transfer', contract: '0xdead2345678901234567890123456789012345678', value: 0.5, timestamp: '2025-04-16T15:20:00Z' },
+    { type: 'transfer', contract: '0xdead234567890123456789012345678901234567', value: 0.5, timestamp: '2025-04-16T15:20:00Z' },
     { type: 'approve', contract: '0x2345678901234567890123456789012345678901', value: 5, timestamp: '2025-04-17T10:15:00Z' },
   ],
   // Low-risk wallet with normal activities
@@ -25,186 +59,501 @@ const mockTransactions = {
     { type: 'transfer', contract: '0x2345678901234567890123456789012345678901', value: 0.3, timestamp: '2025-04-16T16:20:00Z' },
     { type: 'approve', contract: '0x3456789012345678901234567890123456789012', value: 1, timestamp: '2025-04-17T11:15:00Z' },
   ],
-};
-
-// Mock blacklisted contracts for risk assessment
-const blacklistedContracts = [
-  '0xdead1234567890123456789012345678901234567',
-  '0xdead2345678901234567890123456789012345678',
-  '0xdead3456789012345678901234567890123456789',
-  '0xdead4567890123456789012345678901234567890',
-];
-
-// Mock token price data for volatility analysis
-const tokenPriceHistory = {
-  'BTC': [
-    { timestamp: '2025-04-01T00:00:00Z', price: 85000 },
-    { timestamp: '2025-04-02T00:00:00Z', price: 86500 },
-    { timestamp: '2025-04-03T00:00:00Z', price: 84200 },
-    { timestamp: '2025-04-04T00:00:00Z', price: 87000 },
-    { timestamp: '2025-04-05T00:00:00Z', price: 88500 },
-    { timestamp: '2025-04-06T00:00:00Z', price: 89200 },
-    { timestamp: '2025-04-07T00:00:00Z', price: 90100 },
-    { timestamp: '2025-04-08T00:00:00Z', price: 91500 },
-    { timestamp: '2025-04-09T00:00:00Z', price: 89800 },
-    { timestamp: '2025-04-10T00:00:00Z', price: 92000 },
-    { timestamp: '2025-04-11T00:00:00Z', price: 93500 },
-    { timestamp: '2025-04-12T00:00:00Z', price: 94200 },
-    { timestamp: '2025-04-13T00:00:00Z', price: 92800 },
-    { timestamp: '2025-04-14T00:00:00Z', price: 95000 },
+  // Wallet with laundering-like behavior: dusting, a burst, structuring and a peel chain
+  '0x9a35BEab6cCaA2F486d8B1C36c7ec151F9C72F5E': [
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.6, timestamp: '2025-04-01T14:10:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.8, timestamp: '2025-04-02T15:30:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.5, timestamp: '2025-04-03T16:05:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 1.1, timestamp: '2025-04-04T14:45:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.7, timestamp: '2025-04-05T15:20:00Z' },
+    { type: 'transfer', contract: '0xd057000000000000000000000000000000000001', value: 0.0001, timestamp: '2025-04-06T03:12:00Z', direction: 'in' },
+    { type: 'transfer', contract: '0xd057000000000000000000000000000000000002', value: 0.0001, timestamp: '2025-04-06T09:47:00Z', direction: 'in' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.9, timestamp: '2025-04-06T16:40:00Z' },
+    { type: 'transfer', contract: '0xd057000000000000000000000000000000000003', value: 0.0001, timestamp: '2025-04-07T11:30:00Z', direction: 'in' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.4, timestamp: '2025-04-07T14:30:00Z' },
+    { type: 'transfer', contract: '0xd057000000000000000000000000000000000004', value: 0.0001, timestamp: '2025-04-07T21:05:00Z', direction: 'in' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 1.2, timestamp: '2025-04-08T15:50:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.6, timestamp: '2025-04-09T16:15:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.8, timestamp: '2025-04-10T14:55:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 1.0, timestamp: '2025-04-11T15:35:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.7, timestamp: '2025-04-12T16:25:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.5, timestamp: '2025-04-13T02:05:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.6, timestamp: '2025-04-13T02:12:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.4, timestamp: '2025-04-13T02:19:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.7, timestamp: '2025-04-13T02:27:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.5, timestamp: '2025-04-13T02:34:00Z' },
+    { type: 'swap', contract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', value: 0.6, timestamp: '2025-04-13T02:45:00Z' },
+    { type: 'transfer', contract: '0x4b1e00000000000000000000000000000000a001', value: 4.0, timestamp: '2025-04-14T10:00:00Z' },
+    { type: 'transfer', contract: '0x4b1e00000000000000000000000000000000a002', value: 3.5, timestamp: '2025-04-14T18:30:00Z' },
+    { type: 'transfer', contract: '0x4b1e00000000000000000000000000000000a003', value: 4.0, timestamp: '2025-04-15T09:10:00Z' },
+    { type: 'transfer', contract: '0x9ee10000000000000000000000000000000000b1', value: 18.0, timestamp: '2025-04-16T08:00:00Z' },
+    { type: 'transfer', contract: '0x9ee20000000000000000000000000000000000b2', value: 15.5, timestamp: '2025-04-16T11:30:00Z' },
+    { type: 'transfer', contract: '0x9ee30000000000000000000000000000000000b3', value: 13.0, timestamp: '2025-04-16T15:10:00Z' },
+    { type: 'transfer', contract: '0x9ee40000000000000000000000000000000000b4', value: 11.2, timestamp: '2025-04-16T19:45:00Z' },
   ],
-  'ETH': [
-    { timestamp: '2025-04-01T00:00:00Z', price: 5200 },
-    { timestamp: '2025-04-02T00:00:00Z', price: 5350 },
-    { timestamp: '2025-04-03T00:00:00Z', price: 5100 },
-    { timestamp: '2025-04-04T00:00:00Z', price: 5400 },
-    { timestamp: '2025-04-05T00:00:00Z', price: 5600 },
-    { timestamp: '2025-04-06T00:00:00Z', price: 5800 },
-    { timestamp: '2025-04-07T00:00:00Z', price: 5750 },
-    { timestamp: '2025-04-08T00:00:00Z', price: 5900 },
-    { timestamp: '2025-04-09T00:00:00Z', price: 5650 },
-    { timestamp: '2025-04-10T00:00:00Z', price: 6000 },
-    { timestamp: '2025-04-11T00:00:00Z', price: 6200 },
-    { timestamp: '2025-04-12T00:00:00Z', price: 6350 },
-    { timestamp: '2025-04-13T00:00:00Z', price: 6100 },
-    { timestamp: '2025-04-14T00:00:00Z', price: 6500 },
+  // Counterparties of the demo wallets, used for multi-hop exposure analysis
+  '0x1234567890123456789012345678901234567890': [
+    { type: 'transfer', contract: '0xdead123456789012345678901234567890123456', value: 0.4, timestamp: '2025-04-15T13:00:00Z' },
+    { type: 'swap', contract: '0x2345678901234567890123456789012345678901', value: 2.0, timestamp: '2025-04-15T14:10:00Z' },
+    { type: 'transfer', contract: '0x4567890123456789012345678901234567890123', value: 1.0, timestamp: '2025-04-16T09:40:00Z' },
   ],
-  'ARIES': [
-    { timestamp: '2025-04-01T00:00:00Z', price: 2.5 },
-    { timestamp: '2025-04-02T00:00:00Z', price: 2.8 },
-    { timestamp: '2025-04-03T00:00:00Z', price: 2.3 },
-    { timestamp: '2025-04-04T00:00:00Z', price: 3.1 },
-    { timestamp: '2025-04-05T00:00:00Z', price: 3.5 },
-    { timestamp: '2025-04-06T00:00:00Z', price: 3.2 },
-    { timestamp: '2025-04-07T00:00:00Z', price: 3.8 },
-    { timestamp: '2025-04-08T00:00:00Z', price: 4.2 },
-    { timestamp: '2025-04-09T00:00:00Z', price: 3.9 },
-    { timestamp: '2025-04-10T00:00:00Z', price: 4.5 },
-    { timestamp: '2025-04-11T00:00:00Z', price: 5.0 },
-    { timestamp: '2025-04-12T00:00:00Z', price: 4.7 },
-    { timestamp: '2025-04-13T00:00:00Z', price: 5.2 },
-    { timestamp: '2025-04-14T00:00:00Z', price: 5.5 },
+  '0x2345678901234567890123456789012345678901': [
+    { type: 'transfer', contract: '0x5678901234567890123456789012345678901234', value: 1.0, timestamp: '2025-04-16T18:00:00Z' },
+    { type: 'swap', contract: '0x3456789012345678901234567890123456789012', value: 1.0, timestamp: '2025-04-17T08:30:00Z' },
+  ],
+  '0x5678901234567890123456789012345678901234': [
+    { type: 'transfer', contract: '0xdead456789012345678901234567890123456789', value: 0.8, timestamp: '2025-04-17T12:00:00Z' },
+    { type: 'transfer', contract: '0x6789012345678901234567890123456789012345', value: 1.2, timestamp: '2025-04-17T15:45:00Z' },
   ],
 };
 
 /**
- * Analyze wallet risk based on transaction history and interactions
- * @param {string} address - Wallet address to analyze
- * @returns {Object} Risk analysis results
+ * Find the transaction counterparties that appear on a threat list
+ * @param {Array} transactions - Wallet transactions
+ * @returns {Array} Matched addresses with the lists that flag them
  */
-const analyzeWalletRisk = async (address) => {
-  // In a real implementation, we would:
-  // 1. Fetch transaction history from blockchain APIs (Etherscan, The Graph, etc.)
-  // 2. Analyze transaction patterns, interaction with known risky contracts
-  // 3. Use ML models to predict risk based on historical data
+const getThreatMatches = (transactions) => {
+  const matches = new Map();
   
-  // For this demo, we'll use mock data
-  let transactions = mockTransactions[address];
-  
-  // If we don't have mock data for this address, generate some random data
-  if (!transactions) {
-    // Generate random risk level for demo purposes
-    const riskLevel = Math.random();
-    if (riskLevel < 0.3) {
-      // Low risk
-      transactions = mockTransactions['0x6735BEab6cCaA2F486d8B1C36c7ec151F9C72F5E'];
-    } else if (riskLevel < 0.7) {
-      // Medium risk
-      transactions = mockTransactions['0x7825BEab6cCaA2F486d8B1C36c7ec151F9C72F5E'];
-    } else {
-      // High risk
-      transactions = mockTransactions['0x8915BEab6cCaA2F486d8B1C36c7ec151F9C72F5E'];
+  for (const tx of transactions) {
+    const entries = threatIntelService.lookupAddress(tx.contract);
+    if (entries.length === 0) continue;
+    
+    const key = tx.contract.toLowerCase();
+    if (!matches.has(key)) {
+      matches.set(key, {
+        address: tx.contract,
+        transactions: 0,
+        lists: entries.map(entry => ({
+          source: entry.source,
+          category: entry.category,
+          dateAdded: entry.dateAdded
+        }))
+      });
     }
+    matches.get(key).transactions++;
   }
   
-  // Count interactions with blacklisted contracts
-  const blacklistedInteractions = transactions.filter(tx => 
-    blacklistedContracts.includes(tx.contract)
-  ).length;
+  return [...matches.values()];
+};
+
+/**
+ * Wallet risk scoring model
+ * The risk score is the base score plus the points contributed by each factor,
+ * so the same transaction history always produces the same score (0-100).
+ * The base score and factor caps sum to 100; keep them balanced when adding factors.
+ *
+ * - Blacklisted Contracts: up to 45 points, scaled by the share of transactions
+ *   that interacted with an address on a threat list
+ * - Indirect Exposure: up to 10 points, 1 point per 1% of funds that reached a
+ *   listed address through intermediaries (after hop decay)
+ * - Large Transactions: 5 points when any transaction is above 5 ETH
+ * - Risky Approvals: up to 10 points from the approval audit, 5 per outstanding
+ *   approval to a listed spender, 3 per unlimited or collection-wide approval to
+ *   an unverified spender and 1 per other unlimited or collection-wide approval
+ * - Behavioral Anomalies: up to 15 points, 8/4/2 points per High/Medium/Low
+ *   anomaly found by the behavior anomaly detector
+ * - Limited History: 5 points when the wallet has fewer than 5 transactions
+ */
+const WALLET_RISK_MODEL = {
+  baseScore: 10,
+  bands: {
+    high: 70,
+    medium: 30
+  },
+  factors: [
+    {
+      factor: 'Blacklisted Contracts',
+      impact: 'High',
+      maxPoints: 45,
+      evaluate: (transactions) => {
+        const matches = getThreatMatches(transactions);
+        const hits = matches.reduce((sum, match) => sum + match.transactions, 0);
+        const listings = [...new Set(matches.flatMap(match =>
+          match.lists.map(list => `${list.category} (${list.source})`)
+        ))];
+        return {
+          points: transactions.length > 0 ? 45 * hits / transactions.length : 0,
+          description: hits > 0 ?
+            `${hits} of ${transactions.length} transactions involved listed addresses: ${listings.join(', ')}` :
+            'No interactions with listed addresses'
+        };
+      }
+    },
+    {
+      factor: 'Indirect Exposure',
+      impact: 'High',
+      maxPoints: 10,
+      evaluate: (transactions, { exposure }) => {
+        const largest = exposure.flaggedPaths.find(p => p.hops > 1);
+        return {
+          points: Math.min(10, 100 * exposure.indirectWeightedShare),
+          description: largest ?
+            `${(exposure.indirectShare * 100).toFixed(2)}% of funds reached listed addresses indirectly (largest: ${largest.description})` :
+            'No indirect exposure to listed addresses'
+        };
+      }
+    },
+    {
+      factor: 'Large Transactions',
+      impact: 'Medium',
+      maxPoints: 5,
+      evaluate: (transactions) => {
+        const largeTransactions = transactions.filter(tx => tx.value > 5).length;
+        return {
+          points: largeTransactions > 0 ? 5 : 0,
+          description: `${largeTransactions} high-value transactions detected`
+        };
+      }
+    },
+    {
+      factor: 'Risky Approvals',
+      impact: 'Medium',
+      maxPoints: 10,
+      evaluate: (transactions, { approvals }) => {
+        const points = approvals.approvals.reduce((sum, approval) => {
+          if (approval.flags.includes('blacklisted')) return sum + 5;
+          if (approval.riskLevel === 'Medium') return sum + 3;
+          if (approval.flags.includes('unlimited') || approval.flags.includes('collection-wide')) return sum + 1;
+          return sum;
+        }, 0);
+        return {
+          points: Math.min(10, points),
+          description: `${approvals.outstanding} outstanding approvals: ${approvals.unlimited} unlimited, ` +
+            `${approvals.unverified} to unverified and ${approvals.blacklisted} to listed spenders`
+        };
+      }
+    },
+    {
+      factor: 'Behavioral Anomalies',
+      impact: 'High',
+      maxPoints: 15,
+      evaluate: (transactions, { behavior }) => {
+        const points = behavior.anomalies.reduce((sum, anomaly) => sum + anomaly.points, 0);
+        const detected = [...new Set(behavior.anomalies.map(anomaly => anomaly.factor))];
+        return {
+          points: Math.min(15, points),
+          description: detected.length > 0 ?
+            `${behavior.anomalies.length} behavioral anomalies detected: ${detected.join(', ')}` :
+            'No behavioral anomalies detected'
+        };
+      }
+    },
+    {
+      factor: 'Limited History',
+      impact: 'Low',
+      maxPoints: 5,
+      evaluate: (transactions) => ({
+        points: transactions.length < 5 ? 5 : 0,
+        description: `Only ${transactions.length} transactions available for analysis`
+      })
+    }
+  ]
+};
+
+/**
+ * Pick a demo wallet profile for an address without mock data
+ * The choice is derived from a hash of the address so it is stable across calls.
+ * @param {string} address - Wallet address
+ * @returns {string} Address of the demo wallet whose data stands in for it
+ */
+const getDemoProfile = (address) => {
+  const hash = crypto.createHash('sha256').update(address.toLowerCase()).digest();
+  const bucket = hash[0] / 256;
   
-  // Calculate risk metrics
-  const totalTransactions = transactions.length;
-  const riskPercentage = (blacklistedInteractions / totalTransactions) * 100;
+  if (bucket < 0.3) {
+    // Low risk
+    return '0x6735BEab6cCaA2F486d8B1C36c7ec151F9C72F5E';
+  } else if (bucket < 0.7) {
+    // Medium risk
+    return '0x7825BEab6cCaA2F486d8B1C36c7ec151F9C72F5E';
+  }
+  // High risk
+  return '0x8915BEab6cCaA2F486d8B1C36c7ec151F9C72F5E';
+};
+
+/**
+ * Pick a demo transaction profile for an address without mock data
+ * @param {string} address - Wallet address
+ * @returns {Array} Mock transactions
+ */
+const getDemoTransactions = (address) => mockTransactions[getDemoProfile(address)];
+
+/**
+ * Score a transaction history with the wallet risk scoring model
+ * @param {Array} transactions - Wallet transactions
+ * @param {Object} context - Additional analysis inputs (counterparty exposure, behavioral anomalies, approval audit)
+ * @returns {Object} Risk score, risk level and per-factor contributions
+ */
+const scoreWalletTransactions = (transactions, context) => {
+  const breakdown = [{
+    factor: 'Base Score',
+    points: WALLET_RISK_MODEL.baseScore,
+    maxPoints: WALLET_RISK_MODEL.baseScore,
+    description: 'Baseline risk applied to every wallet'
+  }];
   
-  // Determine risk level
-  let riskLevel;
-  let riskScore;
+  for (const model of WALLET_RISK_MODEL.factors) {
+    const result = model.evaluate(transactions, context);
+    breakdown.push({
+      factor: model.factor,
+      impact: model.impact,
+      // Whole points so the breakdown sums exactly to the reported score
+      points: Math.min(model.maxPoints, Math.round(result.points)),
+      maxPoints: model.maxPoints,
+      description: result.description
+    });
+  }
+  
+  const riskScore = breakdown.reduce((sum, item) => sum + item.points, 0);
   
-  if (riskPercentage >= 50) {
+  let riskLevel;
+  if (riskScore >= WALLET_RISK_MODEL.bands.high) {
     riskLevel = 'High';
-    riskScore = 80 + (Math.random() * 20); // 80-100
-  } else if (riskPercentage >= 20) {
+  } else if (riskScore >= WALLET_RISK_MODEL.bands.medium) {
     riskLevel = 'Medium';
-    riskScore = 50 + (Math.random() * 30); // 50-80
   } else {
     riskLevel = 'Low';
-    riskScore = 20 + (Math.random() * 30); // 20-50
   }
   
-  // Generate risk factors
-  const riskFactors = [];
+  return { riskScore, riskLevel, breakdown };
+};
+
+// Flows smaller than this share of the wallet's funds are not followed further
+const MIN_EXPOSURE_SHARE = 1e-6;
+
+/**
+ * Get the transaction history of an address
+ * @param {string} address - Wallet address
+ * @returns {Array} Transactions (demo profile for addresses without mock data)
+ */
+const getWalletTransactions = (address) => {
+  return getKnownTransactions(address) || getDemoTransactions(address);
+};
+
+/**
+ * Get the transaction history of an address that has recorded data
+ * @param {string} address - Wallet or contract address
+ * @returns {Array|undefined} Transactions, or undefined if nothing is recorded
+ */
+const getKnownTransactions = (address) => {
+  const key = Object.keys(mockTransactions).find(k => k.toLowerCase() === address.toLowerCase());
+  return key ? mockTransactions[key] : undefined;
+};
+
+/**
+ * Analyze indirect exposure of a wallet to flagged addresses
+ * Walks the transaction graph breadth-first from the wallet. At each hop the share
+ * of funds is split across counterparties in proportion to transaction value, and
+ * flows that reach an address on a threat list are weighted by decay^(hops - 1).
+ * @param {string} address - Wallet address to analyze
+ * @param {Object} options - Analysis options
+ * @param {number} options.maxHops - Maximum number of hops to follow
+ * @param {number} options.decay - Weight multiplier applied per additional hop
+ * @returns {Object} Exposure analysis results
+ */
+const analyzeCounterpartyExposure = async (address, options = {}) => {
+  const { maxHops = 3, decay = 0.5 } = options;
   
-  if (blacklistedInteractions > 0) {
-    riskFactors.push({
-      factor: 'Blacklisted Contracts',
-      description: `Interacted with ${blacklistedInteractions} known high-risk contracts`,
-      impact: 'High'
-    });
-  }
+  const flaggedPaths = [];
+  let frontier = [{ address, share: 1, path: [address.toLowerCase()] }];
   
-  if (transactions.some(tx => tx.value > 5)) {
-    riskFactors.push({
-      factor: 'Large Transactions',
-      description: 'Multiple high-value transactions detected',
-      impact: 'Medium'
-    });
+  for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+    const nextFrontier = [];
+    
+    for (const node of frontier) {
+      const transactions = hop === 1 ?
+        getWalletTransactions(node.address) :
+        getKnownTransactions(node.address) || [];
+      const totalValue = transactions.reduce((sum, tx) => sum + tx.value, 0);
+      if (totalValue <= 0) continue;
+      
+      // Aggregate transaction value per counterparty, skipping cycles
+      const flows = new Map();
+      for (const tx of transactions) {
+        const counterparty = tx.contract.toLowerCase();
+        if (node.path.includes(counterparty)) continue;
+        flows.set(counterparty, (flows.get(counterparty) || 0) + tx.value);
+      }
+      
+      for (const [counterparty, value] of flows) {
+        const share = node.share * value / totalValue;
+        if (share < MIN_EXPOSURE_SHARE) continue;
+        
+        const path = [...node.path, counterparty];
+        const entries = threatIntelService.lookupAddress(counterparty);
+        
+        if (entries.length > 0) {
+          // Funds reached a flagged address; do not follow them any further
+          flaggedPaths.push({
+            address: counterparty,
+            hops: hop,
+            share,
+            weightedShare: share * Math.pow(decay, hop - 1),
+            description: `${hop} ${hop === 1 ? 'hop' : 'hops'} from ${entries.map(e => e.category).join('/')} ${counterparty}`,
+            lists: entries.map(entry => ({
+              source: entry.source,
+              category: entry.category,
+              notes: entry.notes
+            })),
+            path
+          });
+        } else {
+          nextFrontier.push({ address: counterparty, share, path });
+        }
+      }
+    }
+    
+    frontier = nextFrontier;
   }
   
-  if (transactions.filter(tx => tx.type === 'approve').length > 2) {
-    riskFactors.push({
-      factor: 'Multiple Approvals',
-      description: 'Granted approval to multiple contracts',
-      impact: 'Medium'
+  const byHop = [];
+  for (let hop = 1; hop <= maxHops; hop++) {
+    const paths = flaggedPaths.filter(p => p.hops === hop);
+    byHop.push({
+      hop,
+      share: paths.reduce((sum, p) => sum + p.share, 0),
+      weightedShare: paths.reduce((sum, p) => sum + p.weightedShare, 0)
     });
   }
   
-  // Add some random risk factors for demonstration
-  const additionalFactors = [
-    {
-      factor: 'New Wallet',
-      description: 'Wallet created less than 30 days ago',
-      impact: 'Low'
-    },
-    {
-      factor: 'Mixing Services',
-      description: 'Transactions associated with crypto mixing services',
-      impact: 'High'
-    },
-    {
-      factor: 'Unverified Contracts',
-      description: 'Interactions with unverified smart contracts',
-      impact: 'Medium'
-    }
-  ];
-  
-  // Add 1-2 random factors if we don't have enough
-  if (riskFactors.length < 2) {
-    const randomFactor = additionalFactors[Math.floor(Math.random() * additionalFactors.length)];
-    if (!riskFactors.some(f => f.factor === randomFactor.factor)) {
-      riskFactors.push(randomFactor);
+  const byCategory = {};
+  for (const flagged of flaggedPaths) {
+    for (const category of new Set(flagged.lists.map(list => list.category))) {
+      byCategory[category] = (byCategory[category] || 0) + flagged.weightedShare;
     }
   }
   
+  const directShare = byHop[0] ? byHop[0].share : 0;
+  const indirectShare = byHop.slice(1).reduce((sum, h) => sum + h.share, 0);
+  const indirectWeightedShare = byHop.slice(1).reduce((sum, h) => sum + h.weightedShare, 0);
+  
+  return {
+    address,
+    maxHops,
+    decay,
+    directShare,
+    indirectShare,
+    indirectWeightedShare,
+    totalExposure: Math.min(1, byHop.reduce((sum, h) => sum + h.weightedShare, 0)),
+    byHop,
+    byCategory,
+    flaggedPaths: flaggedPaths.sort((a, b) => b.weightedShare - a.weightedShare),
+    analysisDate: new Date().toISOString()
+  };
+};
+
+/**
+ * Audit the token approvals a wallet has outstanding
+ * @param {string} address - Wallet address
+ * @returns {Promise<Object>} Outstanding allowances and operator grants with value at risk per spender
+ */
+const auditWalletApprovals = async (address) => {
+  // Wallets with recorded transactions but no approval events have no approvals;
+  // other addresses use the approvals of their demo profile
+  const history = approvalAuditService.getApprovalHistory(address) ||
+    (getKnownTransactions(address) ? undefined : approvalAuditService.getApprovalHistory(getDemoProfile(address)));
+  
+  return approvalAuditService.auditApprovals(address, history);
+};
+
+/**
+ * Analyze a wallet's transaction behavior against its own baseline
+ * @param {string} address - Wallet address to analyze
+ * @param {Object} options - Detection threshold overrides (see ANOMALY_THRESHOLDS)
+ * @returns {Object} Behavioral baseline and anomalies with evidence transactions
+ */
+const analyzeWalletBehavior = async (address, options = {}) => {
+  const transactions = getWalletTransactions(address);
+  const { baseline, anomalies } = behaviorAnomalyService.detectAnomalies(transactions, options);
+  
   return {
+    address,
+    baseline,
+    anomalies,
+    thresholds: { ...behaviorAnomalyService.ANOMALY_THRESHOLDS, ...options },
+    analysisDate: new Date().toISOString()
+  };
+};
+
+/**
+ * Analyze wallet risk based on transaction history and interactions
+ * @param {string} address - Wallet address to analyze
+ * @returns {Object} Risk analysis results
+ */
+const analyzeWalletRisk = async (address) => {
+  // In a real implementation, we would:
+  // 1. Fetch transaction history from blockchain APIs (Etherscan, The Graph, etc.)
+  // 2. Analyze transaction patterns, interaction with known risky contracts
+  // 3. Use ML models to predict risk based on historical data
+  
+  // For this demo, we'll use mock data
+  const transactions = getWalletTransactions(address);
+  const exposure = await analyzeCounterpartyExposure(address);
+  const behavior = behaviorAnomalyService.detectAnomalies(transactions);
+  const approvals = await auditWalletApprovals(address);
+  
+  // Find interactions with addresses on threat lists
+  const threatMatches = getThreatMatches(transactions);
+  const blacklistedInteractions = threatMatches.reduce((sum, match) => sum + match.transactions, 0);
+  
+  const { riskScore, riskLevel, breakdown } = scoreWalletTransactions(transactions, { exposure, behavior, approvals });
+  
+  // Report every factor that contributed to the score; behavioral anomalies are
+  // listed individually with their evidence and share the factor's capped points
+  const riskFactors = breakdown
+    .filter(item => item.impact && item.points > 0)
+    .flatMap(item => {
+      if (item.factor !== 'Behavioral Anomalies') {
+        return [{
+          factor: item.factor,
+          description: item.description,
+          impact: item.impact,
+          points: item.points
+        }];
+      }
+      
+      let remainingPoints = item.points;
+      return behavior.anomalies.map(anomaly => {
+        const points = Math.min(anomaly.points, remainingPoints);
+        remainingPoints -= points;
+        return {
+          factor: anomaly.factor,
+          description: anomaly.description,
+          impact: anomaly.impact,
+          points,
+          evidence: anomaly.evidence
+        };
+      });
+    });
+  
+  const analysis = {
     address,
     riskLevel,
-    riskScore: Math.round(riskScore),
+    riskScore,
     analysisDate: new Date().toISOString(),
     transactions: {
-      total: totalTransactions,
+      total: transactions.length,
       suspicious: blacklistedInteractions
     },
     riskFactors,
+    scoreBreakdown: breakdown,
+    threatMatches,
+    counterpartyExposure: {
+      maxHops: exposure.maxHops,
+      directShare: exposure.directShare,
+      indirectShare: exposure.indirectShare,
+      totalExposure: exposure.totalExposure,
+      flaggedPaths: exposure.flaggedPaths.map(p => p.description)
+    },
+    behaviorBaseline: behavior.baseline,
+    approvalExposure: {
+      outstanding: approvals.outstanding,
+      unlimited: approvals.unlimited,
+      unverified: approvals.unverified,
+      blacklisted: approvals.blacklisted,
+      totalValueAtRisk: approvals.totalValueAtRisk
+    },
     recommendations: [
       'Review wallet permissions and revoke unnecessary approvals',
       'Avoid interacting with unverified smart contracts',
@@ -212,70 +561,187 @@ const analyzeWalletRisk = async (address) => {
       'Enable multi-signature for critical operations'
     ]
   };
+  
+  // Persist the result and flag movement between risk bands
+  analysis.drift = await riskHistoryService.recordAnalysis(analysis);
+  
+  return analysis;
+};
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as the items
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 };
 
 /**
- * Analyze token price volatility
- * @param {string} tokenSymbol - Token symbol (e.g., BTC, ETH)
- * @param {number} days - Number of days to analyze
- * @returns {Object} Volatility analysis results
+ * Screen many wallets at once
+ * Failures are reported per address instead of failing the whole batch.
+ * @param {Array<string>} addresses - Wallet addresses to analyze
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Maximum number of analyses run in parallel
+ * @returns {Object} Combined screening report
  */
-const getTokenVolatility = async (tokenSymbol, days = 14) => {
-  // In a real implementation, we would:
-  // 1. Fetch historical price data from APIs like CoinGecko or CryptoCompare
-  // 2. Calculate volatility metrics (standard deviation, etc.)
-  // 3. Compare with market benchmarks
+const analyzeWalletBatch = async (addresses, options = {}) => {
+  const { concurrency = 5 } = options;
+  const addressRegex = /^0x[a-fA-F0-9]{40}$/;
   
-  // For this demo, we'll use mock data
-  const priceData = tokenPriceHistory[tokenSymbol.toUpperCase()];
+  // Screen each address once, keeping the order of first appearance
+  const seen = new Set();
+  const uniqueAddresses = addresses.filter(address => {
+    const key = String(address).toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
   
-  if (!priceData) {
-    // Generate random data if we don't have mock data for this token
-    const basePrice = 10 + Math.random() * 90;
-    const mockData = [];
-    
-    for (let i = 0; i < days; i++) {
-      const date = new Date();
-      date.setDate(date.getDate() - (days - i));
-      
-      // Generate price with some randomness
-      const volatilityFactor = 0.1; // 10% daily volatility
-      const randomChange = (Math.random() * 2 - 1) * volatilityFactor;
-      const price = basePrice * (1 + randomChange);
-      
-      mockData.push({
-        timestamp: date.toISOString(),
-        price: price
-      });
+  const results = await mapWithConcurrency(uniqueAddresses, concurrency, async (address) => {
+    if (!addressRegex.test(address)) {
+      return { address, status: 'error', error: 'Invalid Ethereum address format' };
     }
     
-    return calculateVolatilityMetrics(tokenSymbol, mockData);
+    try {
+      const analysis = await analyzeWalletRisk(address);
+      return {
+        address,
+        status: 'ok',
+        riskLevel: analysis.riskLevel,
+        riskScore: analysis.riskScore,
+        suspiciousTransactions: analysis.transactions.suspicious,
+        riskFactors: analysis.riskFactors.map(factor => factor.factor),
+        drift: analysis.drift
+      };
+    } catch (error) {
+      return { address, status: 'error', error: error.message };
+    }
+  });
+  
+  const succeeded = results.filter(result => result.status === 'ok');
+  
+  return {
+    total: results.length,
+    duplicatesRemoved: addresses.length - uniqueAddresses.length,
+    succeeded: succeeded.length,
+    failed: results.length - succeeded.length,
+    riskLevels: {
+      High: succeeded.filter(result => result.riskLevel === 'High').length,
+      Medium: succeeded.filter(result => result.riskLevel === 'Medium').length,
+      Low: succeeded.filter(result => result.riskLevel === 'Low').length
+    },
+    analysisDate: new Date().toISOString(),
+    results
+  };
+};
+
+/**
+ * Get the stored risk score history of a wallet
+ * @param {string} address - Wallet address
+ * @param {Object} options - Query options (limit)
+ * @returns {Object} Score time series and drift events
+ */
+const getWalletRiskHistory = async (address, options = {}) => {
+  return riskHistoryService.getHistory(address, options);
+};
+
+// Trading days per year used to annualize statistics, by asset class
+const TRADING_CALENDARS = {
+  crypto: 365,
+  equity: 252
+};
+
+// Supported return and variance definitions
+const RETURN_TYPES = ['simple', 'log'];
+const VARIANCE_TYPES = ['population', 'sample'];
+
+/**
+ * Resolve the return, variance and annualization settings shared by the risk metrics
+ * @param {Object} options - Options with returnType, varianceType and tradingDays
+ * @returns {Object} Settings with defaults applied (simple returns, population variance, 365 days)
+ */
+const resolveStatisticsOptions = (options = {}) => ({
+  returnType: options.returnType || 'simple',
+  varianceType: options.varianceType || 'population',
+  tradingDays: options.tradingDays || TRADING_CALENDARS.crypto
+});
+
+/**
+ * Analyze token price volatility from the stored daily price history
+ * Rolling windows only use the loaded bars: a window of N days needs more than N
+ * bars, so pass a larger `days` to fill the 30d and 90d series.
+ * @param {string} tokenSymbol - Token symbol (e.g., BTC, ETH)
+ * @param {number} days - Number of most recent daily bars to analyze; every stored bar when omitted
+ * @param {Object} options - Statistics and volatility model options (see calculateVolatilityMetrics)
+ * @returns {Object} Volatility analysis results; rejects with code NO_PRICE_DATA for tokens without history
+ */
+const getTokenVolatility = async (tokenSymbol, days = null, options = {}) => {
+  const history = await priceHistoryService.getPriceHistory(tokenSymbol, { interval: '1d', limit: days });
+  
+  if (history.count < 3) {
+    const error = new Error(`Not enough price history for ${history.symbol}: ${history.count} daily bars`);
+    error.code = 'INSUFFICIENT_HISTORY';
+    throw error;
   }
   
-  return calculateVolatilityMetrics(tokenSymbol, priceData.slice(-days));
+  const priceData = history.bars.map(bar => ({
+    timestamp: bar.timestamp,
+    price: bar.close,
+    ...(bar.volume !== null && { volume: bar.volume })
+  }));
+  
+  return {
+    ...calculateVolatilityMetrics(tokenSymbol, priceData, options),
+    priceHistory: {
+      from: history.from,
+      to: history.to,
+      bars: history.count,
+      resampledFrom: history.resampledFrom,
+      gaps: history.gaps
+    }
+  };
 };
 
 /**
  * Calculate volatility metrics from price data
  * @param {string} tokenSymbol - Token symbol
  * @param {Array} priceData - Array of price data points
+ * @param {Object} options - Statistics and volatility model options
+ * @param {string} options.returnType - 'simple' or 'log' returns
+ * @param {string} options.varianceType - 'population' or 'sample' variance
+ * @param {number} options.tradingDays - Trading days per year used to annualize
+ * @param {Array<number>} options.windows - Rolling window lengths in days; windows with more
+ *   days than there are returns in priceData are skipped and listed in skippedWindows
+ * @param {number} options.lambda - EWMA decay factor
  * @returns {Object} Volatility metrics
  */
-const calculateVolatilityMetrics = (tokenSymbol, priceData) => {
+const calculateVolatilityMetrics = (tokenSymbol, priceData, options = {}) => {
+  const { windows = [7, 30, 90], lambda = 0.94 } = options;
+  const statistics = resolveStatisticsOptions(options);
+  const sample = statistics.varianceType === 'sample';
+  
   // Calculate daily returns
-  const returns = [];
-  for (let i = 1; i < priceData.length; i++) {
-    const dailyReturn = (priceData[i].price - priceData[i-1].price) / priceData[i-1].price;
-    returns.push(dailyReturn);
-  }
+  const returns = calculateReturns(priceData.map(data => data.price), statistics.returnType);
   
   // Calculate standard deviation (volatility)
-  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
-  const variance = returns.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / returns.length;
-  const stdDev = Math.sqrt(variance);
+  const stdDev = standardDeviation(returns, sample);
   
-  // Annualized volatility (assuming 365 trading days)
-  const annualizedVolatility = stdDev * Math.sqrt(365);
+  // Annualized volatility
+  const annualizedVolatility = stdDev * Math.sqrt(statistics.tradingDays);
   
   // Calculate max drawdown
   let maxDrawdown = 0;
@@ -309,6 +775,29 @@ const calculateVolatilityMetrics = (tokenSymbol, priceData) => {
   const priceChange = (recentPrices[recentPrices.length - 1].price - recentPrices[0].price) / recentPrices[0].price;
   const trend = priceChange > 0 ? 'Upward' : priceChange < 0 ? 'Downward' : 'Stable';
   
+  // Volatility time series, one point per daily return
+  const returnDates = priceData.slice(1).map(data => new Date(data.timestamp).toISOString().split('T')[0]);
+  const toSeries = (dailyVolatilities) => dailyVolatilities
+    .map((volatility, i) => volatility === null ? null : {
+      date: returnDates[i],
+      volatility,
+      annualized: volatility * Math.sqrt(statistics.tradingDays)
+    })
+    .filter(point => point !== null);
+  
+  const rolling = {};
+  const skippedWindows = [];
+  for (const window of windows) {
+    if (window > returns.length) {
+      skippedWindows.push(window);
+      continue;
+    }
+    rolling[`${window}d`] = toSeries(rollingStandardDeviation(returns, window, sample));
+  }
+  
+  const ewma = ewmaVariance(returns, lambda, sample);
+  const garch = fitGarch11(returns, sample);
+  
   return {
     token: tokenSymbol,
     currentPrice: priceData[priceData.length - 1].price,
@@ -318,125 +807,825 @@ const calculateVolatilityMetrics = (tokenSymbol, priceData) => {
     maxDrawdown,
     trend,
     priceChange: priceChange * 100, // as percentage
+    statistics,
     analysisDate: new Date().toISOString(),
     historicalPrices: priceData.map(data => ({
       date: new Date(data.timestamp).toISOString().split('T')[0],
-      price: data.price
-    }))
+      price: data.price,
+      ...(data.volume !== undefined && { volume: data.volume })
+    })),
+    volatilityModels: {
+      rolling,
+      skippedWindows,
+      ewma: {
+        lambda,
+        forecast: Math.sqrt(ewma.forecast),
+        series: toSeries(ewma.series.map(Math.sqrt))
+      },
+      garch: {
+        omega: garch.omega,
+        alpha: garch.alpha,
+        beta: garch.beta,
+        persistence: garch.alpha + garch.beta,
+        longRunVolatility: Math.sqrt(garch.longRunVariance),
+        logLikelihood: garch.logLikelihood,
+        forecast: Math.sqrt(garch.forecast),
+        series: toSeries(garch.series.map(Math.sqrt))
+      }
+    }
   };
 };
 
+// Supported Value at Risk methodologies
+const VAR_METHODS = ['parametric', 'historical', 'monteCarlo'];
+
 /**
- * Calculate Value at Risk (VaR) for a portfolio
- * @param {Array} holdings - Array of token holdings with amounts
- * @param {number} confidenceLevel - Confidence level (0.95, 0.99, etc.)
- * @returns {Object} VaR calculation results
+ * Align daily return series of several tokens on common dates
+ * @param {Array} series - Array of { token, prices: [{ date, price }] }
+ * @param {string} returnType - 'simple' or 'log' returns
+ * @returns {Object} Dates and matrix of returns, one row per day and one column per token;
+ *   throws with code INSUFFICIENT_HISTORY when the series share fewer than two dates
  */
-const calculateVaR = async (holdings, confidenceLevel = 0.95) => {
-  // In a real implementation, we would:
-  // 1. Fetch historical price data for all tokens in the portfolio
-  // 2. Calculate returns correlation matrix
-  // 3. Use Monte Carlo simulation or historical method to calculate VaR
-  
-  // For this demo, we'll use a simplified approach
-  const portfolioValue = holdings.reduce((total, holding) => {
-    // Get current price (mock)
-    const tokenData = tokenPriceHistory[holding.token.toUpperCase()];
-    const currentPrice = tokenData ? 
-      tokenData[tokenData.length - 1].price : 
-      10 + Math.random() * 90; // Random price if token not in our mock data
-      
-    return total + (holding.amount * currentPrice);
-  }, 0);
-  
-  // Get volatility for each token
-  const tokenVolatilities = await Promise.all(
-    holdings.map(async holding => {
-      const volatilityData = await getTokenVolatility(holding.token);
-      return {
-        token: holding.token,
-        volatility: volatilityData.volatilityDaily,
-        weight: (holding.amount * volatilityData.currentPrice) / portfolioValue
-      };
-    })
-  );
+const alignReturnSeries = (series, returnType = 'simple') => {
+  const priceMaps = series.map(item => new Map(item.prices.map(p => [p.date, p.price])));
+  const commonDates = series[0].prices
+    .map(p => p.date)
+    .filter(date => priceMaps.every(map => map.has(date)));
   
-  // Calculate portfolio volatility (simplified, ignoring correlations)
-  const portfolioVolatility = Math.sqrt(
-    tokenVolatilities.reduce((sum, token) => {
-      return sum + Math.pow(token.volatility * token.weight, 2);
-    }, 0)
-  );
+  // Pairing returns from different days would invent correlations
+  if (commonDates.length < 2) {
+    const tokens = series.map(item => item.token).filter(Boolean);
+    const error = new Error(`Not enough overlapping price history${tokens.length > 0 ? ` for ${tokens.join(', ')}` : ''}: ` +
+      `${commonDates.length} common daily bars`);
+    error.code = 'INSUFFICIENT_HISTORY';
+    throw error;
+  }
   
-  // Calculate VaR using normal distribution assumption
-  // For 95% confidence, z-score is approximately 1.645
-  // For 99% confidence, z-score is approximately 2.326
-  const zScore = confidenceLevel === 0.99 ? 2.326 : 1.645;
-  const dailyVaR = portfolioValue * portfolioVolatility * zScore;
+  const alignedPrices = series.map((item, i) => commonDates.map(date => priceMaps[i].get(date)));
+  const tokenReturns = alignedPrices.map(prices => calculateReturns(prices, returnType));
+  const rows = tokenReturns[0].map((value, day) => tokenReturns.map(returns => returns[day]));
   
-  // Calculate different time horizons
-  const weeklyVaR = dailyVaR * Math.sqrt(7);
-  const monthlyVaR = dailyVaR * Math.sqrt(30);
+  return {
+    dates: commonDates.slice(1),
+    returns: rows
+  };
+};
+
+
+/**
+ * Build return covariance and correlation matrices for a set of tokens
+ * @param {Array} series - Array of { token, prices: [{ date, price }] }
+ * @param {Object} options - Statistics options (returnType, varianceType)
+ * @returns {Object} Aligned daily returns, covariance matrix and correlation matrix
+ */
+const buildCovarianceMatrix = (series, options = {}) => {
+  const statistics = resolveStatisticsOptions(options);
+  const { dates, returns } = alignReturnSeries(series, statistics.returnType);
+  const covariance = covarianceMatrix(returns, statistics.varianceType === 'sample');
   
   return {
-    portfolioValue,
-    confidenceLevel: confidenceLevel * 100, // as percentage
-    dailyVaR: {
-      amount: dailyVaR,
-      percentage: (dailyVaR / portfolioValue) * 100
-    },
-    weeklyVaR: {
-      amount: weeklyVaR,
-      percentage: (weeklyVaR / portfolioValue) * 100
-    },
-    monthlyVaR: {
-      amount: monthlyVaR,
-      percentage: (monthlyVaR / portfolioValue) * 100
-    },
-    riskLevel: dailyVaR / portfolioValue > 0.05 ? 'High' : 
-               dailyVaR / portfolioValue > 0.02 ? 'Medium' : 'Low',
-    analysisDate: new Date().toISOString(),
-    holdings: holdings.map(holding => {
-      const matchingVolatility = tokenVolatilities.find(v => v.token === holding.token);
-      return {
-        ...holding,
-        volatility: matchingVolatility ? matchingVolatility.volatility : 0,
-        weight: matchingVolatility ? matchingVolatility.weight : 0
-      };
-    })
+    tokens: series.map(item => item.token),
+    dates,
+    returns,
+    covariance,
+    correlation: correlationMatrix(covariance)
   };
 };
 
 /**
- * Calculate Sharpe Ratio for a portfolio or token
- * @param {string|Array} tokenOrHoldings - Token symbol or array of holdings
- * @param {number} riskFreeRate - Annual risk-free rate (e.g., 0.04 for 4%)
- * @returns {Object} Sharpe ratio calculation results
+ * Estimate the one-day VaR of a weighted portfolio from aligned token returns
+ * @param {Array<Array<number>>} returns - One row of token returns per observation
+ * @param {Array<Array<number>>} covariance - Covariance matrix of the token returns
+ * @param {Array<number>} weights - Portfolio weight per token
+ * @param {number} confidenceLevel - Confidence level (0.95, 0.99, etc.)
+ * @param {Object} options - Method, Monte Carlo simulations and seed
+ * @returns {Object} Daily VaR as a fraction of portfolio value, marginal VaR per token and method details
  */
-const calculateSharpe = async (tokenOrHoldings, riskFreeRate = 0.04) => {
-  // In a real implementation, we would:
-  // 1. Fetch historical price data
-  // 2. Calculate returns and standard deviation
-  // 3. Compare with risk-free rate
+const estimateDailyVaR = (returns, covariance, weights, confidenceLevel, options = {}) => {
+  const { method = 'parametric', simulations = 10000, seed = 42 } = options;
+  const portfolioVolatility = Math.sqrt(portfolioVariance(weights, covariance));
+  
+  // Daily loss (as a fraction of portfolio value) not exceeded with the given confidence,
+  // and its sensitivity to each token's weight (marginal VaR per unit of exposure)
+  let dailyVaRPercentage;
+  let marginalVaR;
+  const methodDetails = { method };
+  
+  // Euler allocation for simulated or historical scenarios: each token's loss in the
+  // scenario(s) that set the quantile, so the weighted marginals add up to the VaR
+  const scenarioMarginals = (tokenReturns, portfolioReturns) => {
+    const observations = quantileObservations(portfolioReturns, 1 - confidenceLevel);
+    return weights.map((weight, i) => -observations.reduce((sum, observation) => {
+      return sum + observation.weight * tokenReturns[observation.index][i];
+    }, 0));
+  };
+  
+  if (method === 'historical') {
+    // Revalue today's portfolio under every observed daily move
+    const portfolioReturns = returns.map(dayReturns =>
+      dayReturns.reduce((sum, r, i) => sum + r * weights[i], 0)
+    );
+    dailyVaRPercentage = Math.max(0, -quantile(portfolioReturns, 1 - confidenceLevel));
+    marginalVaR = scenarioMarginals(returns, portfolioReturns);
+    methodDetails.observations = portfolioReturns.length;
+  } else if (method === 'monteCarlo') {
+    // Simulate correlated zero-mean normal token returns from a seeded generator
+    const random = createSeededRandom(seed);
+    const cholesky = choleskyDecomposition(covariance);
+    const simulatedTokenReturns = [];
+    const simulatedReturns = [];
+    for (let i = 0; i < simulations; i++) {
+      const shocks = weights.map(() => randomNormal(random));
+      const tokenReturns = cholesky.map(row => row.reduce((total, factor, k) => total + factor * shocks[k], 0));
+      simulatedTokenReturns.push(tokenReturns);
+      simulatedReturns.push(tokenReturns.reduce((sum, r, j) => sum + weights[j] * r, 0));
+    }
+    dailyVaRPercentage = Math.max(0, -quantile(simulatedReturns, 1 - confidenceLevel));
+    marginalVaR = scenarioMarginals(simulatedTokenReturns, simulatedReturns);
+    methodDetails.simulations = simulations;
+    methodDetails.seed = seed;
+  } else {
+    // Normal distribution assumption with z-score from the inverse normal CDF
+    const zScore = normalInverseCdf(confidenceLevel);
+    dailyVaRPercentage = portfolioVolatility * zScore;
+    marginalVaR = covariance.map(row => {
+      const covarianceWithPortfolio = row.reduce((sum, value, j) => sum + value * weights[j], 0);
+      return portfolioVolatility > 0 ? zScore * covarianceWithPortfolio / portfolioVolatility : 0;
+    });
+    methodDetails.zScore = zScore;
+  }
+  
+  // A gain at the quantile is reported as zero VaR, with nothing to attribute
+  if (dailyVaRPercentage === 0) {
+    marginalVaR = marginalVaR.map(() => 0);
+  }
+  
+  return { dailyVaRPercentage, marginalVaR, portfolioVolatility, methodDetails };
+};
+
+// USD-pegged stablecoins checked for depegs, with their peg price
+const STABLECOIN_PEGS = {
+  USDC: 1,
+  USDT: 1,
+  DAI: 1,
+  BUSD: 1,
+  TUSD: 1,
+  USDP: 1,
+  FRAX: 1,
+  LUSD: 1,
+  PYUSD: 1,
+  USDE: 1
+};
+
+/**
+ * Diagnose portfolio concentration and stablecoin depeg exposure
+ * @param {Array} positions - Positions with token, weight and historical prices
+ * @returns {Object} Herfindahl index, largest position, stablecoin share, depeg indicators and warnings
+ */
+const analyzePortfolioComposition = (positions) => {
+  // The same token held twice counts as one position
+  const weightsByToken = new Map();
+  positions.forEach(position => {
+    const token = position.token.toUpperCase();
+    weightsByToken.set(token, (weightsByToken.get(token) || 0) + position.weight);
+  });
+  const tokenWeights = [...weightsByToken.entries()];
+  const assetCount = tokenWeights.length;
+  
+  const herfindahlIndex = tokenWeights.reduce((sum, [, weight]) => sum + weight * weight, 0);
+  const normalizedHerfindahl = assetCount > 1 ? (herfindahlIndex - 1 / assetCount) / (1 - 1 / assetCount) : 1;
+  const [largestToken, largestWeight] = tokenWeights.reduce((max, entry) => (entry[1] > max[1] ? entry : max));
+  
+  // Antitrust-style bands on the 0-10,000 scale: above 2,500 is highly concentrated
+  const hhiPoints = herfindahlIndex * 10000;
+  const concentrationLevel = hhiPoints > 2500 ? 'High' : hhiPoints > 1500 ? 'Medium' : 'Low';
+  
+  const stablecoins = tokenWeights
+    .filter(([token]) => STABLECOIN_PEGS[token] !== undefined)
+    .map(([token, weight]) => {
+      const peg = STABLECOIN_PEGS[token];
+      const history = positions.find(position => position.token.toUpperCase() === token).prices;
+      const deviations = history.map(p => Math.abs(p.price / peg - 1));
+      const currentDeviation = deviations[deviations.length - 1];
+      const maxDeviation = Math.max(...deviations);
+      
+      let depegRisk;
+      if (maxDeviation >= 0.02 || currentDeviation >= 0.01) {
+        depegRisk = 'High';
+      } else if (maxDeviation >= 0.005) {
+        depegRisk = 'Medium';
+      } else {
+        depegRisk = 'Low';
+      }
+      
+      return {
+        token,
+        weight,
+        peg,
+        currentPrice: history[history.length - 1].price,
+        currentDeviation: currentDeviation * 100, // as percentage
+        averageDeviation: mean(deviations) * 100, // as percentage
+        maxDeviation: maxDeviation * 100, // as percentage
+        daysOffPeg: deviations.filter(deviation => deviation >= 0.005).length,
+        observations: deviations.length,
+        depegRisk
+      };
+    });
+  const stablecoinShare = stablecoins.reduce((sum, stablecoin) => sum + stablecoin.weight, 0);
+  
+  const warnings = [];
+  if (largestWeight >= 0.5 && assetCount > 1) {
+    warnings.push(`${(largestWeight * 100).toFixed(1)}% of the portfolio is held in ${largestToken}`);
+  } else if (assetCount === 1) {
+    warnings.push(`The portfolio is held entirely in ${largestToken}`);
+  }
+  if (concentrationLevel === 'High') {
+    warnings.push(`Highly concentrated: the holdings behave like ${(1 / herfindahlIndex).toFixed(1)} equally weighted assets`);
+  }
+  stablecoins
+    .filter(stablecoin => stablecoin.depegRisk !== 'Low')
+    .forEach(stablecoin => {
+      warnings.push(`${stablecoin.token} has traded up to ${stablecoin.maxDeviation.toFixed(2)}% away from its peg`);
+    });
+  
+  return {
+    assetCount,
+    herfindahlIndex,
+    normalizedHerfindahl,
+    effectiveNumberOfAssets: 1 / herfindahlIndex,
+    concentrationLevel,
+    largestPosition: {
+      token: largestToken,
+      weight: largestWeight
+    },
+    stablecoinShare,
+    stablecoins,
+    warnings
+  };
+};
+
+/**
+ * Calculate Value at Risk (VaR) for a portfolio
+ * @param {Array} holdings - Array of token holdings with amounts
+ * @param {number} confidenceLevel - Confidence level (0.95, 0.99, etc.)
+ * @param {Object} options - Calculation options
+ * @param {string} options.method - 'parametric', 'historical' or 'monteCarlo'
+ * @param {number} options.simulations - Number of Monte Carlo scenarios
+ * @param {number} options.seed - Seed for the Monte Carlo random number generator
+ * @param {string} options.returnType - 'simple' or 'log' returns
+ * @param {string} options.varianceType - 'population' or 'sample' variance
+ * @param {number} options.tradingDays - Trading days per year (scales the weekly and monthly horizons)
+ * @param {number} options.days - Number of most recent daily bars to load per token (all stored bars by default)
+ * @returns {Object} VaR calculation results
+ */
+const calculateVaR = async (holdings, confidenceLevel = 0.95, options = {}) => {
+  const statistics = resolveStatisticsOptions(options);
+  const { method = 'parametric' } = options;
+
+  if (!VAR_METHODS.includes(method)) {
+    throw new Error(`Unsupported VaR method: ${method}`);
+  }
+  
+  const volatilityData = await Promise.all(
+    holdings.map(holding => getTokenVolatility(holding.token, options.days, statistics))
+  );
+  return calculateVaRFromHistory(holdings, volatilityData, confidenceLevel, options);
+};
+
+/**
+ * Calculate VaR from token histories already loaded by getTokenVolatility
+ * @param {Array} holdings - Array of token holdings with amounts
+ * @param {Array<Object>} volatilityData - getTokenVolatility result for each holding
+ * @param {number} confidenceLevel - Confidence level (0.95, 0.99, etc.)
+ * @param {Object} options - calculateVaR options
+ * @returns {Object} VaR calculation results
+ */
+const calculateVaRFromHistory = (holdings, volatilityData, confidenceLevel, options) => {
+  const { method = 'parametric', simulations = 10000, seed = 42 } = options;
+  const statistics = resolveStatisticsOptions(options);
+  
+  // Value holdings at the prices their volatility was measured on so weights sum to 1
+  const portfolioValue = holdings.reduce((total, holding, i) => {
+    return total + holding.amount * volatilityData[i].currentPrice;
+  }, 0);
+  const tokenVolatilities = holdings.map((holding, i) => ({
+    token: holding.token,
+    volatility: volatilityData[i].volatilityDaily,
+    weight: (holding.amount * volatilityData[i].currentPrice) / portfolioValue,
+    prices: volatilityData[i].historicalPrices
+  }));
+  
+  // Portfolio volatility comes from the return covariance matrix (w'Σw)
+  const covarianceData = buildCovarianceMatrix(tokenVolatilities, statistics);
+  const weights = tokenVolatilities.map(token => token.weight);
+  const { dailyVaRPercentage, marginalVaR, portfolioVolatility, methodDetails } = estimateDailyVaR(
+    covarianceData.returns,
+    covarianceData.covariance,
+    weights,
+    confidenceLevel,
+    { method, simulations, seed }
+  );
+  
+  const dailyVaR = portfolioValue * dailyVaRPercentage;
+  
+  // Calculate different time horizons (7 and 30 calendar days of trading)
+  const weeklyVaR = dailyVaR * Math.sqrt(7 * statistics.tradingDays / 365);
+  const monthlyVaR = dailyVaR * Math.sqrt(30 * statistics.tradingDays / 365);
+  
+  return {
+    portfolioValue,
+    confidenceLevel: confidenceLevel * 100, // as percentage
+    ...methodDetails,
+    statistics,
+    portfolioVolatility,
+    dailyVaR: {
+      amount: dailyVaR,
+      percentage: (dailyVaR / portfolioValue) * 100
+    },
+    weeklyVaR: {
+      amount: weeklyVaR,
+      percentage: (weeklyVaR / portfolioValue) * 100
+    },
+    monthlyVaR: {
+      amount: monthlyVaR,
+      percentage: (monthlyVaR / portfolioValue) * 100
+    },
+    riskLevel: dailyVaR / portfolioValue > 0.05 ? 'High' : 
+               dailyVaR / portfolioValue > 0.02 ? 'Medium' : 'Low',
+    analysisDate: new Date().toISOString(),
+    holdings: holdings.map((holding, i) => {
+      const componentVaR = marginalVaR[i] * weights[i] * portfolioValue;
+      return {
+        ...holding,
+        volatility: tokenVolatilities[i].volatility,
+        weight: weights[i],
+        marginalVaR: marginalVaR[i], // change in daily VaR per unit of value added to the position
+        componentVaR, // share of the daily VaR amount; components sum to dailyVaR.amount
+        contributionPercentage: dailyVaR > 0 ? (componentVaR / dailyVaR) * 100 : 0
+      };
+    }),
+    correlationMatrix: {
+      tokens: covarianceData.tokens,
+      matrix: covarianceData.correlation
+    },
+    diagnostics: analyzePortfolioComposition(tokenVolatilities)
+  };
+};
+
+/**
+ * Calculate liquidity-adjusted VaR: market VaR over the liquidation horizon plus the
+ * cost of exiting each position given its size relative to daily trading volume
+ * @param {Array} holdings - Array of token holdings with amounts
+ * @param {number} confidenceLevel - Confidence level (0.95, 0.99, etc.)
+ * @param {Object} options - Calculation options (also accepts all calculateVaR options)
+ * @param {number} options.liquidationHorizon - Days over which positions are sold in equal slices
+ * @param {number} options.spreadBps - Quoted bid-ask spread in basis points (half is paid on exit)
+ * @param {number} options.impactCoefficient - Square-root market impact coefficient
+ * @param {number} options.maxParticipation - Largest share of daily volume one can trade without moving the market
+ * @returns {Object} VaR results with liquidity cost and liquidity-adjusted VaR; liquidity figures are null
+ *   for holdings without USD volume, and so are the portfolio liquidity cost and adjusted VaR
+ */
+const calculateLiquidityAdjustedVaR = async (holdings, confidenceLevel = 0.95, options = {}) => {
+  const {
+    method = 'parametric',
+    liquidationHorizon = 1,
+    spreadBps = 10,
+    impactCoefficient = 1,
+    maxParticipation = 0.1
+  } = options;
+  const statistics = resolveStatisticsOptions(options);
+  
+  if (!VAR_METHODS.includes(method)) {
+    throw new Error(`Unsupported VaR method: ${method}`);
+  }
+  
+  // One load per token serves both the market VaR and the volume averages
+  const volatilityData = await Promise.all(
+    holdings.map(holding => getTokenVolatility(holding.token, options.days, statistics))
+  );
+  const varAnalysis = calculateVaRFromHistory(holdings, volatilityData, confidenceLevel, options);
+  
+  // Average daily USD volume from the stored series, else the latest 24h market volume;
+  // simulated market data has no real volume to size an exit against
+  const warnings = [];
+  const liquidityData = await Promise.all(holdings.map(async (holding, i) => {
+    const volumes = volatilityData[i].historicalPrices
+      .map(p => p.volume)
+      .filter(volume => typeof volume === 'number' && volume > 0);
+    if (volumes.length > 0) {
+      return { averageDailyVolume: mean(volumes), volumeSource: 'stored' };
+    }
+    const marketData = await blockchainService.getCryptoPriceData(holding.token.toUpperCase());
+    if (!marketData.simulated && marketData.volume24h > 0) {
+      return { averageDailyVolume: marketData.volume24h, volumeSource: 'market' };
+    }
+    warnings.push(`No USD trading volume for ${holding.token}; import price history with a volume column ` +
+      'to include its exit cost');
+    return { averageDailyVolume: null, volumeSource: null };
+  }));
+  
+  const halfSpread = spreadBps / 20000;
+  const holdingsWithLiquidity = varAnalysis.holdings.map((holding, i) => {
+    const { averageDailyVolume, volumeSource } = liquidityData[i];
+    const value = holding.amount * volatilityData[i].currentPrice;
+    if (averageDailyVolume === null) {
+      return {
+        ...holding,
+        value,
+        averageDailyVolume,
+        volumeSource,
+        participationRate: null,
+        daysToLiquidate: null,
+        exitCost: null
+      };
+    }
+
+    const participationRate = averageDailyVolume > 0 ? value / (liquidationHorizon * averageDailyVolume) : Infinity;
+    
+    // Square-root impact law: selling a share q of daily volume moves the price by about k·σ·√q
+    const impact = impactCoefficient * holding.volatility * Math.sqrt(participationRate);
+    const exitCost = value * Math.min(1, halfSpread + impact);
+    
+    return {
+      ...holding,
+      value,
+      averageDailyVolume,
+      volumeSource,
+      participationRate: participationRate * 100, // as percentage of daily volume
+      daysToLiquidate: averageDailyVolume > 0 ? value / (maxParticipation * averageDailyVolume) : null,
+      exitCost: {
+        amount: exitCost,
+        percentage: value > 0 ? (exitCost / value) * 100 : 0,
+        spread: value * halfSpread,
+        marketImpact: exitCost - value * halfSpread
+      }
+    };
+  });
+  
+  // Selling in equal daily slices leaves (h + 1)(2h + 1) / 6h of a day's variance per unit held
+  const horizonScale = Math.sqrt((liquidationHorizon + 1) * (2 * liquidationHorizon + 1) / (6 * liquidationHorizon));
+  const horizonVaR = varAnalysis.dailyVaR.amount * horizonScale;
+  const portfolioValue = varAnalysis.portfolioValue;
+  
+  // Leaving out a position's exit cost would understate the total, so it is withheld instead
+  const hasVolume = holdingsWithLiquidity.every(holding => holding.exitCost !== null);
+  const liquidityCost = hasVolume ?
+    holdingsWithLiquidity.reduce((sum, holding) => sum + holding.exitCost.amount, 0) :
+    null;
+  const liquidityAdjustedVaR = hasVolume ? horizonVaR + liquidityCost : null;
+  
+  return {
+    ...varAnalysis,
+    liquidity: {
+      liquidationHorizon,
+      spreadBps,
+      impactCoefficient,
+      maxParticipation,
+      horizonVaR: {
+        amount: horizonVaR,
+        percentage: (horizonVaR / portfolioValue) * 100
+      },
+      liquidityCost: hasVolume ? {
+        amount: liquidityCost,
+        percentage: (liquidityCost / portfolioValue) * 100
+      } : null,
+      liquidityAdjustedVaR: hasVolume ? {
+        amount: liquidityAdjustedVaR,
+        percentage: (liquidityAdjustedVaR / portfolioValue) * 100
+      } : null,
+      liquidityShare: hasVolume && liquidityAdjustedVaR > 0 ? (liquidityCost / liquidityAdjustedVaR) * 100 : null,
+      daysToLiquidatePortfolio: hasVolume ?
+        Math.max(...holdingsWithLiquidity.map(holding => holding.daysToLiquidate || 0)) :
+        null,
+      riskLevel: !hasVolume ? null :
+                 liquidityAdjustedVaR / portfolioValue > 0.05 ? 'High' :
+                 liquidityAdjustedVaR / portfolioValue > 0.02 ? 'Medium' : 'Low'
+    },
+    holdings: holdingsWithLiquidity,
+    warnings
+  };
+
+};
+
+/**
+ * Basel traffic-light zones by the cumulative binomial probability of the observed
+ * exception count (green below 95%, yellow below 99.99%, red otherwise)
+ */
+const TRAFFIC_LIGHT_ZONES = [
+  { zone: 'green', maxProbability: 0.95 },
+  { zone: 'yellow', maxProbability: 0.9999 },
+  { zone: 'red', maxProbability: Infinity }
+];
+
+/**
+ * Backtest observations needed before results are reported: the coverage tests need
+ * enough days to expect exceptions at 95-99% confidence, and the traffic-light zones
+ * are calibrated on 250 days
+ */
+const BACKTEST_MIN_OBSERVATIONS = {
+  coverageTests: 100,
+  trafficLight: 250
+};
+
+// Default estimation window; shorter histories split their returns between estimation and testing
+const BACKTEST_DEFAULT_WINDOW = 30;
+
+/**
+ * Backtest the VaR model by rolling it over historical prices and counting exceptions
+ * @param {Array} holdings - Array of token holdings with amounts (held at today's weights)
+ * @param {Object} options - Backtest options
+ * @param {number} options.confidenceLevel - Confidence level (0.95, 0.99, etc.)
+ * @param {string} options.method - 'parametric', 'historical' or 'monteCarlo'
+ * @param {number} options.window - Days of returns used to estimate each day's VaR (30 by default,
+ *   or half the available returns when there are fewer than 60)
+ * @param {number} options.days - Days of price history to load (the default gives 250 observations
+ *   when that much history is stored)
+ * @param {number} options.significance - Significance level of the coverage tests
+ * @param {number} options.simulations - Number of Monte Carlo scenarios per estimate
+ * @param {number} options.seed - Seed for the Monte Carlo random number generator
+ * @param {string} options.returnType - 'simple' or 'log' returns
+ * @param {string} options.varianceType - 'population' or 'sample' variance
+ * @returns {Object} Exception series, Kupiec and Christoffersen tests and traffic-light zone;
+ *   tests and zone are null when there are fewer observations than BACKTEST_MIN_OBSERVATIONS
+ */
+const backtestVaR = async (holdings, options = {}) => {
+  const {
+    confidenceLevel = 0.99,
+    method = 'parametric',
+    days = 281,
+    significance = 0.05,
+    simulations = 10000,
+    seed = 42
+  } = options;
+  const statistics = resolveStatisticsOptions(options);
+  
+  if (!VAR_METHODS.includes(method)) {
+    throw new Error(`Unsupported VaR method: ${method}`);
+  }
+  
+  const volatilityData = await Promise.all(
+    holdings.map(holding => getTokenVolatility(holding.token, days, statistics))
+  );
+  const portfolioValue = holdings.reduce((total, holding, i) => {
+    return total + holding.amount * volatilityData[i].currentPrice;
+  }, 0);
+  const weights = holdings.map((holding, i) => (holding.amount * volatilityData[i].currentPrice) / portfolioValue);
+  const { dates, returns } = alignReturnSeries(
+    holdings.map((holding, i) => ({ prices: volatilityData[i].historicalPrices })),
+    statistics.returnType
+  );
+  
+  const window = options.window !== undefined ?
+    options.window :
+    Math.min(BACKTEST_DEFAULT_WINDOW, Math.floor(returns.length / 2));
+  
+  if (window < 2 || returns.length <= window) {
+    const error = new Error(`Not enough price history: ${returns.length} daily returns for a ${window}-day estimation window`);
+
+    error.code = 'INSUFFICIENT_HISTORY';
+    throw error;
+  }
+  
+  // Estimate each day's VaR from the preceding window only, then compare with that day's P&L
+  const series = [];
+  for (let t = window; t < returns.length; t++) {
+    const estimationReturns = returns.slice(t - window, t);
+    const { dailyVaRPercentage } = estimateDailyVaR(
+      estimationReturns,
+      covarianceMatrix(estimationReturns, statistics.varianceType === 'sample'),
+      weights,
+      confidenceLevel,
+      { method, simulations, seed }
+    );
+    const realizedReturn = returns[t].reduce((sum, r, i) => sum + weights[i] * r, 0);
+    series.push({
+      date: dates[t],
+      dailyVaR: dailyVaRPercentage * portfolioValue,
+      pnl: realizedReturn * portfolioValue,
+      exception: -realizedReturn > dailyVaRPercentage
+    });
+  }
+  
+  const observations = series.length;
+  const exceptions = series.filter(day => day.exception).length;
+  const p = 1 - confidenceLevel;
+  const xlogy = (x, y) => (x === 0 ? 0 : x * Math.log(y));
+  
+  // Kupiec proportion-of-failures: is the exception rate consistent with 1 - confidence?
+  const observedRate = exceptions / observations;
+  const kupiecStatistic = Math.max(0, -2 * (xlogy(observations - exceptions, 1 - p) + xlogy(exceptions, p)) +
+    2 * (xlogy(observations - exceptions, 1 - observedRate) + xlogy(exceptions, observedRate)));
+  
+  // Christoffersen independence: does an exception make the next one more likely?
+  const transitions = { n00: 0, n01: 0, n10: 0, n11: 0 };
+  for (let t = 1; t < observations; t++) {
+    transitions[`n${series[t - 1].exception ? 1 : 0}${series[t].exception ? 1 : 0}`]++;
+  }
+  const { n00, n01, n10, n11 } = transitions;
+  const rateAfterNone = n00 + n01 > 0 ? n01 / (n00 + n01) : 0;
+  const rateAfterException = n10 + n11 > 0 ? n11 / (n10 + n11) : 0;
+  const pooledRate = n00 + n01 + n10 + n11 > 0 ? (n01 + n11) / (n00 + n01 + n10 + n11) : 0;
+  const independenceStatistic = Math.max(0, -2 * (xlogy(n00 + n10, 1 - pooledRate) + xlogy(n01 + n11, pooledRate)) +
+    2 * (xlogy(n00, 1 - rateAfterNone) + xlogy(n01, rateAfterNone) +
+         xlogy(n10, 1 - rateAfterException) + xlogy(n11, rateAfterException)));
+  
+  const testResult = (statistic, degreesOfFreedom) => {
+    const pValue = chiSquareSurvival(statistic, degreesOfFreedom);
+    return { statistic, pValue, reject: pValue < significance };
+  };
+  
+  // Zone boundaries expressed as the largest exception count still inside each zone
+  const cumulativeProbability = binomialCdf(exceptions, observations, p);
+  const zoneLimit = maxProbability => {
+    let k = -1;
+    while (k < observations && binomialCdf(k + 1, observations, p) < maxProbability) k++;
+    return k;
+  };
+  const zone = TRAFFIC_LIGHT_ZONES.find(candidate => cumulativeProbability < candidate.maxProbability).zone;
+  
+  // Too few observations make the tests and zones meaningless, so they are withheld
+  const hasCoverageTests = observations >= BACKTEST_MIN_OBSERVATIONS.coverageTests;
+  const hasTrafficLight = observations >= BACKTEST_MIN_OBSERVATIONS.trafficLight;
+  const warnings = [];
+  if (!hasCoverageTests) {
+    warnings.push(`Kupiec and Christoffersen tests need at least ${BACKTEST_MIN_OBSERVATIONS.coverageTests} observations; ` +
+      `${observations} available. Load more price history`);
+  }
+  if (!hasTrafficLight) {
+    warnings.push(`The traffic-light zone needs ${BACKTEST_MIN_OBSERVATIONS.trafficLight} observations; ` +
+      `${observations} available`);
+  }
+  
+  return {
+    portfolioValue,
+    confidenceLevel: confidenceLevel * 100, // as percentage
+    method,
+    window,
+    statistics,
+    observations,
+    exceptions,
+    expectedExceptions: observations * p,
+    exceptionRate: observedRate * 100, // as percentage
+    kupiec: hasCoverageTests ? testResult(kupiecStatistic, 1) : null,
+    christoffersen: hasCoverageTests ? {
+      transitions,
+      independence: testResult(independenceStatistic, 1),
+      conditionalCoverage: testResult(kupiecStatistic + independenceStatistic, 2)
+    } : null,
+    trafficLight: hasTrafficLight ? {
+      zone,
+      cumulativeProbability,
+      greenMaxExceptions: zoneLimit(TRAFFIC_LIGHT_ZONES[0].maxProbability),
+      yellowMaxExceptions: zoneLimit(TRAFFIC_LIGHT_ZONES[1].maxProbability)
+    } : null,
+    significance,
+    warnings,
+    analysisDate: new Date().toISOString(),
+    series
+  };
+};
+
+// Returns needed beyond the VaR quantile before historical VaR and Expected Shortfall
+// are reported; with fewer, the tail average is one or two days and does not vary by level
+const MIN_TAIL_OBSERVATIONS = 5;
+
+/**
+ * Calculate Expected Shortfall (CVaR) and tail-risk statistics for a portfolio
+ * @param {Array} holdings - Array of token holdings with amounts
+ * @param {Array<number>} confidenceLevels - Confidence levels (0.95, 0.99, etc.)
+ * @param {Object} options - Calculation options
+ * @param {number} options.worstDays - Number of worst portfolio days to report
+ * @param {string} options.returnType - 'simple' or 'log' returns
+ * @param {string} options.varianceType - 'population' or 'sample' variance
+ * @param {number} options.days - Number of most recent daily bars to load per token (all stored bars by default)
+ * @returns {Object} Expected Shortfall and tail statistics; historical figures are null for levels
+ *   with fewer than MIN_TAIL_OBSERVATIONS returns in the tail
+ */
+const calculateExpectedShortfall = async (holdings, confidenceLevels = [0.95, 0.99], options = {}) => {
+  const { worstDays = 5, days } = options;
+  const statistics = resolveStatisticsOptions(options);
+  
+  // Reuse the price series built by the volatility analysis for each token
+  const tokensData = await Promise.all(
+    holdings.map(async holding => {
+      const volatilityData = await getTokenVolatility(holding.token, days, statistics);
+      return {
+        token: holding.token,
+        amount: holding.amount,
+        value: holding.amount * volatilityData.currentPrice,
+        prices: volatilityData.historicalPrices
+      };
+    })
+  );
+  
+  const portfolioValue = tokensData.reduce((total, token) => total + token.value, 0);
+  const weights = tokensData.map(token => token.value / portfolioValue);
+  const covarianceData = buildCovarianceMatrix(tokensData, statistics);
+  const portfolioReturns = covarianceData.returns.map(dayReturns =>
+    dayReturns.reduce((sum, r, i) => sum + r * weights[i], 0)
+  );
+  const portfolioVolatility = Math.sqrt(portfolioVariance(weights, covarianceData.covariance));
+  
+  const warnings = [];
+  const levels = confidenceLevels.map(confidenceLevel => {
+    // Historical ES: average of the returns at or beyond the VaR quantile
+    const threshold = quantile(portfolioReturns, 1 - confidenceLevel);
+    const tailReturns = portfolioReturns.filter(r => r <= threshold);
+    const historicalVaR = Math.max(0, -threshold);
+    const historicalES = Math.max(0, -mean(tailReturns));
+    
+    // Parametric ES under the normal assumption: σ·φ(z) / (1 - c)
+    const zScore = normalInverseCdf(confidenceLevel);
+    const parametricVaR = portfolioVolatility * zScore;
+    const parametricES = portfolioVolatility * normalPdf(zScore) / (1 - confidenceLevel);
+    
+    // Too few tail returns make the historical figures meaningless, so they are withheld
+    const hasHistorical = tailReturns.length >= MIN_TAIL_OBSERVATIONS;
+    if (!hasHistorical) {
+      warnings.push(`Historical VaR and Expected Shortfall at ${confidenceLevel * 100}% need at least ` +
+        `${MIN_TAIL_OBSERVATIONS} tail observations; ${tailReturns.length} available. Load more price history`);
+    }
+    
+    return {
+      confidenceLevel: confidenceLevel * 100, // as percentage
+      tailObservations: tailReturns.length,
+      historical: hasHistorical ? {
+        var: { amount: historicalVaR * portfolioValue, percentage: historicalVaR * 100 },
+        expectedShortfall: { amount: historicalES * portfolioValue, percentage: historicalES * 100 }
+      } : null,
+      parametric: {
+        var: { amount: parametricVaR * portfolioValue, percentage: parametricVaR * 100 },
+        expectedShortfall: { amount: parametricES * portfolioValue, percentage: parametricES * 100 }
+      }
+    };
+  });
+  
+  const worst = covarianceData.dates
+    .map((date, i) => ({ date, portfolioReturn: portfolioReturns[i] }))
+    .sort((a, b) => a.portfolioReturn - b.portfolioReturn)
+    .slice(0, worstDays)
+    .map(day => ({
+      date: day.date,
+      return: day.portfolioReturn * 100, // as percentage
+      loss: -day.portfolioReturn * portfolioValue
+    }));
+  
+  return {
+    portfolioValue,
+    observations: portfolioReturns.length,
+    statistics,
+    portfolioVolatility,
+    expectedShortfall: levels,
+    tailStatistics: {
+      skewness: skewness(portfolioReturns),
+      excessKurtosis: excessKurtosis(portfolioReturns),
+      worstDays: worst
+    },
+    warnings,
+    analysisDate: new Date().toISOString(),
+
+    holdings: tokensData.map((token, i) => {
+      const tokenReturns = covarianceData.returns.map(dayReturns => dayReturns[i]);
+      return {
+        token: token.token,
+        amount: token.amount,
+        value: token.value,
+        weight: weights[i],
+        skewness: skewness(tokenReturns),
+        excessKurtosis: excessKurtosis(tokenReturns)
+      };
+    })
+  };
+};
+
+/**
+ * Calculate Sharpe Ratio for a portfolio or token
+ * @param {string|Array} tokenOrHoldings - Token symbol or array of holdings
+ * @param {number} riskFreeRate - Annual risk-free rate (e.g., 0.04 for 4%)
+ * @param {Object} options - Statistics options (returnType, varianceType, tradingDays) and the number of
+ *   most recent daily bars to load per token as days (all stored bars by default)
+ * @returns {Object} Sharpe ratio calculation results
+ */
+const calculateSharpe = async (tokenOrHoldings, riskFreeRate = 0.04, options = {}) => {
+  // In a real implementation, we would:
+  // 1. Fetch historical price data
+  // 2. Calculate returns and standard deviation
+  // 3. Compare with risk-free rate
   
   // For this demo, we'll use a simplified approach
   let returns, volatility, currentValue;
+  const statistics = resolveStatisticsOptions(options);
   
   // Daily risk-free rate
-  const dailyRiskFreeRate = Math.pow(1 + riskFreeRate, 1/365) - 1;
+  const dailyRiskFreeRate = Math.pow(1 + riskFreeRate, 1 / statistics.tradingDays) - 1;
   
   if (typeof tokenOrHoldings === 'string') {
     // Single token
-    const tokenData = await getTokenVolatility(tokenOrHoldings);
+    const tokenData = await getTokenVolatility(tokenOrHoldings, options.days, statistics);
     
     // Calculate average daily return from historical prices
     const prices = tokenData.historicalPrices;
-    returns = [];
-    
-    for (let i = 1; i < prices.length; i++) {
-      const dailyReturn = (prices[i].price - prices[i-1].price) / prices[i-1].price;
-      returns.push(dailyReturn);
-    }
+    returns = calculateReturns(prices.map(p => p.price), statistics.returnType);
     
     const averageReturn = returns.reduce((sum, value) => sum + value, 0) / returns.length;
     volatility = tokenData.volatilityDaily;
@@ -444,24 +1633,26 @@ const calculateSharpe = async (tokenOrHoldings, riskFreeRate = 0.04) => {
     
     // Calculate Sharpe ratio
     const dailySharpe = (averageReturn - dailyRiskFreeRate) / volatility;
-    const annualizedSharpe = dailySharpe * Math.sqrt(365);
+    const annualizedSharpe = dailySharpe * Math.sqrt(statistics.tradingDays);
     
     return {
       token: tokenOrHoldings,
       currentPrice: currentValue,
+      observations: returns.length,
       averageDailyReturn: averageReturn,
       volatilityDaily: volatility,
       sharpeRatioDaily: dailySharpe,
       sharpeRatioAnnualized: annualizedSharpe,
       riskAdjustedPerformance: annualizedSharpe > 1 ? 'Good' : 
                                annualizedSharpe > 0 ? 'Neutral' : 'Poor',
+      statistics,
       analysisDate: new Date().toISOString()
     };
   } else {
     // Portfolio of holdings
     const holdingsData = await Promise.all(
       tokenOrHoldings.map(async holding => {
-        const tokenData = await getTokenVolatility(holding.token);
+        const tokenData = await getTokenVolatility(holding.token, options.days, statistics);
         return {
           ...holding,
           currentPrice: tokenData.currentPrice,
@@ -476,45 +1667,35 @@ const calculateSharpe = async (tokenOrHoldings, riskFreeRate = 0.04) => {
       return total + (holding.amount * holding.currentPrice);
     }, 0);
     
-    // Calculate portfolio returns and volatility
-    const portfolioReturns = [];
-    const days = holdingsData[0].historicalPrices.length;
-    
-    for (let day = 1; day < days; day++) {
-      let dayReturn = 0;
-      
-      for (const holding of holdingsData) {
-        const weight = (holding.amount * holding.currentPrice) / portfolioValue;
-        const prices = holding.historicalPrices;
-        const dailyReturn = (prices[day].price - prices[day-1].price) / prices[day-1].price;
-        dayReturn += dailyReturn * weight;
-      }
-      
-      portfolioReturns.push(dayReturn);
-    }
+    // Calculate portfolio returns from date-aligned token returns
+    const weights = holdingsData.map(holding => (holding.amount * holding.currentPrice) / portfolioValue);
+    const covarianceData = buildCovarianceMatrix(
+      holdingsData.map(holding => ({ token: holding.token, prices: holding.historicalPrices })),
+      statistics
+    );
+    const portfolioReturns = covarianceData.returns.map(dayReturns =>
+      dayReturns.reduce((sum, r, i) => sum + r * weights[i], 0)
+    );
     
     const averageReturn = portfolioReturns.reduce((sum, value) => sum + value, 0) / portfolioReturns.length;
     
-    // Calculate portfolio volatility (simplified, ignoring correlations)
-    volatility = Math.sqrt(
-      holdingsData.reduce((sum, holding) => {
-        const weight = (holding.amount * holding.currentPrice) / portfolioValue;
-        return sum + Math.pow(holding.volatility * weight, 2);
-      }, 0)
-    );
+    // Calculate portfolio volatility from the return covariance matrix (w'Σw)
+    volatility = Math.sqrt(portfolioVariance(weights, covarianceData.covariance));
     
     // Calculate Sharpe ratio
     const dailySharpe = (averageReturn - dailyRiskFreeRate) / volatility;
-    const annualizedSharpe = dailySharpe * Math.sqrt(365);
+    const annualizedSharpe = dailySharpe * Math.sqrt(statistics.tradingDays);
     
     return {
       portfolioValue,
+      observations: portfolioReturns.length,
       averageDailyReturn: averageReturn,
       volatilityDaily: volatility,
       sharpeRatioDaily: dailySharpe,
       sharpeRatioAnnualized: annualizedSharpe,
       riskAdjustedPerformance: annualizedSharpe > 1 ? 'Good' : 
                                annualizedSharpe > 0 ? 'Neutral' : 'Poor',
+      statistics,
       analysisDate: new Date().toISOString(),
       holdings: holdingsData.map(holding => ({
         token: holding.token,
@@ -522,14 +1703,699 @@ const calculateSharpe = async (tokenOrHoldings, riskFreeRate = 0.04) => {
         value: holding.amount * holding.currentPrice,
         weight: (holding.amount * holding.currentPrice) / portfolioValue,
         volatility: holding.volatility
-      }))
+      })),
+      correlationMatrix: {
+        tokens: covarianceData.tokens,
+        matrix: covarianceData.correlation
+      },
+      diagnostics: analyzePortfolioComposition(holdingsData.map((holding, i) => ({
+        token: holding.token,
+        weight: weights[i],
+        prices: holding.historicalPrices
+      })))
+    };
+  }
+};
+
+/**
+ * Normalize a benchmark definition into weighted components
+ * @param {string|Object} benchmark - Token symbol (e.g., BTC) or { name, basket: [{ token, weight }] }
+ * @returns {Object} Benchmark name and components with weights summing to 1
+ */
+const resolveBenchmark = (benchmark = 'BTC') => {
+  if (typeof benchmark === 'string') {
+    const token = benchmark.toUpperCase();
+    return { name: token, components: [{ token, weight: 1 }] };
+  }
+  
+  const totalWeight = benchmark.basket.reduce((sum, component) => sum + component.weight, 0);
+  return {
+    name: benchmark.name || 'Custom Index',
+    components: benchmark.basket.map(component => ({
+      token: component.token.toUpperCase(),
+      weight: component.weight / totalWeight
+    }))
+  };
+};
+
+/**
+ * Load holdings and a benchmark and align their daily returns on common dates
+ * @param {Array} holdings - Array of token holdings with amounts
+ * @param {Object} benchmark - Resolved benchmark (see resolveBenchmark)
+ * @param {Object} statistics - Resolved statistics options
+ * @param {number} days - Number of most recent daily bars to load per token; every stored bar when omitted
+ * @returns {Object} Holdings data, weights, per-token, portfolio and benchmark return series
+ */
+const loadBenchmarkedReturns = async (holdings, benchmark, statistics, days) => {
+  const loadSeries = async (token) => {
+    const tokenData = await getTokenVolatility(token, days, statistics);
+    return { token, currentPrice: tokenData.currentPrice, prices: tokenData.historicalPrices };
+  };
+  
+  const [holdingsSeries, benchmarkSeries] = await Promise.all([
+    Promise.all(holdings.map(holding => loadSeries(holding.token))),
+    Promise.all(benchmark.components.map(component => loadSeries(component.token)))
+  ]);
+  
+  const holdingsData = holdings.map((holding, i) => ({
+    token: holding.token,
+    amount: holding.amount,
+    value: holding.amount * holdingsSeries[i].currentPrice,
+    prices: holdingsSeries[i].prices
+  }));
+  const portfolioValue = holdingsData.reduce((total, holding) => total + holding.value, 0);
+  const weights = holdingsData.map(holding => holding.value / portfolioValue);
+  
+  const { dates, returns: rows } = alignReturnSeries(
+    [...holdingsData, ...benchmarkSeries],
+    statistics.returnType
+  );
+  
+  return {
+    holdingsData,
+    portfolioValue,
+    weights,
+    dates,
+    tokenReturns: holdingsData.map((holding, i) => rows.map(dayReturns => dayReturns[i])),
+    portfolioReturns: rows.map(dayReturns =>
+      weights.reduce((sum, weight, i) => sum + weight * dayReturns[i], 0)
+    ),
+    benchmarkReturns: rows.map(dayReturns =>
+      benchmark.components.reduce((sum, component, k) => {
+        return sum + component.weight * dayReturns[holdingsData.length + k];
+      }, 0)
+    )
+  };
+};
+
+/**
+ * Regress a return series on benchmark returns
+ * @param {Array<number>} returns - Asset or portfolio returns
+ * @param {Array<number>} benchmarkReturns - Aligned benchmark returns
+ * @param {number} dailyRiskFreeRate - Risk-free rate per period
+ * @param {Object} statistics - Resolved statistics options
+ * @returns {Object} Beta, annualized Jensen's alpha, annualized tracking error, correlation and R²
+ */
+const benchmarkRelativeStatistics = (returns, benchmarkReturns, dailyRiskFreeRate, statistics) => {
+  const sample = statistics.varianceType === 'sample';
+  const benchmarkVariance = Math.pow(standardDeviation(benchmarkReturns, sample), 2);
+  const assetVolatility = standardDeviation(returns, sample);
+  const cov = covariance(returns, benchmarkReturns, sample);
+  
+  const beta = benchmarkVariance > 0 ? cov / benchmarkVariance : null;
+  const correlation = benchmarkVariance > 0 && assetVolatility > 0 ?
+    cov / (Math.sqrt(benchmarkVariance) * assetVolatility) :
+    null;
+  const alpha = beta === null ? null :
+    ((mean(returns) - dailyRiskFreeRate) - beta * (mean(benchmarkReturns) - dailyRiskFreeRate)) * statistics.tradingDays;
+  const activeReturns = returns.map((r, i) => r - benchmarkReturns[i]);
+  
+  return {
+    beta,
+    alpha,
+    trackingError: standardDeviation(activeReturns, sample) * Math.sqrt(statistics.tradingDays),
+    correlation,
+    rSquared: correlation === null ? null : correlation * correlation
+  };
+};
+
+/**
+ * Calculate portfolio and per-token beta, alpha, tracking error and R² against a benchmark
+ * @param {Array} holdings - Array of token holdings with amounts
+ * @param {Object} options - Calculation options
+ * @param {string|Object} options.benchmark - Token symbol or custom index basket
+ * @param {number} options.riskFreeRate - Annual risk-free rate (e.g., 0.04 for 4%)
+ * @param {string} options.returnType - 'simple' or 'log' returns
+ * @param {string} options.varianceType - 'population' or 'sample' variance
+ * @param {number} options.tradingDays - Trading days per year used to annualize
+ * @param {number} options.days - Number of most recent daily bars to load per token (all stored bars by default)
+ * @returns {Object} Benchmark-relative analytics
+ */
+const calculateBenchmarkAnalytics = async (holdings, options = {}) => {
+  const { riskFreeRate = 0.04, days } = options;
+  const statistics = resolveStatisticsOptions(options);
+  const benchmark = resolveBenchmark(options.benchmark);
+  const dailyRiskFreeRate = Math.pow(1 + riskFreeRate, 1 / statistics.tradingDays) - 1;
+  
+  const data = await loadBenchmarkedReturns(holdings, benchmark, statistics, days);
+
+  const portfolio = benchmarkRelativeStatistics(data.portfolioReturns, data.benchmarkReturns, dailyRiskFreeRate, statistics);
+  const sample = statistics.varianceType === 'sample';
+  const portfolioVolatility = standardDeviation(data.portfolioReturns, sample) * Math.sqrt(statistics.tradingDays);
+  
+  // Split portfolio variance into the part explained by the benchmark and the rest
+  const systematicShare = portfolio.rSquared === null ? 0 : portfolio.rSquared;
+  
+  return {
+    portfolioValue: data.portfolioValue,
+    benchmark,
+    observations: data.portfolioReturns.length,
+    riskFreeRate,
+    statistics,
+    portfolio: {
+      ...portfolio,
+      volatilityAnnualized: portfolioVolatility,
+      systematicVolatility: portfolioVolatility * Math.sqrt(systematicShare),
+      idiosyncraticVolatility: portfolioVolatility * Math.sqrt(1 - systematicShare),
+      marketExposureShare: systematicShare * 100 // as percentage of variance
+    },
+    analysisDate: new Date().toISOString(),
+    holdings: data.holdingsData.map((holding, i) => {
+      const tokenStats = benchmarkRelativeStatistics(data.tokenReturns[i], data.benchmarkReturns, dailyRiskFreeRate, statistics);
+      return {
+        token: holding.token,
+        amount: holding.amount,
+        value: holding.value,
+        weight: data.weights[i],
+        ...tokenStats,
+        betaContribution: tokenStats.beta === null ? null : tokenStats.beta * data.weights[i]
+      };
+    })
+  };
+};
+
+// Daily returns needed before the period return is compounded to a year; shorter
+// samples turn a few good days into implausible annual figures
+const MIN_ANNUALIZATION_OBSERVATIONS = 90;
+
+/**
+ * Calculate risk-adjusted performance ratios for a portfolio or token
+ * @param {string|Array} tokenOrHoldings - Token symbol or array of holdings
+ * @param {Object} options - Calculation options
+ * @param {string|Object} options.benchmark - Token symbol (e.g., BTC) or custom index basket
+ * @param {number} options.riskFreeRate - Annual risk-free rate (e.g., 0.04 for 4%)
+ * @param {number} options.targetReturn - Annual minimum acceptable return for Sortino and Omega
+ * @param {string} options.returnType - 'simple' or 'log' returns
+ * @param {string} options.varianceType - 'population' or 'sample' variance
+ * @param {number} options.tradingDays - Trading days per year used to annualize
+ * @param {number} options.days - Number of most recent daily bars to load per token (all stored bars by default)
+ * @returns {Object} Sharpe, Sortino, Calmar, Omega, Treynor and Information ratios; the annualized
+ *   return and Calmar ratio are null below MIN_ANNUALIZATION_OBSERVATIONS daily returns
+ */
+const calculatePerformanceMetrics = async (tokenOrHoldings, options = {}) => {
+  const { benchmark = 'BTC', riskFreeRate = 0.04, days } = options;
+  const targetReturn = options.targetReturn !== undefined ? options.targetReturn : riskFreeRate;
+  const statistics = resolveStatisticsOptions(options);
+  const sample = statistics.varianceType === 'sample';
+  const tradingDays = statistics.tradingDays;
+  
+  const holdings = typeof tokenOrHoldings === 'string' ?
+    [{ token: tokenOrHoldings, amount: 1 }] :
+    tokenOrHoldings;
+  
+  const benchmarkDefinition = resolveBenchmark(benchmark);
+  const { holdingsData, portfolioValue, weights, portfolioReturns, benchmarkReturns } =
+    await loadBenchmarkedReturns(holdings, benchmarkDefinition, statistics, days);
+  const activeReturns = portfolioReturns.map((r, i) => r - benchmarkReturns[i]);
+  
+  // Convert annual rates into per-period rates
+  const dailyRiskFreeRate = Math.pow(1 + riskFreeRate, 1 / tradingDays) - 1;
+  const dailyTargetReturn = Math.pow(1 + targetReturn, 1 / tradingDays) - 1;
+  
+  const averageReturn = mean(portfolioReturns);
+  const volatility = standardDeviation(portfolioReturns, sample);
+  const downside = downsideDeviation(portfolioReturns, dailyTargetReturn);
+  const maxDrawdown = maxDrawdownFromReturns(portfolioReturns, statistics.returnType);
+  const { beta } = benchmarkRelativeStatistics(portfolioReturns, benchmarkReturns, dailyRiskFreeRate, statistics);
+  const trackingError = standardDeviation(activeReturns, sample);
+  
+  // Compound growth rate over the observed period, scaled to a year
+  const totalGrowth = portfolioReturns.reduce((value, r) => {
+    return value * (statistics.returnType === 'log' ? Math.exp(r) : 1 + r);
+  }, 1);
+  const annualizedReturn = portfolioReturns.length >= MIN_ANNUALIZATION_OBSERVATIONS ?
+    Math.pow(totalGrowth, tradingDays / portfolioReturns.length) - 1 :
+    null;
+  
+  const warnings = [];
+  if (annualizedReturn === null) {
+    warnings.push(`Annualized return and Calmar ratio need at least ${MIN_ANNUALIZATION_OBSERVATIONS} daily returns; ` +
+      `${portfolioReturns.length} available; import more price history`);
+  }
+  
+  const ratio = (numerator, denominator) => denominator ? numerator / denominator : null;
+  const sharpe = ratio(averageReturn - dailyRiskFreeRate, volatility);
+  const sortino = ratio(averageReturn - dailyTargetReturn, downside);
+  const informationRatio = ratio(mean(activeReturns), trackingError);
+  
+  return {
+    ...(typeof tokenOrHoldings === 'string' ?
+      { token: tokenOrHoldings, currentPrice: holdingsData[0].prices[holdingsData[0].prices.length - 1].price } :
+      { portfolioValue }),
+    benchmark: benchmarkDefinition,
+    observations: portfolioReturns.length,
+    riskFreeRate,
+    targetReturn,
+    statistics,
+    averageDailyReturn: averageReturn,
+    periodReturn: totalGrowth - 1,
+    annualizedReturn,
+    volatilityDaily: volatility,
+    volatilityAnnualized: volatility * Math.sqrt(tradingDays),
+    downsideDeviationDaily: downside,
+    maxDrawdown,
+    beta,
+    trackingErrorAnnualized: trackingError * Math.sqrt(tradingDays),
+    ratios: {
+      sharpe: sharpe === null ? null : sharpe * Math.sqrt(tradingDays),
+      sortino: sortino === null ? null : sortino * Math.sqrt(tradingDays),
+      calmar: annualizedReturn === null ? null : ratio(annualizedReturn, maxDrawdown),
+      omega: omegaRatio(portfolioReturns, dailyTargetReturn),
+      treynor: ratio((averageReturn - dailyRiskFreeRate) * tradingDays, beta),
+      informationRatio: informationRatio === null ? null : informationRatio * Math.sqrt(tradingDays)
+    },
+    warnings,
+    analysisDate: new Date().toISOString(),
+    holdings: holdingsData.map((holding, i) => ({
+      token: holding.token,
+      amount: holding.amount,
+      value: holding.value,
+      weight: weights[i]
+    }))
+  };
+};
+
+/**
+ * Built-in stress scenarios. Shock scenarios are hypothetical: they apply fixed price moves
+ * to the named tokens and, when propagateFrom is set, move every other holding by its beta
+ * to that token. Replay scenarios find the worst decline of the reference token in stored
+ * price data and apply each holding's actual move over the same dates.
+ */
+const STRESS_SCENARIOS = {
+  'eth-crash': {
+    name: 'ETH -50% crash',
+    description: 'ETH halves in value; other holdings move by their historical beta to ETH',
+    type: 'shock',
+    shocks: { ETH: -0.5 },
+    propagateFrom: 'ETH'
+  },
+  'btc-crash': {
+    name: 'BTC -40% crash',
+    description: 'BTC drops 40%; other holdings move by their historical beta to BTC',
+    type: 'shock',
+    shocks: { BTC: -0.4 },
+    propagateFrom: 'BTC'
+  },
+  'stablecoin-depeg': {
+    name: 'Hypothetical stablecoin depeg',
+    description: 'Hypothetical shock sized on the March 2023 USDC depeg (low of $0.87): USD stablecoins lose their peg while other prices hold',
+    type: 'shock',
+    shocks: { USDC: -0.13, DAI: -0.1, USDT: -0.05 }
+  },
+  'worst-day-replay': {
+    name: 'Worst BTC day replay',
+    description: 'Replays every holding\'s price move over the worst one-day BTC decline in stored history',
+    type: 'replay',
+    reference: 'BTC',
+    window: 1
+  },
+  'worst-week-replay': {
+    name: 'Worst BTC week replay',
+    description: 'Replays every holding\'s price move over the worst seven-day BTC decline in stored history',
+    type: 'replay',
+    reference: 'BTC',
+    window: 7
+  }
+};
+
+/**
+ * Find the window with the lowest return in a price series
+ * The lowest return can be a gain when prices only rose; callers check the sign.
+ * @param {Array} prices - Price points with date and price
+ * @param {number} window - Window length in days
+ * @returns {Object|null} Start date, end date and return of the worst window
+ */
+const findWorstWindow = (prices, window) => {
+  let worst = null;
+  for (let start = 0; start + window < prices.length; start++) {
+    const move = prices[start + window].price / prices[start].price - 1;
+    if (!worst || move < worst.move) {
+      worst = { startDate: prices[start].date, endDate: prices[start + window].date, move };
+    }
+  }
+  return worst;
+};
+
+/**
+ * Resolve the per-token shocks of one scenario for the given holdings
+ * @param {Object} scenario - Built-in or custom scenario definition
+ * @param {Array} holdingsData - Holdings with value and stored prices
+ * @param {Function} getBeta - Returns a holding's beta to a reference token
+ * @param {Function} loadPrices - Returns stored prices for a token
+ * @returns {Object} Shock and its source per holding, plus the replayed window if any
+ */
+const resolveScenarioShocks = async (scenario, holdingsData, getBeta, loadPrices) => {
+  const shocks = scenario.shocks || {};
+  
+  if (scenario.type === 'replay') {
+    const referencePrices = await loadPrices(scenario.reference);
+    const worst = findWorstWindow(referencePrices, scenario.window);
+    if (!worst) {
+      throw new Error(`Not enough price history for ${scenario.reference} to replay a ${scenario.window}-day window`);
+    }
+    
+    // A "worst decline" that is a gain would report rallies as stress losses
+    if (worst.move >= 0) {
+      return {
+        perHolding: holdingsData.map(() => ({ shock: 0, source: 'none' })),
+        window: null,
+        warning: `No ${scenario.window}-day decline in stored ${scenario.reference} history; nothing to replay`
+      };
+    }
+    
+    const perHolding = await Promise.all(holdingsData.map(async (holding, i) => {
+      const priceByDate = new Map(holding.prices.map(p => [p.date, p.price]));
+      if (priceByDate.has(worst.startDate) && priceByDate.has(worst.endDate)) {
+        return { shock: priceByDate.get(worst.endDate) / priceByDate.get(worst.startDate) - 1, source: 'replay' };
+      }
+      // No stored prices on the replayed dates; fall back to the beta-implied move
+      const beta = await getBeta(scenario.reference, i);
+      return { shock: Math.max(-1, beta * worst.move), source: 'beta' };
+    }));
+    
+    return { perHolding, window: worst };
+  }
+  
+  const perHolding = await Promise.all(holdingsData.map(async (holding, i) => {
+    const token = holding.token.toUpperCase();
+    if (shocks[token] !== undefined) {
+      return { shock: shocks[token], source: 'scenario' };
+    }
+    if (scenario.propagateFrom && shocks[scenario.propagateFrom] !== undefined) {
+      const beta = await getBeta(scenario.propagateFrom, i);
+      return { shock: Math.max(-1, beta * shocks[scenario.propagateFrom]), source: 'beta' };
+    }
+    return { shock: 0, source: 'none' };
+  }));
+  
+  return { perHolding };
+};
+
+/**
+ * Apply stress scenarios to a portfolio and project the P&L of each holding
+ * @param {Array} holdings - Array of token holdings with amounts
+ * @param {Array} scenarios - Built-in scenario ids or custom { name, shocks: { TOKEN: -0.3 }, propagateFrom }
+ * @param {Object} options - Statistics options used to estimate betas, and the number of most recent
+ *   daily bars to load per token as days (all stored bars by default)
+ * @returns {Object} Projected P&L per scenario, holding and for the portfolio
+ */
+const runStressTest = async (holdings, scenarios = Object.keys(STRESS_SCENARIOS), options = {}) => {
+  const statistics = resolveStatisticsOptions(options);
+  
+  const priceCache = new Map();
+  const loadPrices = async (token) => {
+    const symbol = token.toUpperCase();
+    if (!priceCache.has(symbol)) {
+      priceCache.set(symbol, getTokenVolatility(symbol, options.days, statistics));
+    }
+    return (await priceCache.get(symbol)).historicalPrices;
+  };
+  
+  const holdingsData = await Promise.all(holdings.map(async (holding) => {
+    const prices = await loadPrices(holding.token);
+    return {
+      token: holding.token,
+      amount: holding.amount,
+      value: holding.amount * prices[prices.length - 1].price,
+      prices
     };
+  }));
+  const portfolioValue = holdingsData.reduce((total, holding) => total + holding.value, 0);
+  
+  // Betas are estimated once per reference token and shared across scenarios
+  const betaCache = new Map();
+  const getBeta = async (reference, index) => {
+    if (!betaCache.has(reference)) {
+      const referencePrices = await loadPrices(reference);
+      betaCache.set(reference, holdingsData.map(holding => {
+        const { returns } = alignReturnSeries([holding, { prices: referencePrices }], statistics.returnType);
+        const { beta } = benchmarkRelativeStatistics(
+          returns.map(row => row[0]),
+          returns.map(row => row[1]),
+          0,
+          statistics
+        );
+        return beta === null ? 0 : beta;
+      }));
+    }
+    return betaCache.get(reference)[index];
+  };
+  
+  const results = [];
+  for (const [index, entry] of scenarios.entries()) {
+    const id = typeof entry === 'string' ? entry : `custom-${index + 1}`;
+    const scenario = typeof entry === 'string' ?
+      STRESS_SCENARIOS[entry] :
+      { ...entry, name: entry.name || `Custom scenario ${index + 1}`, type: 'shock' };
+    
+    const { perHolding, window, warning } = await resolveScenarioShocks(scenario, holdingsData, getBeta, loadPrices);
+    const holdingResults = holdingsData.map((holding, i) => ({
+      token: holding.token,
+      amount: holding.amount,
+      value: holding.value,
+      shock: perHolding[i].shock * 100, // as percentage
+      shockSource: perHolding[i].source,
+      stressedValue: holding.value * (1 + perHolding[i].shock),
+      pnl: holding.value * perHolding[i].shock
+    }));
+    const totalPnL = holdingResults.reduce((total, holding) => total + holding.pnl, 0);
+    
+    results.push({
+      id,
+      name: scenario.name,
+      description: scenario.description,
+      type: scenario.type,
+      ...(window && {
+        replayWindow: { ...window, move: window.move * 100 } // move as percentage
+      }),
+      ...(warning && { warning }),
+      stressedValue: portfolioValue + totalPnL,
+      totalPnL,
+      totalReturn: portfolioValue > 0 ? (totalPnL / portfolioValue) * 100 : 0, // as percentage
+      holdings: holdingResults
+    });
   }
+  
+  const worst = results.reduce((min, result) => (!min || result.totalPnL < min.totalPnL ? result : min), null);
+  
+  return {
+    portfolioValue,
+    statistics,
+    scenarios: results,
+    worstScenario: worst && { id: worst.id, name: worst.name, totalPnL: worst.totalPnL, totalReturn: worst.totalReturn },
+    analysisDate: new Date().toISOString()
+  };
+};
+
+/**
+ * List the built-in stress scenarios
+ * @returns {Array} Scenario ids with their definitions
+ */
+const getStressScenarios = () => Object.entries(STRESS_SCENARIOS).map(([id, scenario]) => ({ id, ...scenario }));
+
+/**
+ * Model the traditional sleeve of a hybrid portfolio from the configured asset class assumptions
+ * @param {Array} traditionalAssets - Assets with type, value and optional expectedReturn/volatility overrides
+ * @returns {Object} Sleeve value, annual expected return and volatility, and per-asset assumptions
+ */
+const modelTraditionalSleeve = (traditionalAssets) => {
+  const value = traditionalAssets.reduce((sum, asset) => sum + asset.value, 0);
+  const assets = traditionalAssets.map(asset => {
+    const assetClass = assetClassService.resolveAssetClass(asset.type);
+    const assumptions = assetClassService.getAssumptions(assetClass);
+    return {
+      ...asset,
+      assetClass,
+      expectedReturn: asset.expectedReturn !== undefined ? asset.expectedReturn : assumptions.expectedReturn,
+      volatility: asset.volatility !== undefined ? asset.volatility : assumptions.volatility,
+      sleeveWeight: asset.value / value
+    };
+  });
+  
+  // Assets of the same class are treated as perfectly correlated
+  const covariance = assets.map(a => assets.map(b =>
+    assetClassService.getCorrelation(a.assetClass, b.assetClass) * a.volatility * b.volatility
+  ));
+  const weights = assets.map(asset => asset.sleeveWeight);
+  const volatility = Math.sqrt(portfolioVariance(weights, covariance));
+  
+  // Correlation of the whole sleeve with crypto implied by the per-class assumptions
+  const impliedCryptoCorrelation = volatility > 0 ?
+    assets.reduce((sum, asset) => {
+      return sum + asset.sleeveWeight * asset.volatility * assetClassService.getCryptoCorrelation(asset.assetClass);
+    }, 0) / volatility :
+    0;
+  
+  return {
+    value,
+    expectedReturn: assets.reduce((sum, asset) => sum + asset.sleeveWeight * asset.expectedReturn, 0),
+    volatility,
+    impliedCryptoCorrelation: Math.max(-1, Math.min(1, impliedCryptoCorrelation)),
+    assets
+  };
+};
+
+/**
+ * Analyze a portfolio mixing crypto holdings with traditional assets
+ * @param {Array} cryptoHoldings - Array of token holdings with amounts
+ * @param {Array} traditionalAssets - Assets with type (equity, bond, cash, real estate) and value
+ * @param {Object} options - Calculation options
+ * @param {number} options.correlation - Crypto/traditional correlation; taken from the configured asset class
+ *   assumptions if omitted (there is no traditional return history to estimate it from)
+ * @param {number} options.riskFreeRate - Annual risk-free rate; defaults to the configured rate
+ * @param {string} options.returnType - 'simple' or 'log' returns
+ * @param {string} options.varianceType - 'population' or 'sample' variance
+ * @param {number} options.tradingDays - Trading days per year shared by both sleeves
+ * @param {number} options.days - Number of most recent daily bars to load per token (all stored bars by default)
+ * @returns {Object} Hybrid portfolio allocation, risk and return metrics
+ */
+const calculateHybridRisk = async (cryptoHoldings, traditionalAssets, options = {}) => {
+  const riskFreeRate = options.riskFreeRate !== undefined ? options.riskFreeRate : assetClassService.getRiskFreeRate();
+  
+  // Both sleeves share one calendar: the traditional assumptions are annual, the crypto
+  // statistics are annualized with it and daily figures are derived from the annual ones
+  const statistics = resolveStatisticsOptions(options);
+  const tradingDays = statistics.tradingDays;
+  const cryptoSharpe = await calculateSharpe(cryptoHoldings, riskFreeRate, { ...statistics, days: options.days });
+
+  const traditional = modelTraditionalSleeve(traditionalAssets);
+  
+  const totalValue = cryptoSharpe.portfolioValue + traditional.value;
+  const cryptoWeight = cryptoSharpe.portfolioValue / totalValue;
+  const traditionalWeight = traditional.value / totalValue;
+  
+  const correlation = options.correlation !== undefined ? options.correlation : traditional.impliedCryptoCorrelation;
+  const combine = (cryptoRisk, traditionalRisk) => Math.sqrt(
+    Math.pow(cryptoWeight * cryptoRisk, 2) +
+    Math.pow(traditionalWeight * traditionalRisk, 2) +
+    2 * cryptoWeight * traditionalWeight * correlation * cryptoRisk * traditionalRisk
+  );
+  
+  const cryptoVolatility = cryptoSharpe.volatilityDaily * Math.sqrt(tradingDays);
+  const annualizedRisk = combine(cryptoVolatility, traditional.volatility);
+  const combinedRisk = annualizedRisk / Math.sqrt(tradingDays);
+  const standaloneRisk = cryptoWeight * cryptoVolatility + traditionalWeight * traditional.volatility;
+  
+  // Share of the standalone (fully correlated) risk removed by combining the sleeves
+  const diversificationBenefit = standaloneRisk > 0 ? 1 - annualizedRisk / standaloneRisk : 0;
+  
+  // A few weeks of observed crypto returns scaled to a year is not an expected return
+  const warnings = [];
+  const cryptoReturn = cryptoSharpe.observations >= MIN_ANNUALIZATION_OBSERVATIONS ?
+    cryptoSharpe.averageDailyReturn * tradingDays :
+    null;
+  if (cryptoReturn === null) {
+    warnings.push(`Crypto expected return and the hybrid Sharpe ratio need at least ${MIN_ANNUALIZATION_OBSERVATIONS} ` +
+      `daily returns; ${cryptoSharpe.observations} available`);
+  }
+  
+  const combinedReturn = cryptoReturn === null ? null :
+    cryptoReturn * cryptoWeight + traditional.expectedReturn * traditionalWeight;
+  const hybridSharpe = combinedReturn !== null && annualizedRisk > 0 ?
+    (combinedReturn - riskFreeRate) / annualizedRisk :
+    null;
+  
+  let riskLevel;
+  if (combinedRisk > 0.03) {
+    riskLevel = 'High';
+  } else if (combinedRisk > 0.015) {
+    riskLevel = 'Medium';
+  } else {
+    riskLevel = 'Low';
+  }
+  
+  // Generate recommendations based on portfolio composition
+  const recommendations = [];
+  
+  if (cryptoWeight > 0.5) {
+    recommendations.push('Consider reducing crypto exposure to decrease overall portfolio volatility');
+  }
+  
+  if (diversificationBenefit < 0.2) {
+    recommendations.push('Increase diversification across asset classes to improve risk-adjusted returns');
+  }
+  
+  if (hybridSharpe !== null && hybridSharpe < 0.5) {
+    recommendations.push('Review asset allocation to improve risk-adjusted performance');
+  }
+  
+  if (combinedRisk > 0.025) {
+    recommendations.push('Consider hedging strategies to reduce downside risk');
+  }
+  
+  return {
+    totalPortfolioValue: totalValue,
+    cryptoAllocation: {
+      value: cryptoSharpe.portfolioValue,
+      percentage: cryptoWeight * 100,
+      expectedAnnualReturn: cryptoReturn === null ? null : cryptoReturn * 100, // as percentage, from observed returns
+      annualizedVolatility: cryptoVolatility * 100 // as percentage
+    },
+    traditionalAllocation: {
+      value: traditional.value,
+      percentage: traditionalWeight * 100,
+      expectedAnnualReturn: traditional.expectedReturn * 100, // as percentage, from asset class assumptions
+      annualizedVolatility: traditional.volatility * 100 // as percentage
+    },
+    riskMetrics: {
+      combinedRisk: combinedRisk * 100, // daily volatility as percentage
+      annualizedRisk: annualizedRisk * 100, // as percentage
+      diversificationBenefit: diversificationBenefit * 100, // as percentage
+      correlation,
+      correlationSource: options.correlation !== undefined ? 'user' : 'assumption',
+      riskLevel
+    },
+    returnMetrics: {
+      expectedAnnualReturn: combinedReturn === null ? null : combinedReturn * 100, // as percentage
+      riskFreeRate,
+      sharpeRatio: hybridSharpe
+    },
+    recommendations,
+    warnings,
+    statistics,
+    analysisDate: new Date().toISOString(),
+    cryptoHoldings: cryptoSharpe.holdings.map(holding => ({
+      token: holding.token,
+      amount: holding.amount,
+      value: holding.value,
+      weight: holding.value / totalValue * 100, // as percentage
+      volatility: holding.volatility * 100 // as percentage
+    })),
+    traditionalAssets: traditional.assets.map(({ sleeveWeight, ...asset }) => ({
+      ...asset,
+      expectedReturn: asset.expectedReturn * 100, // as percentage
+      volatility: asset.volatility * 100, // as percentage
+      weight: asset.value / totalValue * 100 // as percentage
+    }))
+  };
 };
 
 module.exports = {
   analyzeWalletRisk,
+  analyzeWalletBatch,
+  analyzeCounterpartyExposure,
+  scoreWalletTransactions,
+  analyzeWalletBehavior,
+  auditWalletApprovals,
+  getWalletRiskHistory,
   getTokenVolatility,
   calculateVaR,
-  calculateSharpe
+  calculateLiquidityAdjustedVaR,
+  backtestVaR,
+  calculateExpectedShortfall,
+  calculateSharpe,
+  calculatePerformanceMetrics,
+  calculateBenchmarkAnalytics,
+  runStressTest,
+  getStressScenarios,
+  calculateHybridRisk,
+  buildCovarianceMatrix,
+  MIN_ANNUALIZATION_OBSERVATIONS,
+  VAR_METHODS,
+
+  STRESS_SCENARIOS,
+  WALLET_RISK_MODEL,
+  TRADING_CALENDARS,
+  RETURN_TYPES,
+  VARIANCE_TYPES
 };
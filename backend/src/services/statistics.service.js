@@ -0,0 +1,521 @@
+/**
+ * Statistics Service
+ * Shared statistical helpers used by the risk analysis services, including
+ * descriptive statistics, the normal distribution and seeded random numbers.
+ */
+
+/**
+ * Arithmetic mean of a series
+ * @param {Array<number>} values - Series of numbers
+ * @returns {number} Mean (0 for an empty series)
+ */
+const mean = (values) => {
+  if (values.length === 0) return 0;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+/**
+ * Variance of a series
+ * @param {Array<number>} values - Series of numbers
+ * @param {boolean} sample - Use the sample (n - 1) instead of the population (n) divisor
+ * @returns {number} Variance
+ */
+const variance = (values, sample = false) => {
+  const divisor = sample ? values.length - 1 : values.length;
+  if (divisor <= 0) return 0;
+  const avg = mean(values);
+  return values.reduce((sum, value) => sum + Math.pow(value - avg, 2), 0) / divisor;
+};
+
+/**
+ * Standard deviation of a series
+ * @param {Array<number>} values - Series of numbers
+ * @param {boolean} sample - Use the sample (n - 1) instead of the population (n) divisor
+ * @returns {number} Standard deviation
+ */
+const standardDeviation = (values, sample = false) => Math.sqrt(variance(values, sample));
+
+/**
+ * Period-over-period returns of a price series
+ * @param {Array<number>} prices - Prices in chronological order
+ * @param {string} returnType - 'simple' (P1/P0 - 1) or 'log' (ln(P1/P0))
+ * @returns {Array<number>} Returns (one fewer than the number of prices)
+ */
+const calculateReturns = (prices, returnType = 'simple') => {
+  const returns = [];
+  for (let i = 1; i < prices.length; i++) {
+    returns.push(returnType === 'log' ?
+      Math.log(prices[i] / prices[i-1]) :
+      (prices[i] - prices[i-1]) / prices[i-1]);
+  }
+  return returns;
+};
+
+/**
+ * Covariance of two aligned series
+ * @param {Array<number>} a - First series
+ * @param {Array<number>} b - Second series (same length)
+ * @param {boolean} sample - Use the sample (n - 1) instead of the population (n) divisor
+ * @returns {number} Covariance
+ */
+const covariance = (a, b, sample = false) => {
+  const divisor = sample ? a.length - 1 : a.length;
+  if (divisor <= 0) return 0;
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, value, i) => sum + (value - meanA) * (b[i] - meanB), 0) / divisor;
+};
+
+/**
+ * Downside deviation below a target return (lower partial moment of order 2)
+ * @param {Array<number>} returns - Return series
+ * @param {number} target - Minimum acceptable return per period
+ * @returns {number} Downside deviation
+ */
+const downsideDeviation = (returns, target = 0) => {
+  if (returns.length === 0) return 0;
+  return Math.sqrt(mean(returns.map(r => Math.pow(Math.min(0, r - target), 2))));
+};
+
+/**
+ * Omega ratio: probability-weighted gains over losses relative to a target return
+ * @param {Array<number>} returns - Return series
+ * @param {number} target - Threshold return per period
+ * @returns {number|null} Omega ratio (null when there are no returns below the target)
+ */
+const omegaRatio = (returns, target = 0) => {
+  const gains = returns.reduce((sum, r) => sum + Math.max(0, r - target), 0);
+  const losses = returns.reduce((sum, r) => sum + Math.max(0, target - r), 0);
+  return losses > 0 ? gains / losses : null;
+};
+
+/**
+ * Maximum peak-to-trough decline of the value index implied by a return series
+ * @param {Array<number>} returns - Return series
+ * @param {string} returnType - 'simple' or 'log' returns
+ * @returns {number} Maximum drawdown as a fraction of the peak
+ */
+const maxDrawdownFromReturns = (returns, returnType = 'simple') => {
+  let value = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  
+  for (const r of returns) {
+    value *= returnType === 'log' ? Math.exp(r) : 1 + r;
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+  }
+  return maxDrawdown;
+};
+
+/**
+ * Skewness of a series (population moment estimator)
+ * Negative values indicate a longer left tail, i.e. more extreme losses.
+ * @param {Array<number>} values - Series of numbers
+ * @returns {number} Skewness (0 when the series has no dispersion)
+ */
+const skewness = (values) => {
+  const stdDev = standardDeviation(values);
+  if (stdDev === 0) return 0;
+  const avg = mean(values);
+  return mean(values.map(value => Math.pow((value - avg) / stdDev, 3)));
+};
+
+/**
+ * Excess kurtosis of a series (population moment estimator)
+ * The normal distribution has an excess kurtosis of 0; fat tails are positive.
+ * @param {Array<number>} values - Series of numbers
+ * @returns {number} Excess kurtosis (0 when the series has no dispersion)
+ */
+const excessKurtosis = (values) => {
+  const stdDev = standardDeviation(values);
+  if (stdDev === 0) return 0;
+  const avg = mean(values);
+  return mean(values.map(value => Math.pow((value - avg) / stdDev, 4))) - 3;
+};
+
+/**
+ * Empirical quantile using linear interpolation between order statistics
+ * (the same definition as Excel's PERCENTILE.INC and NumPy's default)
+ * @param {Array<number>} values - Series of numbers (need not be sorted)
+ * @param {number} p - Probability between 0 and 1
+ * @returns {number} Quantile value
+ */
+const quantile = (values, p) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Locate the observations behind an empirical quantile (same definition as quantile)
+ * @param {Array<number>} values - Series of numbers (need not be sorted)
+ * @param {number} p - Probability between 0 and 1
+ * @returns {Array<Object>} Indices into values with interpolation weights summing to 1
+ */
+const quantileObservations = (values, p) => {
+  if (values.length === 0) return [];
+  const order = values.map((value, index) => index).sort((a, b) => values[a] - values[b]);
+  const position = (order.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  if (lower === upper) {
+    return [{ index: order[lower], weight: 1 }];
+  }
+  return [
+    { index: order[lower], weight: upper - position },
+    { index: order[upper], weight: position - lower }
+  ];
+};
+
+/**
+ * Covariance matrix of several aligned return series
+ * @param {Array<Array<number>>} rows - One row per observation, one column per series
+ * @param {boolean} sample - Use the sample (n - 1) instead of the population (n) divisor
+ * @returns {Array<Array<number>>} Covariance matrix
+ */
+const covarianceMatrix = (rows, sample = false) => {
+  const divisor = sample ? rows.length - 1 : rows.length;
+  const columns = rows.length > 0 ? rows[0].length : 0;
+  const means = [];
+  for (let j = 0; j < columns; j++) {
+    means.push(mean(rows.map(row => row[j])));
+  }
+
+  const matrix = [];
+  for (let i = 0; i < columns; i++) {
+    matrix.push([]);
+    for (let j = 0; j < columns; j++) {
+      const sum = rows.reduce((total, row) => total + (row[i] - means[i]) * (row[j] - means[j]), 0);
+      matrix[i].push(divisor > 0 ? sum / divisor : 0);
+    }
+  }
+  return matrix;
+};
+
+/**
+ * Convert a covariance matrix into a correlation matrix
+ * Series with zero variance are reported as uncorrelated with everything else.
+ * @param {Array<Array<number>>} covariance - Covariance matrix
+ * @returns {Array<Array<number>>} Correlation matrix
+ */
+const correlationMatrix = (covariance) => {
+  const stdDevs = covariance.map((row, i) => Math.sqrt(row[i]));
+  return covariance.map((row, i) => row.map((value, j) => {
+    if (i === j) return 1;
+    if (stdDevs[i] === 0 || stdDevs[j] === 0) return 0;
+    return value / (stdDevs[i] * stdDevs[j]);
+  }));
+};
+
+/**
+ * Portfolio variance w'Σw
+ * @param {Array<number>} weights - Portfolio weights
+ * @param {Array<Array<number>>} covariance - Covariance matrix of asset returns
+ * @returns {number} Portfolio variance
+ */
+const portfolioVariance = (weights, covariance) => {
+  let total = 0;
+  for (let i = 0; i < weights.length; i++) {
+    for (let j = 0; j < weights.length; j++) {
+      total += weights[i] * weights[j] * covariance[i][j];
+    }
+  }
+  return total;
+};
+
+/**
+ * Cholesky decomposition of a positive semi-definite matrix (Σ = LL')
+ * Columns with no remaining variance (e.g. duplicated assets) are set to zero
+ * rather than failing, so the result can always be used to correlate draws.
+ * @param {Array<Array<number>>} matrix - Symmetric positive semi-definite matrix
+ * @returns {Array<Array<number>>} Lower-triangular matrix L
+ */
+const choleskyDecomposition = (matrix) => {
+  const n = matrix.length;
+  const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) {
+        sum -= lower[i][k] * lower[j][k];
+      }
+
+      if (i === j) {
+        lower[i][j] = sum > 1e-18 ? Math.sqrt(sum) : 0;
+      } else {
+        lower[i][j] = lower[j][j] > 0 ? sum / lower[j][j] : 0;
+      }
+    }
+  }
+  return lower;
+};
+
+/**
+ * Rolling-window standard deviation
+ * @param {Array<number>} values - Series of numbers
+ * @param {number} window - Number of observations per window
+ * @param {boolean} sample - Use the sample (n - 1) instead of the population (n) divisor
+ * @returns {Array<number|null>} Standard deviation ending at each observation (null until the window is full)
+ */
+const rollingStandardDeviation = (values, window, sample = false) => {
+  return values.map((value, i) => {
+    if (i < window - 1) return null;
+    return standardDeviation(values.slice(i - window + 1, i + 1), sample);
+  });
+};
+
+/**
+ * Exponentially weighted moving average variance (RiskMetrics)
+ * σ²(t+1) = λ·σ²(t) + (1 - λ)·r²(t), seeded with the variance of the series: entry t
+ * of the series includes return t and is the variance forecast for period t + 1.
+ * @param {Array<number>} returns - Return series
+ * @param {number} lambda - Decay factor between 0 and 1 (RiskMetrics uses 0.94 for daily data)
+ * @param {boolean} sample - Seed with the sample (n - 1) instead of the population variance
+ * @returns {Object} Variance after each observation and the one-step-ahead forecast
+ */
+const ewmaVariance = (returns, lambda = 0.94, sample = false) => {
+  let current = variance(returns, sample);
+  const series = returns.map(r => {
+    current = lambda * current + (1 - lambda) * r * r;
+    return current;
+  });
+  
+  return { series, forecast: current };
+};
+
+/**
+ * Run the GARCH(1,1) variance recursion σ²(t) = ω + α·r²(t-1) + β·σ²(t-1)
+ * @param {Array<number>} returns - Return series
+ * @param {number} omega - Constant term
+ * @param {number} alpha - Weight of the latest squared return
+ * @param {number} beta - Weight of the previous variance
+ * @param {number} initialVariance - Variance before the first observation
+ * @returns {Object} Conditional variances, one-step forecast and Gaussian log-likelihood
+ */
+const garchVariance = (returns, omega, alpha, beta, initialVariance) => {
+  let previous = initialVariance;
+  let logLikelihood = 0;
+  const series = [];
+  
+  for (const r of returns) {
+    // Likelihood of r given the variance forecast made before observing it
+    logLikelihood += -0.5 * (Math.log(2 * Math.PI) + Math.log(previous) + r * r / previous);
+    previous = omega + alpha * r * r + beta * previous;
+    series.push(previous);
+  }
+  
+  return { series, forecast: previous, logLikelihood };
+};
+
+/**
+ * Fit a GARCH(1,1) model by maximum likelihood
+ * Uses variance targeting (ω = V·(1 - α - β) with V the variance of the series) and a
+ * deterministic grid search over α and β, so the same data always gives the same fit.
+ * @param {Array<number>} returns - Return series
+ * @param {boolean} sample - Target the sample (n - 1) instead of the population variance
+ * @returns {Object} Fitted parameters, conditional variances and forecast
+ */
+const fitGarch11 = (returns, sample = false) => {
+  const longRunVariance = variance(returns, sample);
+  let best = null;
+  
+  if (longRunVariance > 0) {
+    for (let a = 1; a <= 30; a++) {
+      for (let b = 50; b <= 98 && a + b < 100; b++) {
+        const alpha = a / 100;
+        const beta = b / 100;
+        const omega = longRunVariance * (1 - alpha - beta);
+        const fit = garchVariance(returns, omega, alpha, beta, longRunVariance);
+        if (!best || fit.logLikelihood > best.logLikelihood) {
+          best = { omega, alpha, beta, ...fit };
+        }
+      }
+    }
+  }
+  
+  if (!best) {
+    // No dispersion to model
+    return { omega: 0, alpha: 0, beta: 0, longRunVariance, series: returns.map(() => 0), forecast: 0, logLikelihood: null };
+  }
+  
+  return { ...best, longRunVariance };
+};
+
+/**
+ * Standard normal probability density function
+ * @param {number} x - Point at which to evaluate the density
+ * @returns {number} Density
+ */
+const normalPdf = (x) => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+
+/**
+ * Standard normal cumulative distribution function
+ * Uses the Abramowitz and Stegun 7.1.26 approximation of erf (absolute error below 1.5e-7)
+ * @param {number} x - Point at which to evaluate the distribution
+ * @returns {number} Probability of a standard normal value at or below x
+ */
+const normalCdf = (x) => {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const polynomial = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - polynomial * Math.exp(-z * z);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+};
+
+/**
+ * Upper tail probability of the chi-square distribution with 1 or 2 degrees of freedom
+ * @param {number} x - Test statistic
+ * @param {number} degreesOfFreedom - 1 or 2
+ * @returns {number} P-value
+ */
+const chiSquareSurvival = (x, degreesOfFreedom) => {
+  if (x <= 0) return 1;
+  if (degreesOfFreedom === 1) return 2 * (1 - normalCdf(Math.sqrt(x)));
+  if (degreesOfFreedom === 2) return Math.exp(-x / 2);
+  throw new Error('Only 1 or 2 degrees of freedom are supported');
+};
+
+/**
+ * Binomial cumulative distribution function
+ * @param {number} k - Number of successes
+ * @param {number} n - Number of trials
+ * @param {number} p - Success probability per trial
+ * @returns {number} Probability of at most k successes
+ */
+const binomialCdf = (k, n, p) => {
+  if (k < 0) return 0;
+  if (k >= n) return 1;
+  
+  // Accumulate the probability mass in log space to avoid underflow for long samples
+  let logMass = n * Math.log(1 - p);
+  let total = Math.exp(logMass);
+  for (let i = 0; i < k; i++) {
+    logMass += Math.log((n - i) / (i + 1)) + Math.log(p / (1 - p));
+    total += Math.exp(logMass);
+  }
+  return Math.min(1, total);
+};
+
+/**
+ * Poisson cumulative distribution function
+ * @param {number} k - Number of events
+ * @param {number} lambda - Expected number of events
+ * @returns {number} Probability of at most k events
+ */
+const poissonCdf = (k, lambda) => {
+  if (k < 0) return 0;
+  if (lambda <= 0) return 1;
+  
+  let logMass = -lambda;
+  let total = Math.exp(logMass);
+  for (let i = 1; i <= k; i++) {
+    logMass += Math.log(lambda / i);
+    total += Math.exp(logMass);
+  }
+  return Math.min(1, total);
+};
+
+/**
+ * Inverse of the standard normal cumulative distribution function
+ * Uses Acklam's rational approximation (relative error below 1.15e-9)
+ * @param {number} p - Probability strictly between 0 and 1
+ * @returns {number} z such that P(Z <= z) = p
+ */
+const normalInverseCdf = (p) => {
+  if (p <= 0 || p >= 1) {
+    throw new Error('Probability must be strictly between 0 and 1');
+  }
+
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+    1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+    6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+    -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+    3.754408661907416e+00];
+
+  const pLow = 0.02425;
+  const pHigh = 1 - pLow;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+           ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > pHigh) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+         (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, so simulations are reproducible.
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draw a standard normal variate using the Box-Muller transform
+ * @param {Function} random - Uniform generator returning floats in [0, 1)
+ * @returns {number} Standard normal sample
+ */
+const randomNormal = (random) => {
+  let u = 0;
+  while (u === 0) u = random(); // Avoid log(0)
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+module.exports = {
+  mean,
+  variance,
+  standardDeviation,
+  calculateReturns,
+  covariance,
+  downsideDeviation,
+  omegaRatio,
+  maxDrawdownFromReturns,
+  skewness,
+  excessKurtosis,
+  quantile,
+  quantileObservations,
+  rollingStandardDeviation,
+  ewmaVariance,
+  fitGarch11,
+  covarianceMatrix,
+  correlationMatrix,
+  portfolioVariance,
+  choleskyDecomposition,
+  normalPdf,
+  normalCdf,
+  normalInverseCdf,
+  chiSquareSurvival,
+  binomialCdf,
+  poissonCdf,
+  createSeededRandom,
+  randomNormal
+};
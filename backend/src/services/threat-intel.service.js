@@ -0,0 +1,395 @@
+/**
+ * Threat Intelligence Service
+ * Maintains sanctions and threat lists of flagged addresses (mixers, exploits,
+ * phishing and sanctioned entities) used by the wallet risk analysis.
+ *
+ * Lists are imported from local JSON or CSV files. JSON files contain either an
+ * array of entries or an object with default `source`/`category` values and an
+ * `entries` array. CSV files need a header row with an `address` column and may
+ * include `category`, `source`, `dateAdded` and `notes` columns.
+ *
+ * Entries added, removed or imported through the API are stored as changes on
+ * top of the list files, in MongoDB when connected and in a local JSON file
+ * otherwise, and are applied again after a restart.
+ */
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const ThreatListChange = require('../models/threat-list-change.model');
+
+// Supported threat categories
+const THREAT_CATEGORIES = ['mixer', 'exploit', 'phishing', 'sanctioned'];
+
+// Directory scanned for lists at startup and used for runtime imports
+const THREAT_LIST_DIR = process.env.THREAT_LIST_DIR || path.join(__dirname, '..', 'data', 'threat-lists');
+
+// JSON file storing API changes when MongoDB is not connected
+const THREAT_LIST_CHANGES_FILE = process.env.THREAT_LIST_CHANGES_FILE ||
+  path.join(__dirname, '..', '..', 'data', 'threat-list-changes.json');
+
+// In-memory store: lowercase address -> entries (one per source)
+const threatEntries = new Map();
+
+// File-backed changes: "address|source" -> latest change
+const fileChanges = new Map();
+
+/**
+ * Check whether MongoDB is available for persistent storage
+ * @returns {boolean} True when the mongoose connection is open
+ */
+const isDatabaseConnected = () => mongoose.connection.readyState === 1;
+
+/**
+ * Validate and normalize a threat list entry
+ * @param {Object} entry - Raw entry
+ * @param {Object} defaults - Default source and category
+ * @returns {Object} Normalized entry
+ */
+const normalizeEntry = (entry, defaults = {}) => {
+  const address = (entry.address || '').trim();
+  const category = (entry.category || defaults.category || '').trim().toLowerCase();
+  const source = (entry.source || defaults.source || '').trim();
+  
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    throw new Error(`Invalid address: ${address || '(empty)'}`);
+  }
+  
+  if (!THREAT_CATEGORIES.includes(category)) {
+    throw new Error(`Invalid category for ${address}: ${category || '(empty)'}`);
+  }
+  
+  if (!source) {
+    throw new Error(`Missing source for ${address}`);
+  }
+  
+  const dateAdded = entry.dateAdded ? new Date(entry.dateAdded) : new Date();
+  if (isNaN(dateAdded.getTime())) {
+    throw new Error(`Invalid dateAdded for ${address}: ${entry.dateAdded}`);
+  }
+  
+  return {
+    address: address.toLowerCase(),
+    source,
+    category,
+    dateAdded: dateAdded.toISOString(),
+    notes: entry.notes || null
+  };
+};
+
+/**
+ * Store a normalized entry, replacing any entry for the same address and source
+ * @param {Object} entry - Normalized entry
+ * @returns {Object} Stored entry
+ */
+const storeEntry = (entry) => {
+  const existing = (threatEntries.get(entry.address) || []).filter(e => e.source !== entry.source);
+  threatEntries.set(entry.address, [...existing, entry]);
+  return entry;
+};
+
+/**
+ * Remove the entries for an address, optionally only the one from a source
+ * @param {string} address - Lowercase address
+ * @param {string} source - Only remove the entry from this source (optional)
+ * @returns {Array} Removed entries
+ */
+const deleteEntries = (address, source) => {
+  const entries = threatEntries.get(address) || [];
+  const remaining = source ? entries.filter(e => e.source !== source) : [];
+  
+  if (remaining.length > 0) {
+    threatEntries.set(address, remaining);
+  } else {
+    threatEntries.delete(address);
+  }
+  
+  return entries.filter(e => !remaining.includes(e));
+};
+
+/**
+ * Apply a stored change to the in-memory lists
+ * @param {Object} change - Change with action, address, source and entry fields
+ */
+const applyChange = (change) => {
+  if (change.action === 'remove') {
+    deleteEntries(change.address, change.source);
+    return;
+  }
+  storeEntry({
+    address: change.address,
+    source: change.source,
+    category: change.category,
+    dateAdded: new Date(change.dateAdded).toISOString(),
+    notes: change.notes || null
+  });
+};
+
+/**
+ * Write the file-backed changes
+ */
+const persistChangesFile = () => {
+  fs.mkdirSync(path.dirname(THREAT_LIST_CHANGES_FILE), { recursive: true });
+  fs.writeFileSync(THREAT_LIST_CHANGES_FILE, JSON.stringify([...fileChanges.values()], null, 2));
+};
+
+/**
+ * Persist changes made through the API so they survive a restart
+ * @param {Array} changes - Changes with action, address, source and entry fields
+ * @returns {Promise<string>} Where the changes were stored
+ */
+const recordChanges = async (changes) => {
+  if (changes.length === 0) return null;
+  
+  if (isDatabaseConnected()) {
+    try {
+      await ThreatListChange.bulkWrite(changes.map(change => ({
+        updateOne: {
+          filter: { address: change.address, source: change.source },
+          update: { $set: { ...change, updatedAt: new Date() } },
+          upsert: true
+        }
+      })));
+      return 'mongodb';
+    } catch (error) {
+      console.error('Error saving threat list changes to MongoDB:', error.message);
+    }
+  }
+  
+  changes.forEach(change => fileChanges.set(`${change.address}|${change.source}`, change));
+  try {
+    persistChangesFile();
+  } catch (error) {
+    console.error('Error saving threat list changes file:', error.message);
+  }
+  return 'file';
+};
+
+/**
+ * Build the change that adds an entry
+ * @param {Object} entry - Normalized entry
+ * @returns {Object} Change
+ */
+const addChange = (entry) => ({
+  action: 'add',
+  address: entry.address,
+  source: entry.source,
+  category: entry.category,
+  dateAdded: entry.dateAdded,
+  notes: entry.notes
+});
+
+/**
+ * Parse a CSV threat list into raw entries
+ * @param {string} content - CSV file content
+ * @returns {Array} Raw entries keyed by header name
+ */
+const parseCsv = (content) => {
+  const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+  if (lines.length === 0) return [];
+  
+  const headers = lines[0].split(',').map(header => header.trim());
+  if (!headers.includes('address')) {
+    throw new Error('CSV threat list must have an address column');
+  }
+  
+  return lines.slice(1).map(line => {
+    const values = line.split(',');
+    return headers.reduce((entry, header, i) => {
+      entry[header] = values[i] !== undefined ? values[i].trim() : undefined;
+      return entry;
+    }, {});
+  });
+};
+
+/**
+ * Read a threat list file and store its entries
+ * @param {string} filePath - Absolute path to a .json or .csv file
+ * @param {Object} defaults - Default source and category for entries
+ * @returns {Object} Import summary and the stored entries
+ */
+const loadListFile = (filePath, defaults = {}) => {
+  const extension = path.extname(filePath).toLowerCase();
+  const content = fs.readFileSync(filePath, 'utf8');
+  
+  let rawEntries;
+  let fileDefaults = {};
+  if (extension === '.json') {
+    const parsed = JSON.parse(content);
+    if (Array.isArray(parsed)) {
+      rawEntries = parsed;
+    } else {
+      rawEntries = parsed.entries || [];
+      fileDefaults = { source: parsed.source, category: parsed.category };
+    }
+  } else if (extension === '.csv') {
+    rawEntries = parseCsv(content);
+  } else {
+    throw new Error('Threat lists must be .json or .csv files');
+  }
+  
+  const listDefaults = {
+    source: defaults.source || fileDefaults.source || path.basename(filePath, extension),
+    category: defaults.category || fileDefaults.category
+  };
+  
+  const errors = [];
+  const entries = [];
+  for (const rawEntry of rawEntries) {
+    try {
+      entries.push(storeEntry(normalizeEntry(rawEntry, listDefaults)));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  
+  return {
+    summary: {
+      file: path.basename(filePath),
+      source: listDefaults.source,
+      imported: entries.length,
+      skipped: errors.length,
+      errors
+    },
+    entries
+  };
+};
+
+/**
+ * Import a threat list file from the threat list directory
+ * @param {string} fileName - Name of a .json or .csv file in the threat list directory
+ * @param {Object} defaults - Default source and category for entries
+ * @returns {Promise<Object>} Import summary
+ */
+const importList = async (fileName, defaults = {}) => {
+  // Only allow files inside the threat list directory
+  const filePath = path.resolve(THREAT_LIST_DIR, fileName);
+  if (path.dirname(filePath) !== path.resolve(THREAT_LIST_DIR)) {
+    throw new Error('Threat list file must be inside the threat list directory');
+  }
+  
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Threat list file not found: ${fileName}`);
+  }
+  
+  // Record the entries so import defaults and later removals survive a restart
+  const { summary, entries } = loadListFile(filePath, defaults);
+  summary.storage = await recordChanges(entries.map(addChange));
+  return summary;
+};
+
+/**
+ * Add or update a single threat list entry
+ * @param {Object} entry - Entry with address, category, source and optional notes
+ * @returns {Promise<Object>} Stored entry
+ */
+const addEntry = async (entry) => {
+  const stored = storeEntry(normalizeEntry(entry));
+  await recordChanges([addChange(stored)]);
+  return stored;
+};
+
+/**
+ * Remove an address from the threat lists
+ * @param {string} address - Address to remove
+ * @param {string} source - Only remove the entry from this source (optional)
+ * @returns {Promise<number>} Number of entries removed
+ */
+const removeEntry = async (address, source) => {
+  const removed = deleteEntries(address.toLowerCase(), source);
+  
+  // Removals are stored too, otherwise entries from list files return on restart
+  await recordChanges(removed.map(entry => ({ action: 'remove', address: entry.address, source: entry.source })));
+  
+  return removed.length;
+};
+
+/**
+ * Look an address up in the threat lists
+ * @param {string} address - Address to look up
+ * @returns {Array} Matching entries (empty if the address is not listed)
+ */
+const lookupAddress = (address) => {
+  if (!address) return [];
+  return threatEntries.get(address.toLowerCase()) || [];
+};
+
+/**
+ * Summarize the loaded threat lists
+ * @returns {Promise<Object>} Entry counts by source and category
+ */
+const getListSummary = async () => {
+  const sources = {};
+  const categories = {};
+  let totalEntries = 0;
+  
+  for (const entries of threatEntries.values()) {
+    for (const entry of entries) {
+      sources[entry.source] = (sources[entry.source] || 0) + 1;
+      categories[entry.category] = (categories[entry.category] || 0) + 1;
+      totalEntries++;
+    }
+  }
+  
+  return {
+    totalAddresses: threatEntries.size,
+    totalEntries,
+    sources,
+    categories
+  };
+};
+
+// Load every list in the threat list directory at startup
+try {
+  if (fs.existsSync(THREAT_LIST_DIR)) {
+    for (const fileName of fs.readdirSync(THREAT_LIST_DIR)) {
+      if (['.json', '.csv'].includes(path.extname(fileName).toLowerCase())) {
+        const { summary } = loadListFile(path.join(THREAT_LIST_DIR, fileName));
+        if (summary.skipped > 0) {
+          console.warn(`Threat list ${fileName}: skipped ${summary.skipped} invalid entries`);
+        }
+      }
+    }
+  }
+} catch (error) {
+  console.error('Failed to load threat lists:', error.message);
+}
+
+// Apply the changes stored in the changes file
+try {
+  if (fs.existsSync(THREAT_LIST_CHANGES_FILE)) {
+    JSON.parse(fs.readFileSync(THREAT_LIST_CHANGES_FILE, 'utf8')).forEach(change => {
+      fileChanges.set(`${change.address}|${change.source}`, change);
+      applyChange(change);
+    });
+  }
+} catch (error) {
+  console.error('Failed to load threat list changes:', error.message);
+}
+
+/**
+ * Apply the changes stored in MongoDB
+ */
+const loadDatabaseChanges = async () => {
+  try {
+    const changes = await ThreatListChange.find().sort({ updatedAt: 1 });
+    changes.forEach(applyChange);
+  } catch (error) {
+    console.error('Error loading threat list changes from MongoDB:', error.message);
+  }
+};
+
+// The database connects after the services are loaded
+if (isDatabaseConnected()) {
+  loadDatabaseChanges();
+} else {
+  mongoose.connection.once('connected', loadDatabaseChanges);
+}
+
+module.exports = {
+  THREAT_CATEGORIES,
+  importList,
+  addEntry,
+  removeEntry,
+  lookupAddress,
+  getListSummary
+};
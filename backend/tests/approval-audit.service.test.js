@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { UNLIMITED_ALLOWANCE, getApprovalHistory, auditApprovals } = require('../src/services/approval-audit.service');
+
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const UNISWAP_V2_ROUTER = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D';
+const UNKNOWN_SPENDER = '0x3456789012345678901234567890123456789012';
+const at = block => ({ blockNumber: block, timestamp: new Date(Date.UTC(2025, 3, 1, block)).toISOString() });
+
+describe('auditApprovals', () => {
+  it('values the demo wallet at its USDC balance plus one BAYC floor', async () => {
+    const address = '0x8915beab6ccaa2f486d8b1c36c7ec151f9c72f5e';
+    const result = await auditApprovals(address, getApprovalHistory(address));
+    
+    assert.equal(result.outstanding, 3);
+    // 5200 USDC at $1 + 12 ETH floor at $6500
+    assert.equal(result.totalValueAtRisk, 5200 + 12 * 6500);
+    
+    const blacklisted = result.approvals.find(approval => approval.flags.includes('blacklisted'));
+    assert.deepEqual(blacklisted.flags, ['unlimited', 'unverified', 'blacklisted']);
+    assert.equal(blacklisted.riskLevel, 'High');
+    assert.equal(blacklisted.exposedAmount, 5200);
+    
+    const router = result.approvals.find(approval => approval.spender === UNISWAP_V2_ROUTER);
+    assert.equal(router.allowance, 500);
+    assert.equal(router.riskLevel, 'Low');
+    assert.equal(result.recommendations.length, 2);
+  });
+  
+  it('counts revoked and fully used allowances', async () => {
+    const address = '0x6735beab6ccaa2f486d8b1c36c7ec151f9c72f5e';
+    const result = await auditApprovals(address, getApprovalHistory(address));
+    
+    assert.equal(result.revoked, 1);
+    assert.equal(result.consumed, 1);
+    assert.equal(result.outstanding, 1);
+    assert.equal(result.totalValueAtRisk, 1);
+  });
+  
+  it('treats allowances from uint96 max as unlimited and never decreases them', async () => {
+    const result = await auditApprovals('0x1', {
+      events: [
+        { event: 'Approval', token: USDC, spender: UNISWAP_V2_ROUTER, amount: (UNLIMITED_ALLOWANCE - 1n).toString(), ...at(1) },
+        { event: 'Approval', token: USDC, spender: UNKNOWN_SPENDER, amount: UNLIMITED_ALLOWANCE.toString(), ...at(2) },
+        { event: 'Transfer', token: USDC, spender: UNKNOWN_SPENDER, amount: '400000000', ...at(3) }
+      ],
+      balances: { tokens: { [USDC]: 300 } }
+    });
+    
+    const router = result.approvals.find(approval => approval.spender === UNISWAP_V2_ROUTER);
+    const unknown = result.approvals.find(approval => approval.spender === UNKNOWN_SPENDER);
+    assert.equal(router.unlimited, false);
+    assert.equal(unknown.unlimited, true);
+    assert.equal(unknown.allowanceRaw, UNLIMITED_ALLOWANCE.toString());
+    assert.equal(unknown.riskLevel, 'Medium');
+    assert.equal(result.consumed, 0);
+    // Each spender alone could take the whole balance, but both together still only 300
+    assert.equal(router.valueAtRisk, 300);
+    assert.equal(unknown.valueAtRisk, 300);
+    assert.equal(result.totalValueAtRisk, 300);
+  });
+  
+  it('warns about tokens it cannot value', async () => {
+    const token = '0x0000000000000000000000000000000000000abc';
+    const result = await auditApprovals('0x1', {
+      events: [{ event: 'Approval', token, spender: UNISWAP_V2_ROUTER, amount: '1000', ...at(1) }]
+    });
+    
+    assert.equal(result.approvals[0].valueAtRisk, null);
+    assert.equal(result.totalValueAtRisk, 0);
+    assert.deepEqual(result.warnings, [`Unknown token ${token}; its approval is not valued`]);
+  });
+});
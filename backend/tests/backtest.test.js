@@ -0,0 +1,69 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { assertClose } = require('./helpers');
+const { importCsv } = require('../src/services/price-history.service');
+const { createSeededRandom, randomNormal } = require('../src/services/statistics.service');
+const { backtestVaR } = require('../src/services/risk.service');
+
+// 300 days of normally distributed 2% daily returns
+const buildRandomWalkCsv = () => {
+  const random = createSeededRandom(2024);
+  const rows = ['date,close'];
+  let close = 100;
+  for (let day = 0; day < 300; day++) {
+    if (day > 0) close *= 1 + 0.02 * randomNormal(random);
+    rows.push(`${new Date(Date.UTC(2024, 0, 1 + day)).toISOString().slice(0, 10)},${close}`);
+  }
+  return rows.join('\n');
+};
+
+describe('backtestVaR', () => {
+  before(async () => {
+    await importCsv(buildRandomWalkCsv(), { symbol: 'WALK' });
+  });
+  
+  it('runs the coverage tests and Basel zones on 250 observations by default', async () => {
+    const result = await backtestVaR([{ token: 'WALK', amount: 1 }]);
+    const p = 0.01;
+    const n = result.observations;
+    const x = result.exceptions;
+    const xlogy = (a, b) => (a === 0 ? 0 : a * Math.log(b));
+    const kupiec = -2 * (xlogy(n - x, 1 - p) + xlogy(x, p)) + 2 * (xlogy(n - x, 1 - x / n) + xlogy(x, x / n));
+    
+    assert.equal(n, 250);
+    assert.equal(result.series.filter(day => day.exception).length, x);
+    assertClose(result.kupiec.statistic, Math.max(0, kupiec), 1e-9);
+    // Basel: green up to 4 exceptions, yellow up to 9 for 250 days at 99%
+    assert.equal(result.trafficLight.greenMaxExceptions, 4);
+    assert.equal(result.trafficLight.yellowMaxExceptions, 9);
+    assert.deepEqual(result.warnings, []);
+  });
+  
+  it('withholds the tests and zone on small samples', async () => {
+    const result = await backtestVaR([{ token: 'BTC', amount: 1 }], { days: 14, window: 5 });
+    
+    assert.equal(result.observations, 8);
+    assert.equal(result.kupiec, null);
+    assert.equal(result.christoffersen, null);
+    assert.equal(result.trafficLight, null);
+    assert.equal(result.warnings.length, 2);
+  });
+  
+  it('sizes the default window from the stored history', async () => {
+    const result = await backtestVaR([{ token: 'BTC', amount: 1 }]);
+    
+    // 13 seeded returns: 6 estimate each day's VaR, leaving 7 to test
+    assert.equal(result.window, 6);
+    assert.equal(result.observations, 7);
+    assert.equal(result.trafficLight, null);
+    assert.equal(result.warnings.length, 2);
+  });
+  
+  it('rejects histories no longer than the estimation window', async () => {
+    await assert.rejects(
+      backtestVaR([{ token: 'BTC', amount: 1 }], { window: 30 }),
+      error => error.code === 'INSUFFICIENT_HISTORY'
+    );
+  });
+
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectAnomalies } = require('../src/services/behavior-anomaly.service');
+
+const address = n => `0x${n.toString(16).padStart(40, '0')}`;
+const at = hours => new Date(Date.UTC(2025, 4, 1) + hours * 3600000).toISOString();
+const types = result => result.anomalies.map(anomaly => anomaly.type);
+
+describe('detectAnomalies', () => {
+  it('finds nothing in a short, ordinary history', () => {
+    const result = detectAnomalies([
+      { type: 'swap', contract: address(1), value: 0.4, timestamp: at(0) },
+      { type: 'swap', contract: address(1), value: 0.6, timestamp: at(30) }
+    ]);
+    
+    assert.deepEqual(result.anomalies, []);
+  });
+  
+  it('flags dust deposits from several senders', () => {
+    const result = detectAnomalies([1, 2, 3].map(n => ({
+      type: 'transfer', contract: address(n), value: 0.0005, timestamp: at(n * 5), direction: 'in'
+    })));
+    
+    assert.deepEqual(types(result), ['dusting']);
+    assert.deepEqual(result.anomalies[0].metrics, { deposits: 3, senders: 3 });
+    assert.equal(result.anomalies[0].points, 4);
+  });
+  
+  it('follows a peel chain of shrinking transfers to fresh addresses', () => {
+    const result = detectAnomalies([8.7, 7.3, 5.9, 4.1].map((value, i) => ({
+      type: 'transfer', contract: address(10 + i), value, timestamp: at(i * 3)
+    })));
+    
+    assert.deepEqual(types(result), ['peel-chain']);
+    assert.deepEqual(result.anomalies[0].metrics, { hops: 4, startValue: 8.7, endValue: 4.1 });
+  });
+  
+  it('flags round transfers that add up past the threshold within the window', () => {
+    const transfers = [4, 4, 3].map((value, i) => ({
+      type: 'transfer', contract: address(20 + i), value, timestamp: at(i * 10)
+    }));
+    
+    assert.deepEqual(types(detectAnomalies(transfers)), ['structuring']);
+    assert.equal(detectAnomalies(transfers).anomalies[0].metrics.total, 11);
+    // The same transfers spread over more than 72 hours are not grouped
+    assert.deepEqual(types(detectAnomalies(transfers.map((tx, i) => ({ ...tx, timestamp: at(i * 40) })))), []);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { assertClose } = require('./helpers');
+const { analyzeLendingPosition, analyzeLiquidityPosition } = require('../src/services/defi-risk.service');
+
+describe('analyzeLendingPosition', () => {
+  // 10 ETH at $6,500 against a 50,000 USDC loan
+  const position = {
+    collateral: [{ token: 'eth', amount: 10, ltv: 0.8, liquidationThreshold: 0.825 }],
+    debt: [{ token: 'USDC', amount: 50000 }]
+  };
+  
+  it('computes the health factor and the collateral liquidation price', async () => {
+    const result = await analyzeLendingPosition(position, { simulations: 500 });
+    const eth = result.liquidationPrices.find(entry => entry.token === 'ETH');
+    
+    // HF = 65,000 · 0.825 / 50,000; liquidation when 10 · P · 0.825 = 50,000
+    assertClose(result.healthFactor, 1.0725, 1e-12);
+    assert.equal(result.riskLevel, 'High');
+    assert.equal(result.availableToBorrow, 2000);
+    assertClose(eth.liquidationPrice, 50000 / 8.25, 1e-9);
+    assert.equal(eth.direction, 'below');
+  });
+  
+  it('gives the reflection-principle probability of touching the liquidation price', async () => {
+    const result = await analyzeLendingPosition(position, { simulations: 500 });
+    const eth = result.liquidationPrices.find(entry => entry.token === 'ETH');
+    
+    // 2·(1 - Φ(|ln(L/P)| / (σ·√7))) with ETH's daily σ of 3.8057%
+    assertClose(eth.probabilityOfReaching, 0.4869750970186928, 1e-6);
+  });
+  
+  it('reproduces the simulated liquidation probability for a seed', async () => {
+    const first = await analyzeLendingPosition(position, { simulations: 500, seed: 3 });
+    const second = await analyzeLendingPosition(position, { simulations: 500, seed: 3 });
+    
+    assert.deepEqual(first.simulation, second.simulation);
+    assert.ok(first.simulation.probabilityOfLiquidation > 0 && first.simulation.probabilityOfLiquidation < 1);
+  });
+  
+  it('keeps the requested statistics options', async () => {
+    const result = await analyzeLendingPosition(position, { simulations: 500, returnType: 'log', tradingDays: 252 });
+    
+    assert.equal(result.statistics.returnType, 'log');
+    assert.equal(result.statistics.tradingDays, 252);
+  });
+});
+
+
+describe('analyzeLiquidityPosition', () => {
+  const scenarioAt = (result, priceChange) => result.scenarios.find(scenario => scenario.priceChange === priceChange);
+  
+  it('matches the constant-product impermanent loss 2√k / (1 + k) - 1', async () => {
+    const result = await analyzeLiquidityPosition(
+      { type: 'constantProduct', token0: 'ETH', token1: 'USDC', depositValue: 10000, feeApr: 0.2 },
+      { simulations: 200 }
+    );
+    const doubled = scenarioAt(result, 100);
+    
+    assertClose(doubled.impermanentLoss, (2 * Math.SQRT2 / 3 - 1) * 100, 1e-9);
+    assertClose(scenarioAt(result, -50).impermanentLoss, doubled.impermanentLoss, 1e-9);
+    assertClose(scenarioAt(result, 400).impermanentLoss, (2 * Math.sqrt(5) / 6 - 1) * 100, 1e-9);
+    assert.equal(scenarioAt(result, 0).impermanentLoss, 0);
+    // Days of 20% APR fees needed to make up the loss
+    assertClose(doubled.feeBreakevenDays, -(doubled.impermanentLoss / 100) / (0.2 / 365), 1e-9);
+  });
+  
+  it('amplifies the loss inside a concentrated range and stops accruing fees outside it', async () => {
+    const result = await analyzeLiquidityPosition(
+      { type: 'concentrated', token0: 'ETH', token1: 'USDC', depositValue: 10000, feeApr: 0.2, range: { lower: 5000, upper: 8000 } },
+      { simulations: 200 }
+    );
+    const fullRange = await analyzeLiquidityPosition(
+      { type: 'constantProduct', token0: 'ETH', token1: 'USDC', depositValue: 10000 },
+      { simulations: 200 }
+    );
+    
+    assert.ok(scenarioAt(result, 10).impermanentLoss < scenarioAt(fullRange, 10).impermanentLoss);
+    assert.equal(scenarioAt(result, 50).inRange, false);
+    assert.equal(scenarioAt(result, 50).feeBreakevenDays, null);
+  });
+  
+  it('annualizes the relative volatility over the requested trading days', async () => {
+    const result = await analyzeLiquidityPosition(
+      { type: 'constantProduct', token0: 'ETH', token1: 'BTC', depositValue: 10000 },
+      { simulations: 200, tradingDays: 252 }
+    );
+    
+    assert.equal(result.statistics.tradingDays, 252);
+    assertClose(result.relativeVolatility.annualized, result.relativeVolatility.daily * Math.sqrt(252), 1e-12);
+  });
+});
+
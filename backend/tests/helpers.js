@@ -0,0 +1,30 @@
+/**
+ * Shared test setup: runtime stores are redirected to a temporary directory
+ * so tests never write under backend/data. Require this before any service.
+ */
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-tests-'));
+
+process.env.PRICE_HISTORY_FILE = path.join(tempDir, 'price-history.json');
+process.env.THREAT_LIST_CHANGES_FILE = path.join(tempDir, 'threat-list-changes.json');
+
+process.on('exit', () => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Assert two numbers agree within an absolute tolerance
+ */
+const assertClose = (actual, expected, tolerance = 1e-9, message) => {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    message || `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+};
+
+module.exports = {
+  tempDir,
+  assertClose
+};
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { assertClose } = require('./helpers');
+const assetClassService = require('../src/services/asset-class.service');
+const { calculateHybridRisk } = require('../src/services/risk.service');
+
+const BTC_ANNUAL_VOLATILITY = 0.01728493528460938 * Math.sqrt(365);
+
+describe('asset class assumptions', () => {
+  it('resolves aliases and looks correlations up in either order', () => {
+    assert.equal(assetClassService.resolveAssetClass(' Stocks '), 'equity');
+    assert.equal(assetClassService.resolveAssetClass('reit'), 'realEstate');
+    assert.equal(assetClassService.resolveAssetClass('gold'), null);
+    assert.equal(assetClassService.getCorrelation('bond', 'equity'), 0.1);
+    assert.equal(assetClassService.getCorrelation('equity', 'equity'), 1);
+  });
+});
+
+describe('calculateHybridRisk', () => {
+  const traditionalAssets = [
+    { type: 'equity', value: 60000 },
+    { type: 'bond', value: 40000 }
+  ];
+  
+  it('combines both sleeves on the crypto calendar with the assumed correlation', async () => {
+    const result = await calculateHybridRisk([{ token: 'BTC', amount: 1 }], traditionalAssets);
+    
+    // 60/40 equity/bond sleeve: √(0.6²·0.16² + 0.4²·0.06² + 2·0.6·0.4·0.1·0.16·0.06)
+    assertClose(result.traditionalAllocation.annualizedVolatility, 10.125611092669914, 1e-9);
+    assertClose(result.riskMetrics.correlation, 0.3436829607764834, 1e-12);
+    assert.equal(result.riskMetrics.correlationSource, 'assumption');
+    assertClose(result.cryptoAllocation.annualizedVolatility, BTC_ANNUAL_VOLATILITY * 100, 1e-9);
+    assertClose(result.riskMetrics.annualizedRisk, 18.52593678579884, 1e-9);
+    assertClose(result.riskMetrics.combinedRisk, result.riskMetrics.annualizedRisk / Math.sqrt(365), 1e-12);
+  });
+  
+  it('withholds return figures estimated from a few weeks of crypto prices', async () => {
+    const result = await calculateHybridRisk([{ token: 'BTC', amount: 1 }], traditionalAssets);
+    
+    assert.equal(result.cryptoAllocation.expectedAnnualReturn, null);
+    assert.equal(result.returnMetrics.expectedAnnualReturn, null);
+    assert.equal(result.returnMetrics.sharpeRatio, null);
+    assert.equal(result.warnings.length, 1);
+  });
+  
+  it('uses a supplied correlation and trading calendar', async () => {
+    const result = await calculateHybridRisk([{ token: 'BTC', amount: 1 }], traditionalAssets, {
+      correlation: 0,
+      tradingDays: 252
+    });
+    const cryptoVolatility = 0.01728493528460938 * Math.sqrt(252);
+    const cryptoWeight = 95000 / 195000;
+    const expected = Math.sqrt(
+      Math.pow(cryptoWeight * cryptoVolatility, 2) +
+      Math.pow((1 - cryptoWeight) * 0.10125611092669914, 2)
+    );
+    
+    assert.equal(result.riskMetrics.correlationSource, 'user');
+    assertClose(result.riskMetrics.annualizedRisk, expected * 100, 1e-9);
+  });
+});
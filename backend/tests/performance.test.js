@@ -0,0 +1,94 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { assertClose } = require('./helpers');
+const { importCsv } = require('../src/services/price-history.service');
+const { calculatePerformanceMetrics, calculateBenchmarkAnalytics } = require('../src/services/risk.service');
+
+// 120 daily returns alternating +1% and -0.5%
+const buildAlternatingCsv = () => {
+  const rows = ['date,close'];
+  let close = 100;
+  for (let day = 0; day <= 120; day++) {
+    if (day > 0) close *= day % 2 === 1 ? 1.01 : 0.995;
+    rows.push(`${new Date(Date.UTC(2025, 0, 1 + day)).toISOString().slice(0, 10)},${close}`);
+  }
+  return rows.join('\n');
+};
+
+describe('calculatePerformanceMetrics', () => {
+  before(async () => {
+    await importCsv(buildAlternatingCsv(), { symbol: 'ALT' });
+  });
+  
+  it('withholds the annualized return and Calmar ratio on short samples', async () => {
+    const result = await calculatePerformanceMetrics('ETH');
+    
+    assert.equal(result.observations, 13);
+    assertClose(result.periodReturn, 6500 / 5200 - 1, 1e-12);
+    assert.equal(result.annualizedReturn, null);
+    assert.equal(result.ratios.calmar, null);
+    assert.equal(result.warnings.length, 1);
+  });
+  
+  it('annualizes and computes the ratios once enough history is loaded', async () => {
+    const result = await calculatePerformanceMetrics('ALT', { benchmark: 'ALT', days: 121 });
+    const dailyRiskFree = Math.pow(1.04, 1 / 365) - 1;
+    const annualized = Math.pow(1.01 * 0.995, 60 * 365 / 120) - 1;
+    
+    assert.equal(result.observations, 120);
+    assert.deepEqual(result.warnings, []);
+    assertClose(result.periodReturn, Math.pow(1.01 * 0.995, 60) - 1, 1e-9);
+    assertClose(result.annualizedReturn, annualized, 1e-9);
+    assertClose(result.maxDrawdown, 0.005, 1e-9);
+    assertClose(result.volatilityDaily, 0.0075, 1e-9);
+    assertClose(result.ratios.sharpe, (0.0025 - dailyRiskFree) / 0.0075 * Math.sqrt(365), 1e-6);
+    assertClose(result.ratios.calmar, annualized / 0.005, 1e-5);
+    assertClose(result.ratios.omega, (0.01 - dailyRiskFree) / (0.005 + dailyRiskFree), 1e-6);
+    assertClose(result.beta, 1, 1e-9);
+    assert.equal(result.ratios.informationRatio, null);
+  });
+});
+
+describe('calculateBenchmarkAnalytics', () => {
+  it('regresses holdings on the benchmark and adds up weighted betas', async () => {
+    const result = await calculateBenchmarkAnalytics([
+      { token: 'ETH', amount: 10 },
+      { token: 'BTC', amount: 1 }
+    ], { benchmark: 'BTC' });
+    const [eth, btc] = result.holdings;
+    
+    // cov(ETH, BTC) / var(BTC) over the 13 seeded daily returns
+    assertClose(eth.beta, 2.076877952349091, 1e-9);
+    assertClose(btc.beta, 1, 1e-12);
+    assertClose(btc.trackingError, 0, 1e-12);
+    assertClose(result.portfolio.beta, eth.betaContribution + btc.betaContribution, 1e-12);
+    assertClose(
+      result.portfolio.systematicVolatility ** 2 + result.portfolio.idiosyncraticVolatility ** 2,
+      result.portfolio.volatilityAnnualized ** 2,
+      1e-12
+    );
+  });
+  
+  it('normalizes custom basket weights', async () => {
+    const result = await calculateBenchmarkAnalytics([{ token: 'BTC', amount: 1 }], {
+      benchmark: { name: 'Majors', basket: [{ token: 'btc', weight: 2 }, { token: 'ETH', weight: 2 }] }
+    });
+    
+    assert.deepEqual(result.benchmark, {
+      name: 'Majors',
+      components: [{ token: 'BTC', weight: 0.5 }, { token: 'ETH', weight: 0.5 }]
+    });
+    assertClose(result.portfolio.beta, 0.6152842381000475, 1e-9);
+  });
+  
+  it('regresses over the requested number of days', async () => {
+    await importCsv(buildAlternatingCsv(), { symbol: 'ALT' });
+    const all = await calculateBenchmarkAnalytics([{ token: 'ALT', amount: 1 }], { benchmark: 'ALT' });
+    const recent = await calculateBenchmarkAnalytics([{ token: 'ALT', amount: 1 }], { benchmark: 'ALT', days: 30 });
+    
+    assert.equal(all.observations, 120);
+    assert.equal(recent.observations, 29);
+    assertClose(recent.portfolio.beta, 1, 1e-9);
+  });
+});
+
@@ -0,0 +1,81 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { assertClose } = require('./helpers');
+const { importCsv } = require('../src/services/price-history.service');
+const { optimizePortfolio } = require('../src/services/portfolio-optimizer.service');
+
+// Two weakly correlated tokens: SWING alternates ±2%, DRIFT moves ±1% in pairs
+const buildCsv = () => {
+  const rows = ['symbol,date,close'];
+  let swing = 100;
+  let drift = 100;
+  for (let day = 0; day < 121; day++) {
+    if (day > 0) {
+      swing *= day % 2 === 1 ? 1.02 : 0.98;
+      drift *= Math.floor((day - 1) / 2) % 2 === 0 ? 1.01 : 0.99;
+    }
+    const date = new Date(Date.UTC(2025, 0, 1 + day)).toISOString().slice(0, 10);
+    rows.push(`SWING,${date},${swing}`, `DRIFT,${date},${drift}`);
+  }
+  return rows.join('\n');
+};
+
+describe('optimizePortfolio', () => {
+  before(async () => {
+    await importCsv(buildCsv());
+  });
+  
+  it('matches the closed-form two-asset minimum-variance and risk parity weights', async () => {
+    const result = await optimizePortfolio(['SWING', 'DRIFT']);
+    const { SWING: swingVolatility, DRIFT: driftVolatility } = result.assumptions.volatilities;
+    const covariance = result.assumptions.correlationMatrix.matrix[0][1] * swingVolatility * driftVolatility;
+    
+    // w = (σ₂² - σ₁₂) / (σ₁² + σ₂² - 2σ₁₂)
+    const minVarianceWeight = (driftVolatility ** 2 - covariance) /
+      (swingVolatility ** 2 + driftVolatility ** 2 - 2 * covariance);
+    assertClose(result.minVariance.weights.SWING, minVarianceWeight, 1e-6);
+    
+    // Equal risk contributions of two assets: weights inversely proportional to volatility
+    const riskParityWeight = (1 / swingVolatility) / (1 / swingVolatility + 1 / driftVolatility);
+    assertClose(result.riskParity.weights.SWING, riskParityWeight, 1e-6);
+    assertClose(result.riskParity.riskContributions.SWING, 0.5, 1e-6);
+  });
+  
+  it('keeps weights fully invested and within bounds along the frontier', async () => {
+    const result = await optimizePortfolio(['SWING', 'DRIFT'], { bounds: { SWING: { min: 0.5, max: 1 } }, points: 5 });
+    
+    assertClose(result.minVariance.weights.SWING, 0.5, 1e-6);
+    assert.equal(result.efficientFrontier.length, 5);
+    for (const point of result.efficientFrontier) {
+      assertClose(point.weights.SWING + point.weights.DRIFT, 1, 1e-9);
+      assert.ok(point.weights.SWING >= 0.5 - 1e-9);
+    }
+  });
+  
+  it('reports an infeasible volatility target', async () => {
+    const result = await optimizePortfolio(['SWING', 'DRIFT'], { targetVolatility: 0.001 });
+    
+    assert.equal(result.targetVolatility.feasible, false);
+  });
+  
+  it('withholds expected returns and the portfolios chosen by them on a short history', async () => {
+    const result = await optimizePortfolio(['SWING', 'DRIFT'], { days: 30, targetVolatility: 0.5 });
+    
+    assert.equal(result.observations, 29);
+    assert.equal(result.assumptions.expectedReturns, null);
+    assert.deepEqual(result.efficientFrontier, []);
+    assert.equal(result.maxSharpe, null);
+    assert.equal(result.targetVolatility, null);
+    assert.equal(result.minVariance.expectedReturn, null);
+    assert.ok(result.minVariance.volatility > 0);
+    assert.equal(result.warnings.length, 1);
+  });
+  
+  it('caps the number of frontier points', async () => {
+    const result = await optimizePortfolio(['SWING', 'DRIFT'], { points: 500 });
+    
+    assert.equal(result.efficientFrontier.length, 50);
+    assert.deepEqual(result.warnings, []);
+  });
+});
+
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+require('./helpers');
+const priceHistory = require('../src/services/price-history.service');
+
+const SEED_FILE = path.join(__dirname, '..', 'src', 'data', 'price-history.json');
+
+describe('price history import', () => {
+  it('resamples hourly rows into daily OHLCV bars', async () => {
+    const csv = [
+      'symbol,timestamp,open,high,low,close,volume',
+      'HRLY,2025-05-01T00:00:00Z,10,12,9,11,100',
+      'HRLY,2025-05-01T01:00:00Z,11,15,10,14,50',
+      'HRLY,2025-05-01T02:00:00Z,14,14,8,9,25',
+      'HRLY,2025-05-02T00:00:00Z,9,10,9,10,5'
+    ].join('\n');
+    await priceHistory.importCsv(csv, { interval: '1h' });
+    
+    const daily = await priceHistory.getPriceHistory('hrly');
+    assert.equal(daily.resampledFrom, '1h');
+    assert.deepEqual(
+      daily.bars.map(({ open, high, low, close, volume }) => ({ open, high, low, close, volume })),
+      [{ open: 10, high: 15, low: 8, close: 9, volume: 175 }, { open: 9, high: 10, low: 9, close: 10, volume: 5 }]
+    );
+  });
+  
+  it('reports invalid rows and gaps without rejecting the import', async () => {
+    const csv = [
+      'date,close',
+      '2025-05-01,100',
+      '2025-05-02,-5',
+      '2025-05-04,102',
+      'not-a-date,103'
+    ].join('\n');
+    const summary = await priceHistory.importCsv(csv, { symbol: 'GAPPY' });
+    
+    assert.deepEqual([summary.imported, summary.skipped], [2, 2]);
+    assert.match(summary.errors[0], /^Row 2: Invalid close price/);
+    assert.deepEqual(summary.symbols[0].gaps, [{
+      from: '2025-05-02T00:00:00.000Z',
+      to: '2025-05-03T00:00:00.000Z',
+      missingBars: 2
+    }]);
+  });
+  
+  it('writes only imported bars to the runtime file and leaves the seed untouched', async () => {
+    const seed = fs.readFileSync(SEED_FILE, 'utf8');
+    await priceHistory.importCsv('date,close\n2025-04-15,96000', { symbol: 'BTC' });
+    
+    const stored = JSON.parse(fs.readFileSync(process.env.PRICE_HISTORY_FILE, 'utf8'));
+    assert.deepEqual(stored.BTC['1d'].map(bar => bar.close), [96000]);
+    assert.equal(stored.ETH, undefined);
+
+    assert.equal(fs.readFileSync(SEED_FILE, 'utf8'), seed);
+    assert.equal((await priceHistory.getPriceHistory('BTC')).count, 15);
+  });
+  
+  it('converts volumes in tokens traded to USD at each close', async () => {
+    const csv = 'date,close,volume\n2025-05-01,50,10\n2025-05-02,40,20';
+    await priceHistory.importCsv(csv, { symbol: 'UNITS', volumeUnit: 'base' });
+    
+    const { bars } = await priceHistory.getPriceHistory('UNITS');
+    assert.deepEqual(bars.map(bar => bar.volume), [500, 800]);
+    await assert.rejects(priceHistory.importCsv(csv, { symbol: 'UNITS', volumeUnit: 'eth' }), /Unsupported volume unit/);
+  });
+  
+  it('rejects symbols without any stored bars', async () => {
+
+    await assert.rejects(priceHistory.getPriceHistory('NOPE'), error => error.code === 'NO_PRICE_DATA');
+  });
+});
+
+describe('price providers', () => {
+  it('stores completed bars from a registered provider', async () => {
+    const today = new Date(Math.floor(Date.now() / 86400000) * 86400000);
+    const dayOffset = days => new Date(today.getTime() + days * 86400000).toISOString();
+    priceHistory.registerFetcher('fixture', async () => ({
+      prices: [
+        { timestamp: dayOffset(-2), price: 1.5, volume: 10 },
+        { timestamp: dayOffset(-1), price: 1.6, volume: 12 },
+        { timestamp: dayOffset(0), price: 1.7, volume: 1 }
+      ]
+    }));
+    
+    const summary = await priceHistory.fetchPriceHistory('FIX', { provider: 'fixture', days: 3 });
+    
+    // Today's bar is still open, so only the two completed days are stored
+    assert.equal(summary.imported, 2);
+    assert.equal((await priceHistory.getPriceHistory('FIX')).bars.at(-1).close, 1.6);
+  });
+  
+  it('stores nothing when the provider only has simulated data', async () => {
+    priceHistory.registerFetcher('offline', async () => ({ simulated: true, prices: [{ timestamp: Date.now(), price: 1 }] }));
+    
+    await assert.rejects(
+      priceHistory.fetchPriceHistory('OFF', { provider: 'offline' }),
+      error => error.code === 'PROVIDER_UNAVAILABLE'
+    );
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { assertClose } = require('./helpers');
+
+// A fixed key, stored the way .env files hold it (escaped newlines), so the
+// service does not fall back to an ephemeral one
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+process.env.REPORT_SIGNING_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' }).replace(/\n/g, '\\n');
+
+const { canonicalize, generateReport, verifyReport, renderReportPdf, getPublicKey } = require('../src/services/report.service');
+
+describe('canonicalize', () => {
+  it('sorts object keys at every depth and drops undefined members', () => {
+    assert.equal(
+      canonicalize({ b: 1, a: [true, { d: null, c: 'x' }], u: undefined }),
+      '{"a":[true,{"c":"x","d":null}],"b":1}'
+    );
+  });
+});
+
+describe('report signing', () => {
+  let signed;
+  
+  before(async () => {
+    signed = await generateReport(
+      { name: 'Acme Capital', reference: 'AC-1' },
+      { wallet: '0x8915beab6ccaa2f486d8b1c36c7ec151f9c72f5e', holdings: [{ token: 'BTC', amount: 1 }] }
+    );
+  });
+  
+  it('signs with the configured key', () => {
+    const keyId = crypto.createHash('sha256')
+      .update(publicKey.export({ type: 'spki', format: 'der' }))
+      .digest('hex')
+      .slice(0, 16);
+    
+    assert.equal(getPublicKey().ephemeral, false);
+    assert.equal(signed.signature.keyId, keyId);
+    assert.equal(signed.signature.digest, crypto.createHash('sha256').update(canonicalize(signed.report)).digest('hex'));
+  });
+  
+  it('carries the service results into the report sections', () => {
+    const { walletRisk, valueAtRisk } = signed.report.sections;
+    
+    assert.equal(walletRisk.riskScore, 73);
+    assert.equal(valueAtRisk.portfolioValue, 95000);
+    assertClose(valueAtRisk.dailyVaR.amount, 2700.96, 0.01);
+  });
+  
+  it('verifies a report whatever order its keys arrive in', () => {
+    const reordered = Object.fromEntries(Object.entries(signed.report).reverse());
+    
+    assert.equal(verifyReport(reordered, signed.signature).valid, true);
+  });
+  
+  it('rejects a report whose figures were changed', () => {
+    const tampered = JSON.parse(JSON.stringify(signed.report));
+    tampered.sections.valueAtRisk.dailyVaR.amount = 1000;
+    
+    const result = verifyReport(tampered, signed.signature);
+    
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'Signature does not match the report contents');
+  });
+  
+  it('rejects signatures from another key', () => {
+    const result = verifyReport(signed.report, { ...signed.signature, keyId: '0000000000000000' });
+    
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'Report was signed with a different key');
+  });
+  
+  it('renders a PDF', () => {
+    assert.equal(renderReportPdf(signed).subarray(0, 5).toString(), '%PDF-');
+  });
+});
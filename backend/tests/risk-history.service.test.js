@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+// Small memory limits so the caps are reached within a test
+process.env.RISK_HISTORY_MAX_SNAPSHOTS = '3';
+process.env.RISK_HISTORY_MAX_ADDRESSES = '2';
+const { riskEvents, recordAnalysis, getHistory } = require('../src/services/risk-history.service');
+
+let clock = Date.parse('2025-05-01T00:00:00Z');
+const analysis = (address, riskScore, riskLevel) => ({
+  address,
+  riskScore,
+  riskLevel,
+  analysisDate: new Date(clock += 60000).toISOString()
+});
+
+describe('risk history drift', () => {
+  it('emits a drift event when a wallet changes band', async () => {
+    const events = [];
+    const listener = event => events.push(event);
+    riskEvents.on('drift', listener);
+    
+    assert.equal(await recordAnalysis(analysis('0xA1', 25, 'Low')), null);
+    assert.equal(await recordAnalysis(analysis('0xA1', 28, 'Low')), null);
+    const drift = await recordAnalysis(analysis('0xA1', 72, 'High'));
+    riskEvents.off('drift', listener);
+    
+    assert.equal(drift.direction, 'deteriorated');
+    assert.deepEqual([drift.fromLevel, drift.toLevel, drift.fromScore, drift.toScore], ['Low', 'High', 28, 72]);
+    assert.deepEqual(events, [drift]);
+    
+    const history = await getHistory('0xa1');
+    assert.deepEqual(history.history.map(item => item.riskScore), [25, 28, 72]);
+    assert.equal(history.driftEvents.length, 1);
+  });
+});
+
+describe('risk history memory limits', () => {
+  it('keeps only the most recent snapshots per wallet', async () => {
+    for (const score of [10, 11, 12, 13, 14]) {
+      await recordAnalysis(analysis('0xB2', score, 'Low'));
+    }
+    
+    const history = await getHistory('0xB2');
+    assert.deepEqual(history.history.map(item => item.riskScore), [12, 13, 14]);
+  });
+  
+  it('drops the least recently analyzed wallet first', async () => {
+    await recordAnalysis(analysis('0xC3', 40, 'Medium'));
+    await recordAnalysis(analysis('0xB2', 15, 'Low'));
+    await recordAnalysis(analysis('0xD4', 50, 'Medium'));
+    
+    assert.equal((await getHistory('0xC3')).count, 0);
+    assert.equal((await getHistory('0xB2')).count, 3);
+    assert.equal((await getHistory('0xD4')).count, 1);
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { assertClose } = require('./helpers');
+const {
+  variance,
+  calculateReturns,
+  downsideDeviation,
+  omegaRatio,
+  maxDrawdownFromReturns,
+  quantile,
+  skewness,
+  excessKurtosis,
+  normalCdf,
+  normalInverseCdf,
+  choleskyDecomposition,
+  rollingStandardDeviation,
+  ewmaVariance,
+  fitGarch11,
+  chiSquareSurvival,
+  binomialCdf,
+  poissonCdf,
+  createSeededRandom,
+  randomNormal
+} = require('../src/services/statistics.service');
+
+describe('returns and variance', () => {
+  it('computes simple and log returns', () => {
+    assert.deepEqual(calculateReturns([100, 110, 99]), [0.1, -0.1]);
+    assertClose(calculateReturns([100, 110], 'log')[0], Math.log(1.1), 1e-15);
+  });
+  
+  it('switches between the population and sample divisor', () => {
+    assert.equal(variance([1, 2, 3, 4]), 1.25);
+    assertClose(variance([1, 2, 3, 4], true), 5 / 3, 1e-15);
+    assert.equal(variance([7], true), 0);
+  });
+});
+
+describe('performance statistics', () => {
+  it('measures downside deviation and Omega against a target', () => {
+    const returns = [0.02, -0.01, 0.03, -0.02];
+    
+    assertClose(downsideDeviation(returns), Math.sqrt(0.0005 / 4), 1e-15);
+    assertClose(omegaRatio(returns), 0.05 / 0.03, 1e-12);
+    assert.equal(omegaRatio([0.01, 0.02]), null);
+  });
+  
+  it('finds the deepest peak-to-trough decline', () => {
+    assertClose(maxDrawdownFromReturns([0.1, -0.5, 0.2]), 0.5, 1e-12);
+    assertClose(maxDrawdownFromReturns([Math.log(1.1), Math.log(0.5)], 'log'), 0.5, 1e-12);
+    assert.equal(maxDrawdownFromReturns([0.01, 0.02]), 0);
+  });
+});
+
+describe('normal distribution', () => {
+  it('inverts the normal CDF at the standard VaR confidence levels', () => {
+    assertClose(normalInverseCdf(0.95), 1.6448536269514715, 1e-8);
+    assertClose(normalInverseCdf(0.99), 2.3263478740408408, 1e-8);
+    assertClose(normalInverseCdf(0.5), 0, 1e-12);
+    assertClose(normalInverseCdf(0.05), -normalInverseCdf(0.95), 1e-12);
+  });
+  
+  it('evaluates the normal CDF', () => {
+    assertClose(normalCdf(1.96), 0.9750021048517796, 1e-6);
+    assertClose(normalCdf(0), 0.5, 1e-9);
+  });
+});
+
+describe('backtest distributions', () => {
+  it('gives chi-square p-values for one and two degrees of freedom', () => {
+    assertClose(chiSquareSurvival(3.841458820694124, 1), 0.05, 1e-6);
+    assertClose(chiSquareSurvival(4, 2), Math.exp(-2), 1e-15);
+    assert.equal(chiSquareSurvival(0, 1), 1);
+  });
+  
+  it('accumulates binomial probabilities for the Basel exception counts', () => {
+    assertClose(binomialCdf(3, 10, 0.5), 0.171875, 1e-12);
+    assertClose(binomialCdf(4, 250, 0.01), 0.8921876269036233, 1e-10);
+    assertClose(binomialCdf(9, 250, 0.01), 0.9997498099312573, 1e-10);
+    assert.equal(binomialCdf(250, 250, 0.01), 1);
+  });
+});
+
+describe('poissonCdf', () => {
+  it('sums Poisson probabilities up to k events', () => {
+    // e^-1 · (1 + 1 + 1/2)
+    assertClose(poissonCdf(2, 1), 0.9196986029286058, 1e-12);
+    assertClose(poissonCdf(0, 3), Math.exp(-3), 1e-15);
+    assert.equal(poissonCdf(-1, 3), 0);
+  });
+});
+
+describe('quantile', () => {
+  it('interpolates linearly between order statistics', () => {
+    // Matches PERCENTILE.INC({1, 2, 3, 4}, p)
+    assert.equal(quantile([4, 1, 3, 2], 0.25), 1.75);
+    assert.equal(quantile([4, 1, 3, 2], 0.5), 2.5);
+    assert.equal(quantile([4, 1, 3, 2], 1), 4);
+  });
+});
+
+describe('higher moments', () => {
+  it('measures skewness and excess kurtosis with population moments', () => {
+    // One outlier in five points: skewness 1.5, excess kurtosis 0.25
+    assertClose(skewness([0, 0, 0, 0, 5]), 1.5, 1e-12);
+    assertClose(excessKurtosis([0, 0, 0, 0, 5]), 0.25, 1e-12);
+    assertClose(skewness([-1, 0, 1]), 0, 1e-12);
+    assert.equal(excessKurtosis([2, 2, 2]), 0);
+  });
+});
+
+describe('choleskyDecomposition', () => {
+  it('factors a positive-definite matrix into L·Lᵀ', () => {
+    const lower = choleskyDecomposition([[4, 2], [2, 3]]);
+    assertClose(lower[0][0], 2);
+    assertClose(lower[0][1], 0);
+    assertClose(lower[1][0], 1);
+    assertClose(lower[1][1], Math.SQRT2);
+  });
+});
+
+describe('volatility models', () => {
+  it('fills rolling windows once enough observations are available', () => {
+    assert.deepEqual(rollingStandardDeviation([1, 2, 3, 4], 2), [null, 0.5, 0.5, 0.5]);
+    assert.deepEqual(rollingStandardDeviation([1, 2], 3), [null, null]);
+  });
+  
+  it('runs the EWMA recursion from the series variance', () => {
+    // Seed variance 0.000225, then 0.94·σ² + 0.06·r² per return
+    const result = ewmaVariance([0.01, -0.02], 0.94);
+    
+    assertClose(result.series[0], 0.0002175, 1e-15);
+    assertClose(result.series[1], 0.00022845, 1e-15);
+    assert.equal(result.forecast, result.series[1]);
+  });
+  
+  it('targets the population or sample variance in the GARCH(1,1) fit', () => {
+    const returns = [0.01, -0.02, 0.015, -0.005, 0.03, -0.025, 0.004, 0.012];
+    const population = fitGarch11(returns);
+    const sample = fitGarch11(returns, true);
+    
+    assertClose(sample.longRunVariance / population.longRunVariance, 8 / 7, 1e-12);
+    assertClose(population.omega / (1 - population.alpha - population.beta), population.longRunVariance, 1e-15);
+    assert.ok(population.alpha + population.beta < 1);
+    assert.deepEqual(fitGarch11(returns), population);
+  });
+  
+  it('returns a flat fit for a series without dispersion', () => {
+    const result = fitGarch11([0.01, 0.01, 0.01]);
+    
+    assert.equal(result.forecast, 0);
+    assert.equal(result.logLikelihood, null);
+  });
+});
+
+describe('seeded random numbers', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const first = createSeededRandom(7);
+    const second = createSeededRandom(7);
+    const a = Array.from({ length: 5 }, () => first());
+    const b = Array.from({ length: 5 }, () => second());
+    
+    assert.deepEqual(a, b);
+    a.forEach(value => assert.ok(value >= 0 && value < 1));
+  });
+  
+  it('draws standard normal variates', () => {
+    const random = createSeededRandom(42);
+    const draws = Array.from({ length: 20000 }, () => randomNormal(random));
+    const mean = draws.reduce((sum, x) => sum + x, 0) / draws.length;
+    const variance = draws.reduce((sum, x) => sum + (x - mean) ** 2, 0) / draws.length;
+    
+    assertClose(mean, 0, 0.03);
+    assertClose(variance, 1, 0.05);
+  });
+});
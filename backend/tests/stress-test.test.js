@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { assertClose } = require('./helpers');
+const { runStressTest } = require('../src/services/risk.service');
+
+const HOLDINGS = [
+  { token: 'BTC', amount: 1 },
+  { token: 'ETH', amount: 10 },
+  { token: 'USDC', amount: 5000 }
+];
+
+const findHolding = (scenario, token) => scenario.holdings.find(holding => holding.token === token);
+
+describe('runStressTest', () => {
+  it('propagates a crash to other holdings through their beta', async () => {
+    const { scenarios: [scenario] } = await runStressTest(HOLDINGS, ['btc-crash']);
+    const eth = findHolding(scenario, 'ETH');
+    
+    assert.equal(findHolding(scenario, 'BTC').pnl, -38000);
+    assert.equal(eth.shockSource, 'beta');
+    // ETH has a beta of 2.0769 to BTC over the seeded history
+    assertClose(eth.shock, -40 * 2.076877952349091, 1e-6);
+    assertClose(scenario.totalPnL, scenario.holdings.reduce((sum, holding) => sum + holding.pnl, 0), 1e-9);
+  });
+  
+  it('applies the hypothetical depeg only to stablecoins', async () => {
+    const { scenarios: [scenario] } = await runStressTest(HOLDINGS, ['stablecoin-depeg']);
+    
+    assert.equal(scenario.name, 'Hypothetical stablecoin depeg');
+    assert.equal(findHolding(scenario, 'USDC').pnl, -650);
+    assert.equal(scenario.totalPnL, -650);
+  });
+  
+  it('replays the worst BTC day and skips windows without a decline', async () => {
+    const { scenarios: [day, week] } = await runStressTest(HOLDINGS, ['worst-day-replay', 'worst-week-replay']);
+    
+    assert.deepEqual([day.replayWindow.startDate, day.replayWindow.endDate], ['2025-04-02', '2025-04-03']);
+    assertClose(findHolding(day, 'BTC').shock, (84200 / 86500 - 1) * 100, 1e-9);
+    assertClose(findHolding(day, 'ETH').shock, (5100 / 5350 - 1) * 100, 1e-9);
+    
+    // Seeded BTC closes never fall over seven days
+    assert.match(week.warning, /No 7-day decline/);
+    assert.equal(week.totalPnL, 0);
+  });
+  
+  it('names custom scenarios by position unless a name is given', async () => {
+    const result = await runStressTest(HOLDINGS, [
+      { shocks: { ETH: -0.2 } },
+      { name: 'ETH -30%', shocks: { ETH: -0.3 } }
+    ]);
+    
+    assert.deepEqual(result.scenarios.map(scenario => scenario.name), ['Custom scenario 1', 'ETH -30%']);
+    assert.equal(result.scenarios[0].totalPnL, -13000);
+    assert.equal(result.worstScenario.name, 'ETH -30%');
+  });
+});
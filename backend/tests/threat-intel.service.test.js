@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+require('./helpers');
+
+const SERVICE_PATH = require.resolve('../src/services/threat-intel.service');
+const threatIntel = require(SERVICE_PATH);
+
+const LISTED = '0xdead123456789012345678901234567890123456';
+const ADDED = '0x00000000000000000000000000000000000000aa';
+
+// A fresh copy of the service, as after a restart, rebuilt from the list and change files
+const reloadService = () => {
+  delete require.cache[SERVICE_PATH];
+  return require(SERVICE_PATH);
+};
+
+describe('threat list lookups', () => {
+  it('loads the bundled lists and matches addresses in any case', () => {
+    const matches = threatIntel.lookupAddress('0xDEAD123456789012345678901234567890123456');
+    
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].category, 'mixer');
+    assert.equal(matches[0].source, 'aries-demo');
+  });
+  
+  it('rejects unknown categories and malformed addresses', async () => {
+    await assert.rejects(threatIntel.addEntry({ address: ADDED, category: 'scam', source: 'tests' }), /Invalid category/);
+    await assert.rejects(threatIntel.addEntry({ address: '0x1234', category: 'mixer', source: 'tests' }), /Invalid address/);
+  });
+});
+
+describe('threat list changes', () => {
+  it('stores added entries with a normalized category and keeps them after a restart', async () => {
+    const stored = await threatIntel.addEntry({ address: '0x00000000000000000000000000000000000000AA', category: ' Phishing ', source: 'tests' });
+    
+    assert.equal(stored.address, ADDED);
+    assert.equal(stored.category, 'phishing');
+    
+    const changes = JSON.parse(fs.readFileSync(process.env.THREAT_LIST_CHANGES_FILE, 'utf8'));
+    assert.ok(changes.some(change => change.action === 'add' && change.address === ADDED));
+    
+    const reloaded = reloadService();
+    assert.equal(reloaded.lookupAddress(ADDED)[0].category, 'phishing');
+  });
+  
+  it('keeps removed list-file entries removed after a restart', async () => {
+    const service = reloadService();
+    const removed = await service.removeEntry(LISTED, 'aries-demo');
+    
+    assert.equal(removed, 1);
+    assert.deepEqual(service.lookupAddress(LISTED), []);
+    assert.deepEqual(reloadService().lookupAddress(LISTED), []);
+  });
+});
@@ -0,0 +1,294 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { assertClose } = require('./helpers');
+const { importCsv } = require('../src/services/price-history.service');
+const {
+  calculateVaR,
+  calculateLiquidityAdjustedVaR,
+  calculateExpectedShortfall,
+  buildCovarianceMatrix
+} = require('../src/services/risk.service');
+
+// Seeded BTC closes give a daily σ of 1.728493528% (population, simple returns)
+const BTC_DAILY_VOLATILITY = 0.01728493528460938;
+const BTC_PRICE = 95000;
+
+describe('calculateVaR methods', () => {
+  it('computes parametric VaR as σ·z·value', async () => {
+    const result = await calculateVaR([{ token: 'BTC', amount: 1 }], 0.95);
+    
+    assert.equal(result.method, 'parametric');
+    assert.equal(result.portfolioValue, BTC_PRICE);
+    assertClose(result.portfolioVolatility, BTC_DAILY_VOLATILITY, 1e-12);
+    assertClose(result.dailyVaR.amount, BTC_PRICE * BTC_DAILY_VOLATILITY * 1.6448536269514715, 1e-3);
+  });
+  
+  it('computes historical VaR from the interpolated 5th percentile return', async () => {
+    const result = await calculateVaR([{ token: 'BTC', amount: 1 }], 0.95, { method: 'historical' });
+    
+    assertClose(result.dailyVaR.amount, 2069.4210177200785, 1e-6);
+  });
+  
+  it('reproduces Monte Carlo VaR for a fixed seed', async () => {
+    const options = { method: 'monteCarlo', simulations: 20000, seed: 11 };
+    const first = await calculateVaR([{ token: 'BTC', amount: 1 }], 0.95, options);
+    const second = await calculateVaR([{ token: 'BTC', amount: 1 }], 0.95, options);
+    
+    assert.equal(first.dailyVaR.amount, second.dailyVaR.amount);
+    assert.equal(first.seed, 11);
+    // Zero-mean normal simulation converges on the parametric figure
+    assertClose(first.dailyVaR.amount / 2700.962906978564, 1, 0.05);
+  });
+  
+  it('rejects unknown methods', async () => {
+    await assert.rejects(
+      calculateVaR([{ token: 'BTC', amount: 1 }], 0.95, { method: 'bootstrap' }),
+      /Unsupported VaR method/
+    );
+  });
+});
+
+describe('price history lookback', () => {
+  // 120 days of closes alternating +2% / -1%
+  before(async () => {
+    const rows = ['date,close'];
+    let close = 100;
+    for (let day = 0; day < 120; day++) {
+      rows.push(`${new Date(Date.UTC(2024, 0, 1 + day)).toISOString().slice(0, 10)},${close}`);
+      close *= day % 2 === 0 ? 1.02 : 0.99;
+    }
+    await importCsv(rows.join('\n'), { symbol: 'LONG' });
+  });
+  
+  it('uses every stored bar by default', async () => {
+    const result = await calculateVaR([{ token: 'LONG', amount: 1 }], 0.95, { method: 'historical' });
+    
+    assert.equal(result.observations, 119);
+  });
+  
+  it('loads only the most recent days when asked', async () => {
+    const result = await calculateVaR([{ token: 'LONG', amount: 1 }], 0.95, { method: 'historical', days: 30 });
+    
+    assert.equal(result.observations, 29);
+  });
+  
+  it('passes the lookback on to Expected Shortfall', async () => {
+    const all = await calculateExpectedShortfall([{ token: 'LONG', amount: 1 }]);
+    const recent = await calculateExpectedShortfall([{ token: 'LONG', amount: 1 }], [0.95], { days: 30 });
+    
+    assert.equal(all.observations, 119);
+    assert.equal(recent.observations, 29);
+  });
+});
+
+describe('portfolio covariance', () => {
+  const series = (token, prices) => ({
+    token,
+    prices: prices.map(([date, price]) => ({ date, price }))
+  });
+  
+  it('aligns returns on shared dates before building the matrices', () => {
+    const result = buildCovarianceMatrix([
+      series('A', [['2025-01-01', 100], ['2025-01-02', 110], ['2025-01-03', 99], ['2025-01-04', 108.9]]),
+      series('B', [['2025-01-01', 100], ['2025-01-02', 90], ['2025-01-02T12', 95], ['2025-01-03', 99], ['2025-01-04', 89.1]])
+    ]);
+    
+    assert.deepEqual(result.dates, ['2025-01-02', '2025-01-03', '2025-01-04']);
+    // Returns of +10%, -10%, +10% against their mirror image: population variance 0.08/9
+    assertClose(result.covariance[0][0], 0.08 / 9, 1e-12);
+    assertClose(result.covariance[0][1], -0.08 / 9, 1e-12);
+    assertClose(result.correlation[0][1], -1, 1e-12);
+  });
+  
+  it('refuses to pair returns from different dates', () => {
+    assert.throws(
+      () => buildCovarianceMatrix([
+        series('A', [['2025-01-01', 100], ['2025-01-02', 110], ['2025-01-03', 99]]),
+        series('B', [['2025-02-01', 100], ['2025-02-02', 90], ['2025-02-03', 99]])
+      ]),
+      error => error.code === 'INSUFFICIENT_HISTORY' && /for A, B: 0 common daily bars/.test(error.message)
+    );
+  });
+  
+
+  it('diversifies BTC and ETH through their return correlation', async () => {
+    const result = await calculateVaR([
+      { token: 'BTC', amount: 1 },
+      { token: 'ETH', amount: 10 }
+    ], 0.95);
+    
+    assert.equal(result.portfolioValue, 160000);
+    assertClose(result.correlationMatrix.matrix[0][1], 0.943282587117341, 1e-12);
+    assertClose(result.portfolioVolatility, 0.025371406192492778, 1e-12);
+    assertClose(result.dailyVaR.amount, 6677.1599194529235, 1e-3);
+  });
+});
+
+describe('calculateExpectedShortfall', () => {
+  // 200 days alternating -3%, +1%, +2.5%, +0.5%: a quarter of the days lose 3%
+  before(async () => {
+    const moves = [-0.03, 0.01, 0.025, 0.005];
+    const rows = ['date,close'];
+    let close = 100;
+    for (let day = 0; day < 201; day++) {
+      rows.push(`${new Date(Date.UTC(2024, 5, 1 + day)).toISOString().slice(0, 10)},${close}`);
+      close *= 1 + moves[day % 4];
+    }
+    await importCsv(rows.join('\n'), { symbol: 'TAIL' });
+  });
+  
+  it('scales σ·φ(z)/(1 - c) for the normal case', async () => {
+    const result = await calculateExpectedShortfall([{ token: 'BTC', amount: 1 }], [0.95]);
+    const [level] = result.expectedShortfall;
+    
+    assert.equal(result.observations, 13);
+    assert.equal(level.confidenceLevel, 95);
+    assertClose(level.parametric.expectedShortfall.amount, 3387.116451907582, 1e-3);
+    assert.ok(level.parametric.expectedShortfall.amount > level.parametric.var.amount);
+    assert.equal(result.tailStatistics.worstDays[0].date, '2025-04-03');
+  });
+  
+  it('withholds historical figures when the tail holds too few days', async () => {
+    const result = await calculateExpectedShortfall([{ token: 'BTC', amount: 1 }], [0.95, 0.99]);
+    
+    // Only the -2.659% day (2025-04-03) lies beyond either percentile of 13 returns
+    assert.deepEqual(result.expectedShortfall.map(level => level.tailObservations), [1, 1]);
+    assert.deepEqual(result.expectedShortfall.map(level => level.historical), [null, null]);
+    assert.equal(result.warnings.length, 2);
+    assert.match(result.warnings[1], /at 99% need at least 5 tail observations; 1 available/);
+  });
+  
+  it('averages the tail beyond VaR on a long enough history', async () => {
+    const result = await calculateExpectedShortfall([{ token: 'TAIL', amount: 1 }], [0.95]);
+    const [level] = result.expectedShortfall;
+    
+    assert.equal(result.observations, 200);
+    // Rounding spreads the fifty -3% days around the quantile; enough of them land in the tail
+    assert.ok(level.tailObservations >= 5);
+
+    assertClose(level.historical.expectedShortfall.percentage, 3, 1e-9);
+    assertClose(level.historical.var.percentage, 3, 1e-9);
+    assert.deepEqual(result.warnings, []);
+  });
+});
+
+
+describe('VaR attribution', () => {
+  const holdings = [
+    { token: 'BTC', amount: 1 },
+    { token: 'ETH', amount: 10 }
+  ];
+  
+  it('splits parametric VaR into components proportional to w·(Σw)', async () => {
+    const result = await calculateVaR(holdings, 0.95);
+    const [btc, eth] = result.holdings;
+    
+    assertClose(btc.componentVaR + eth.componentVaR, result.dailyVaR.amount, 1e-6);
+    // BTC: 0.59375 weight, σ 1.7285%, ETH: σ 3.8057%, correlation 0.9433
+    const covarianceTimesWeights = 0.59375 * 0.01728493528460938 ** 2 +
+      0.40625 * 0.943282587117341 * 0.01728493528460938 * 0.038057207342385074;
+    assertClose(btc.marginalVaR, 1.6448536269514715 * covarianceTimesWeights / 0.025371406192492778, 1e-8);
+    assertClose(btc.contributionPercentage + eth.contributionPercentage, 100, 1e-9);
+  });
+  
+  for (const method of ['historical', 'monteCarlo']) {
+    it(`adds ${method} components up to the daily VaR`, async () => {
+      const result = await calculateVaR(holdings, 0.95, { method, simulations: 5000 });
+      const total = result.holdings.reduce((sum, holding) => sum + holding.componentVaR, 0);
+      
+      assertClose(total, result.dailyVaR.amount, 1e-6);
+    });
+  }
+});
+
+describe('calculateLiquidityAdjustedVaR', () => {
+  // Closes alternate 100/101 with $1.01M traded a day, so 10,000 tokens are one day of volume
+  before(async () => {
+    const rows = ['date,close,volume'];
+    for (let day = 0; day < 14; day++) {
+      rows.push(`${new Date(Date.UTC(2025, 0, 1 + day)).toISOString().slice(0, 10)},${day % 2 === 0 ? 100 : 101},1010000`);
+    }
+    await importCsv(rows.join('\n'), { symbol: 'THIN' });
+  });
+  
+  it('charges half the spread plus square-root impact on the traded share of volume', async () => {
+    const result = await calculateLiquidityAdjustedVaR([{ token: 'THIN', amount: 10000 }], 0.95);
+    const [holding] = result.holdings;
+    
+    assert.equal(holding.volumeSource, 'stored');
+    assertClose(holding.participationRate, 100, 1e-9);
+    assertClose(holding.exitCost.amount, 1010000 * (0.0005 + holding.volatility), 1e-6);
+    assertClose(holding.daysToLiquidate, 10, 1e-9);
+    assertClose(result.liquidity.horizonVaR.amount, result.dailyVaR.amount, 1e-9);
+    assertClose(result.liquidity.liquidityAdjustedVaR.amount, result.dailyVaR.amount + holding.exitCost.amount, 1e-6);
+  });
+  
+  it('spreads the sale over the liquidation horizon', async () => {
+    const result = await calculateLiquidityAdjustedVaR([{ token: 'THIN', amount: 10000 }], 0.95, { liquidationHorizon: 4 });
+    const [holding] = result.holdings;
+    
+    // Selling a quarter of daily volume halves the impact; VaR scales by √((h + 1)(2h + 1) / 6h)
+    assertClose(holding.exitCost.amount, 1010000 * (0.0005 + holding.volatility / 2), 1e-6);
+    assertClose(result.liquidity.horizonVaR.amount, result.dailyVaR.amount * Math.sqrt(45 / 24), 1e-9);
+  });
+  
+  it('withholds exit costs for holdings without trading volume', async () => {
+    const rows = ['date,close'];
+    for (let day = 0; day < 14; day++) {
+      rows.push(`${new Date(Date.UTC(2025, 0, 1 + day)).toISOString().slice(0, 10)},${day % 2 === 0 ? 100 : 101}`);
+    }
+    await importCsv(rows.join('\n'), { symbol: 'NOVOL' });
+    
+    const result = await calculateLiquidityAdjustedVaR([{ token: 'THIN', amount: 10000 }, { token: 'NOVOL', amount: 10 }], 0.95);
+    const [thin, noVolume] = result.holdings;
+    
+    assert.equal(thin.volumeSource, 'stored');
+    assert.equal(noVolume.averageDailyVolume, null);
+    assert.equal(noVolume.exitCost, null);
+    assert.equal(result.liquidity.liquidityAdjustedVaR, null);
+    assertClose(result.liquidity.horizonVaR.amount, result.dailyVaR.amount, 1e-9);
+    assert.deepEqual(result.warnings, [
+      'No USD trading volume for NOVOL; import price history with a volume column to include its exit cost'
+    ]);
+  });
+});
+
+
+describe('portfolio diagnostics', () => {
+  // A USD stablecoin that traded down to $0.97 and has since recovered to $0.995
+  before(async () => {
+    const closes = [1, 1, 0.999, 0.97, 0.98, 0.99, 0.995, 1, 1, 1.001, 1, 0.998, 0.999, 0.995];
+    const rows = ['date,close', ...closes.map((close, day) => `${new Date(Date.UTC(2025, 3, 1 + day)).toISOString().slice(0, 10)},${close}`)];
+    await importCsv(rows.join('\n'), { symbol: 'USDE' });
+  });
+  
+  it('measures concentration with the Herfindahl index', async () => {
+    const { diagnostics } = await calculateVaR([
+      { token: 'BTC', amount: 1 },
+      { token: 'ETH', amount: 10 },
+      { token: 'USDC', amount: 5000 }
+    ], 0.95);
+    
+    // Weights 95/165, 65/165 and 5/165
+    assertClose(diagnostics.herfindahlIndex, (95 ** 2 + 65 ** 2 + 5 ** 2) / 165 ** 2, 1e-12);
+    assertClose(diagnostics.effectiveNumberOfAssets, 165 ** 2 / 13275, 1e-9);
+    assert.equal(diagnostics.concentrationLevel, 'High');
+    assert.equal(diagnostics.largestPosition.token, 'BTC');
+    assertClose(diagnostics.stablecoinShare, 5 / 165, 1e-12);
+    assert.equal(diagnostics.stablecoins[0].depegRisk, 'Low');
+  });
+  
+  it('flags stablecoins that have traded away from their peg', async () => {
+    const { diagnostics } = await calculateVaR([
+      { token: 'BTC', amount: 1 },
+      { token: 'USDE', amount: 95000 }
+    ], 0.95);
+    const [usde] = diagnostics.stablecoins;
+    
+    assertClose(usde.maxDeviation, 3, 1e-9);
+    assertClose(usde.currentDeviation, 0.5, 1e-9);
+    assert.equal(usde.daysOffPeg, 5);
+    assert.equal(usde.depegRisk, 'High');
+    assert.ok(diagnostics.warnings.includes('USDE has traded up to 3.00% away from its peg'));
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { assertClose } = require('./helpers');
+const { getTokenVolatility } = require('../src/services/risk.service');
+
+describe('getTokenVolatility statistics options', () => {
+  it('annualizes with √365 by default', async () => {
+    const result = await getTokenVolatility('BTC', 14);
+    
+    assert.deepEqual(result.statistics, { returnType: 'simple', varianceType: 'population', tradingDays: 365 });
+    assertClose(result.volatilityDaily, 0.01728493528460938, 1e-12);
+    assertClose(result.volatilityAnnualized, 0.01728493528460938 * Math.sqrt(365), 1e-12);
+  });
+  
+  it('applies log returns, the sample estimator and an equity calendar', async () => {
+    const result = await getTokenVolatility('BTC', 14, { returnType: 'log', varianceType: 'sample', tradingDays: 252 });
+    
+    assertClose(result.volatilityDaily, 0.017961837387508506, 1e-12);
+    assertClose(result.volatilityAnnualized, 0.28513532890277765, 1e-12);
+  });
+});
+
+describe('getTokenVolatility models', () => {
+  it('builds rolling windows from the loaded bars and skips longer ones', async () => {
+    const result = await getTokenVolatility('BTC', 14, { windows: [5, 30] });
+    const rolling = result.volatilityModels.rolling['5d'];
+    
+    // 13 returns give 9 full five-day windows, the first ending on 2025-04-06
+    assert.equal(rolling.length, 9);
+    assert.equal(rolling[0].date, '2025-04-06');
+    assertClose(rolling[0].volatility, 0.019973889827335434, 1e-12);
+    assertClose(rolling[0].annualized, rolling[0].volatility * Math.sqrt(365), 1e-12);
+    assert.equal(result.volatilityModels.rolling['30d'], undefined);
+    assert.deepEqual(result.volatilityModels.skippedWindows, [30]);
+  });
+  
+  it('forecasts EWMA volatility with the RiskMetrics decay', async () => {
+    const result = await getTokenVolatility('BTC', 14);
+    
+    assert.equal(result.volatilityModels.ewma.lambda, 0.94);
+    assertClose(result.volatilityModels.ewma.forecast, 0.018219298424650573, 1e-12);
+  });
+});
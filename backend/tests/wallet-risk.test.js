@@ -0,0 +1,161 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { assertClose } = require('./helpers');
+const {
+  analyzeWalletRisk,
+  analyzeWalletBatch,
+  analyzeCounterpartyExposure,
+  scoreWalletTransactions,
+  WALLET_RISK_MODEL
+} = require('../src/services/risk.service');
+
+const FLAGGED_WALLET = '0x8915BEab6cCaA2F486d8B1C36c7ec151F9C72F5E';
+const MIXED_WALLET = '0x7825BEab6cCaA2F486d8B1C36c7ec151F9C72F5E';
+const CLEAN_WALLET = '0x6735BEab6cCaA2F486d8B1C36c7ec151F9C72F5E';
+
+describe('analyzeWalletRisk', () => {
+  it('scores the same wallet identically on every call', async () => {
+    const first = await analyzeWalletRisk(FLAGGED_WALLET);
+    const second = await analyzeWalletRisk(FLAGGED_WALLET);
+    
+    assert.equal(first.riskScore, second.riskScore);
+    assert.deepEqual(
+      first.scoreBreakdown.map(item => item.points),
+      second.scoreBreakdown.map(item => item.points)
+    );
+  });
+  
+  it('reports a breakdown that sums to the score', async () => {
+    const result = await analyzeWalletRisk(FLAGGED_WALLET);
+    const total = result.scoreBreakdown.reduce((sum, item) => sum + item.points, 0);
+    
+    assert.equal(total, result.riskScore);
+    result.scoreBreakdown.forEach(item => assert.ok(item.points <= item.maxPoints, item.factor));
+  });
+  
+  it('bands the demo wallets by their listed interactions', async () => {
+    const flagged = await analyzeWalletRisk(FLAGGED_WALLET);
+    const mixed = await analyzeWalletRisk(MIXED_WALLET);
+    const clean = await analyzeWalletRisk(CLEAN_WALLET);
+    
+    assert.deepEqual([flagged.riskScore, flagged.riskLevel], [73, 'High']);
+    assert.deepEqual([mixed.riskScore, mixed.riskLevel], [40, 'Medium']);
+    assert.deepEqual([clean.riskScore, clean.riskLevel], [17, 'Low']);
+    assert.equal(clean.transactions.suspicious, 0);
+  });
+});
+
+describe('analyzeCounterpartyExposure', () => {
+  it('puts a wallet that only pays listed addresses fully at direct exposure', async () => {
+    const result = await analyzeCounterpartyExposure(FLAGGED_WALLET);
+    
+    assertClose(result.directShare, 1, 1e-12);
+    assert.equal(result.indirectShare, 0);
+    assert.equal(result.totalExposure, 1);
+  });
+  
+  it('decays indirect flows by decay^(hops - 1)', async () => {
+    const result = await analyzeCounterpartyExposure(CLEAN_WALLET);
+    const [twoHops] = result.flaggedPaths.filter(p => p.hops === 2);
+    const [threeHops] = result.flaggedPaths.filter(p => p.hops === 3);
+    
+    // 0.2 of 1.5 ETH went to a counterparty that sent 2/17 of its flow to a mixer
+    assertClose(twoHops.share, 0.2 / 1.5 * 2 / 17, 1e-12);
+    assertClose(twoHops.weightedShare, twoHops.share * 0.5, 1e-12);
+    assertClose(threeHops.share, 0.04, 1e-12);
+    assertClose(threeHops.weightedShare, 0.01, 1e-12);
+    assertClose(result.totalExposure, twoHops.weightedShare + threeHops.weightedShare, 1e-12);
+    assert.equal(result.directShare, 0);
+  });
+  
+  it('stops following flows after maxHops', async () => {
+    const result = await analyzeCounterpartyExposure(CLEAN_WALLET, { maxHops: 1 });
+    
+    assert.deepEqual(result.flaggedPaths, []);
+    assert.equal(result.totalExposure, 0);
+  });
+});
+
+describe('analyzeWalletBatch', () => {
+  it('screens each address once and reports invalid ones without failing the batch', async () => {
+    const result = await analyzeWalletBatch([
+      FLAGGED_WALLET,
+      CLEAN_WALLET,
+      FLAGGED_WALLET.toLowerCase(),
+      '0x1234'
+    ], { concurrency: 2 });
+    
+    assert.equal(result.total, 3);
+    assert.equal(result.duplicatesRemoved, 1);
+    assert.deepEqual([result.succeeded, result.failed], [2, 1]);
+    assert.deepEqual(result.riskLevels, { High: 1, Medium: 0, Low: 1 });
+    assert.deepEqual(result.results.map(item => item.address), [FLAGGED_WALLET, CLEAN_WALLET, '0x1234']);
+    assert.equal(result.results[2].error, 'Invalid Ethereum address format');
+  });
+});
+
+describe('wallet risk model', () => {
+  it('caps the score at 100', () => {
+    const maxPoints = WALLET_RISK_MODEL.factors.reduce((sum, factor) => sum + factor.maxPoints, 0);
+    
+    assert.equal(WALLET_RISK_MODEL.baseScore + maxPoints, 100);
+  });
+  
+  it('clamps every factor to its cap when a wallet saturates all of them', () => {
+    // Four large transfers, all to a listed mixer, with extreme exposure, approvals and anomalies
+    const transactions = Array.from({ length: 4 }, (_, i) => ({
+      type: 'transfer',
+      contract: '0xdead123456789012345678901234567890123456',
+      value: 50,
+      timestamp: `2025-04-0${i + 1}T12:00:00Z`
+    }));
+    const context = {
+      exposure: { flaggedPaths: [], indirectShare: 1, indirectWeightedShare: 1 },
+      approvals: {
+        outstanding: 5,
+        unlimited: 5,
+        unverified: 5,
+        blacklisted: 5,
+        approvals: Array.from({ length: 5 }, () => ({ flags: ['blacklisted', 'unlimited'], riskLevel: 'High' }))
+      },
+      behavior: {
+        anomalies: Array.from({ length: 5 }, () => ({ factor: 'Peel Chain', points: 8 }))
+      }
+    };
+    
+    const result = scoreWalletTransactions(transactions, context);
+    
+    assert.equal(result.riskScore, 100);
+    assert.equal(result.riskLevel, 'High');
+    result.breakdown.forEach(item => assert.equal(item.points, item.maxPoints, item.factor));
+  });
+});
+
+describe('batch CSV export', () => {
+  const { analyzeWalletBatch: screenBatch } = require('../src/controllers/risk.controller');
+  const download = async (body) => {
+    const res = {
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      status(code) { this.statusCode = code; return this; },
+      send(content) { this.body = content; return this; },
+      json(content) { this.body = content; return this; }
+    };
+    await screenBatch({ body, query: { format: 'csv' } }, res);
+    return res;
+  };
+  
+  it('neutralizes cells that spreadsheets would run as formulas', async () => {
+    const res = await download({ addresses: ['=HYPERLINK("http://x")', '@SUM(A1)', '-1+2'] });
+    const rows = res.body.split('\n').slice(1).map(row => row.split(',')[0]);
+    
+    assert.equal(res.headers['Content-Type'], 'text/csv');
+    assert.deepEqual(rows, ['"\'=HYPERLINK(""http://x"")"', '\'@SUM(A1)', '\'-1+2']);
+  });
+  
+  it('quotes values containing carriage returns', async () => {
+    const res = await download({ addresses: ['0x12\r34'] });
+    
+    assert.equal(res.body.split('\n')[1].split(',')[0], '"0x12\r34"');
+  });
+});